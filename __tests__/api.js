@@ -0,0 +1,93 @@
+/* @flow */
+
+import * as api from '../src/api.js';
+import {MessageError} from '../src/errors.js';
+import * as constants from '../src/constants.js';
+import {NoopReporter} from '../src/reporters/index.js';
+import * as fs from '../src/util/fs.js';
+
+const path = require('path');
+
+const fixturesLoc = path.join(__dirname, 'fixtures', 'install');
+
+async function withFixture(name: string, cb: (cwd: string, flags: Object) => Promise<void>): Promise<void> {
+  const cwd = await fs.makeTempDir(name);
+  try {
+    await fs.copy(path.join(fixturesLoc, name), cwd, new NoopReporter());
+    await cb(cwd, {
+      cacheFolder: path.join(cwd, '.yarn-cache'),
+      globalFolder: path.join(cwd, '.yarn-global'),
+      linkFolder: path.join(cwd, '.yarn-link'),
+    });
+  } finally {
+    await fs.unlink(cwd);
+  }
+}
+
+test('resolves, fetches and links packages step by step', async () => {
+  await withFixture('install-file', async (cwd, flags) => {
+    const events = [];
+    const project = await api.open({
+      cwd,
+      flags,
+      ignoreLockfile: true,
+      onEvent: event => {
+        events.push(event);
+      },
+    });
+
+    const resolved = await project.resolve();
+    expect(resolved.root).toEqual({dependencies: {foo: 'foo@0.0.0'}});
+    expect(resolved.packages['foo@0.0.0']).toMatchObject({
+      name: 'foo',
+      version: '0.0.0',
+      patterns: ['foo@file:bar'],
+      remote: {type: 'copy'},
+      dependencies: {},
+      optional: false,
+      location: null,
+    });
+
+    const fetched = await project.fetch();
+    const {location} = fetched.packages['foo@0.0.0'];
+    expect(location).toBeTruthy();
+    expect(await fs.readFile(path.join(location || '', 'index.js'))).toEqual('foobar;\n');
+
+    await project.link();
+    expect(await fs.readFile(path.join(cwd, 'node_modules', 'foo', 'index.js'))).toEqual('foobar;\n');
+
+    await project.writeLockfile();
+    const lockfile = await api.readLockfile(project.config);
+    expect(lockfile.getLocked('foo@file:bar')).toMatchObject({version: '0.0.0'});
+
+    expect(events.filter(event => event.type === 'step').map(event => event.data)).toEqual([
+      {message: project.reporter.lang('resolvingPackages'), current: 1, total: 3},
+      {message: project.reporter.lang('fetchingPackages'), current: 2, total: 3},
+      {message: project.reporter.lang('linkingDependencies'), current: 3, total: 3},
+    ]);
+  });
+});
+
+test('installs at once', async () => {
+  await withFixture('install-file', async (cwd, flags) => {
+    const graph = await api.install({cwd, flags: {...flags, solution: true}});
+    expect(Object.keys(graph.packages)).toEqual(['foo@0.0.0']);
+    expect(await fs.exists(path.join(cwd, 'node_modules', constants.SOLUTION_FILENAME))).toBe(true);
+    expect(await fs.exists(path.join(cwd, 'node_modules', 'foo'))).toBe(false);
+  });
+});
+
+test('steps must run in order', async () => {
+  await withFixture('install-file', async (cwd, flags) => {
+    const project = await api.open({cwd, flags});
+
+    let error;
+    try {
+      await project.fetch();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(MessageError);
+    expect(error && error.message).toMatch(/Unable to run "fetch" when the project is "new"/);
+  });
+});
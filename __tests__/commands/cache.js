@@ -3,6 +3,10 @@
 import * as reporters from '../../src/reporters/index.js';
 import * as fs from '../../src/util/fs.js';
 import {run} from '../../src/cli/commands/cache.js';
+import Config from '../../src/config.js';
+import {MessageError} from '../../src/errors.js';
+import OpamFetcher, {packDirectory} from '../../src/fetchers/opam-fetcher.js';
+import {readEntries, storeFiles} from '../../src/package-cache.js';
 import {run as buildRun, runInstall} from './_helpers.js';
 
 const path = require('path');
@@ -118,13 +122,13 @@ test('clean', async (): Promise<void> => {
   await runInstall({}, 'artifacts-finds-and-saves', async (config): Promise<void> => {
     let files = await fs.readdir(config.cacheFolder);
     // Asserting cache size is 1...
-    // we need to add one for the .tmp folder
+    // we need to add one for the .tmp folder and one for the .store folder
     //
     // Per #2860, file: protocol installs may add the same package to the cache
     // multiple times if it is installed with a force flag or has an install script.
-    // We'll add another for a total of 3 because this particular fixture has
+    // We'll add another for a total of 4 because this particular fixture has
     // an install script.
-    expect(files.length).toEqual(3);
+    expect(files.length).toEqual(4);
 
     const out = new stream.PassThrough();
     const reporter = new reporters.JSONReporter({stdout: out});
@@ -140,7 +144,7 @@ test('clean', async (): Promise<void> => {
 test('clean with package name', async (): Promise<void> => {
   await runInstall({}, 'artifacts-finds-and-saves', async (config): Promise<void> => {
     let files = await fs.readdir(config.cacheFolder);
-    expect(files.length).toEqual(3);
+    expect(files.length).toEqual(4);
 
     const out = new stream.PassThrough();
     const reporter = new reporters.JSONReporter({stdout: out});
@@ -148,11 +152,151 @@ test('clean with package name', async (): Promise<void> => {
     await run(config, reporter, {}, ['clean', 'unknownname']);
     expect(await fs.exists(config.cacheFolder)).toBeTruthy();
     files = await fs.readdir(config.cacheFolder);
-    expect(files.length).toEqual(3); // Nothing deleted
+    expect(files.length).toEqual(4); // Nothing deleted
 
     await run(config, reporter, {}, ['clean', 'dummy']);
     expect(await fs.exists(config.cacheFolder)).toBeTruthy();
     files = await fs.readdir(config.cacheFolder);
-    expect(files.length).toEqual(1); // Only .tmp folder left
+    expect(files.length).toEqual(2); // Only .tmp and .store folders left
   });
 });
+
+test('stores identical files of cache entries once', async (): Promise<void> => {
+  await runInstall({}, 'artifacts-finds-and-saves', async (config): Promise<void> => {
+    const entries = await readEntries(config);
+    expect(entries.length).toEqual(2);
+
+    const [first, second] = await Promise.all(entries.map(entry => fs.lstat(path.join(entry, 'package.json'))));
+    expect(first.ino).toEqual(second.ino);
+
+    const {files} = await fs.readJson(path.join(entries[0], '.yarn-metadata.json'));
+    expect(Object.keys(files)).toContain('package.json');
+  });
+});
+
+test('stores files read-only and links writable copies of them', async (): Promise<void> => {
+  await runInstall({}, 'artifacts-finds-and-saves', async (config): Promise<void> => {
+    const entries = await readEntries(config);
+    const stored = await fs.lstat(path.join(entries[0], 'package.json'));
+    expect(stored.mode & 0o222).toEqual(0); // eslint-disable-line no-bitwise
+
+    const copy = path.join(config.cwd, 'node_modules', 'dummy', 'package.json');
+    expect((await fs.lstat(copy)).mode & 0o200).not.toEqual(0); // eslint-disable-line no-bitwise
+    const original = await fs.readFile(path.join(entries[1], 'package.json'));
+    await fs.writeFile(copy, '{}');
+    expect(await fs.readFile(path.join(entries[0], 'package.json'))).toEqual(original);
+    expect(await fs.readFile(path.join(entries[1], 'package.json'))).toEqual(original);
+  });
+});
+
+test('does not store files of packages which are built in source', async (): Promise<void> => {
+  const cacheFolder = await fs.makeTempDir();
+  const config: any = {cacheFolder};
+  const makeEntry = async (name: string): Promise<string> => {
+    const dest = path.join(cacheFolder, name);
+    await fs.mkdirp(dest);
+    await fs.writeFile(path.join(dest, 'main.ml'), 'let () = ()\n');
+    return dest;
+  };
+
+  const stored = await makeEntry('stored');
+  const inSource = await makeEntry('in-source');
+  const manifest: any = {name: 'stored', version: '1.0.0'};
+  expect(Object.keys(await storeFiles(config, stored, manifest))).toEqual(['main.ml']);
+  const inSourceManifest: any = {name: 'in-source', version: '1.0.0', esy: {buildsInSource: true}};
+  expect(await storeFiles(config, inSource, inSourceManifest)).toEqual({});
+
+  const [first, second] = await Promise.all([stored, inSource].map(dest => fs.lstat(path.join(dest, 'main.ml'))));
+  expect(first.ino).not.toEqual(second.ino);
+  expect(second.nlink).toEqual(1);
+});
+
+test('gc removes cache entries which were not used within the window', async (): Promise<void> => {
+  await runInstall({}, 'artifacts-finds-and-saves', async (config): Promise<void> => {
+    const reporter = new reporters.JSONReporter({stdout: new stream.PassThrough()});
+
+    await run(config, reporter, {window: '1'}, ['gc']);
+    expect((await readEntries(config)).length).toEqual(2);
+
+    // the lockfile is still there but wasn't installed within the window
+    await run(config, reporter, {window: '0'}, ['gc']);
+    expect(await readEntries(config)).toEqual([]);
+    // only the directories of the stored files are left
+    const stored = await fs.walk(path.join(config.cacheFolder, '.store', 'files'));
+    expect(stored.filter(file => file.relative.includes(path.sep))).toEqual([]);
+
+    let error;
+    try {
+      await run(config, reporter, {window: 'soon'}, ['gc']);
+    } catch (err) {
+      error = err;
+    }
+    expect(error && error.message).toMatch(/Invalid cache gc window/);
+  });
+});
+
+async function makeTarballEntry(config: Config): Promise<string> {
+  const packageDir = await fs.makeTempDir('opam-package');
+  await fs.writeFile(path.join(packageDir, 'package.json'), JSON.stringify({name: '@opam/foo', version: '1.0.0'}));
+  await fs.writeFile(path.join(packageDir, 'foo.ml'), 'let foo = 1\n');
+  const dest = path.join(config.cacheFolder, 'npm-opam-foo-1.0.0-abc');
+  await fs.mkdirp(dest);
+  const tarballChecksum = await packDirectory(packageDir, path.join(dest, '.yarn-tarball.tgz'));
+  const fetcher = new OpamFetcher(
+    dest,
+    {type: 'opam', hash: '', reference: '@opam/foo@1.0.0-abc.tgz', registry: 'npm', tarballChecksum},
+    config,
+  );
+  await fetcher.fetch();
+  return dest;
+}
+
+test('verify extracts modified cache entries again and removes orphaned ones', async (): Promise<void> => {
+  const config = await Config.create({cacheFolder: await fs.makeTempDir('cache-verify'), offline: true});
+  const reporter = new reporters.JSONReporter({stdout: new stream.PassThrough()});
+  const dest = await makeTarballEntry(config);
+  await run(config, reporter, {}, ['verify']);
+
+  // stored files are read-only
+  await fs.chmod(path.join(dest, 'foo.ml'), 0o644);
+  await fs.writeFile(path.join(dest, 'foo.ml'), 'let foo = 2\n');
+  await fs.mkdirp(path.join(config.cacheFolder, 'npm-left-behind-1.0.0'));
+
+  let error;
+  try {
+    await run(config, reporter, {}, ['verify']);
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeInstanceOf(MessageError);
+  expect(error && error.message).toMatch(/Found 2 errors/);
+
+  await run(config, reporter, {fix: true}, ['verify']);
+  expect(await fs.readFile(path.join(dest, 'foo.ml'))).toEqual('let foo = 1\n');
+  expect(await fs.exists(path.join(config.cacheFolder, 'npm-left-behind-1.0.0'))).toBe(false);
+  await run(config, reporter, {}, ['verify']);
+});
+
+test('verify removes cache entries whose tarball is corrupt', async (): Promise<void> => {
+  const config = await Config.create({cacheFolder: await fs.makeTempDir('cache-verify'), offline: true});
+  const reporter = new reporters.JSONReporter({stdout: new stream.PassThrough()});
+  const dest = await makeTarballEntry(config);
+
+  await fs.chmod(path.join(dest, '.yarn-tarball.tgz'), 0o644);
+  await fs.writeFile(path.join(dest, '.yarn-tarball.tgz'), 'corrupt');
+  await run(config, reporter, {fix: true}, ['verify']);
+  expect(await fs.exists(dest)).toBe(false);
+});
+
+test('verify removes cache entries whose tarball is truncated', async (): Promise<void> => {
+  const config = await Config.create({cacheFolder: await fs.makeTempDir('cache-verify'), offline: true});
+  const reporter = new reporters.JSONReporter({stdout: new stream.PassThrough()});
+  const dest = await makeTarballEntry(config);
+
+  const tarballPath = path.join(dest, '.yarn-tarball.tgz');
+  const tarball = await fs.readFileBuffer(tarballPath);
+  await fs.chmod(tarballPath, 0o644);
+  await fs.writeFile(tarballPath, tarball.slice(0, tarball.length / 2));
+  await run(config, reporter, {fix: true}, ['verify']);
+  expect(await fs.exists(dest)).toBe(false);
+});
@@ -4,6 +4,7 @@ import * as reporters from '../../src/reporters/index.js';
 import {run as info} from '../../src/cli/commands/info.js';
 import {BufferReporter} from '../../src/reporters/index.js';
 import Config from '../../src/config.js';
+import * as fs from '../../src/util/fs.js';
 import path from 'path';
 
 jasmine.DEFAULT_TIMEOUT_INTERVAL = 90000;
@@ -128,3 +129,84 @@ test.concurrent('reports error with too many arguments', (): Promise<void> => {
     expect(output).toContain(reporter.lang('tooManyArguments', 2));
   });
 });
+
+async function runOpamInfo(args: Array<string>, overrides: Map<string, Map<string, Object>>): Promise<any> {
+  const tmp = await fs.makeTempDir();
+  const packages = {
+    'foo.1.10.0': 'opam-version: "1.2"\navailable: [ ocaml-version >= "4.03.0" ]\n',
+    'foo.1.9.0': 'opam-version: "1.2"\n',
+  };
+  for (const spec of Object.keys(packages)) {
+    await fs.mkdirp(path.join(tmp, 'packages', 'foo', spec));
+    await fs.writeFile(path.join(tmp, 'packages', 'foo', spec, 'opam'), packages[spec]);
+  }
+  // a file where the package directory should be makes reading the package fail
+  await fs.writeFile(path.join(tmp, 'packages', 'broken'), '');
+  await fs.writeFile(
+    path.join(tmp, 'packages', 'foo', 'foo.1.10.0', 'url'),
+    'archive: "https://example.com/foo-1.10.0.tar.gz"\nchecksum: "d41d8cd98f00b204e9800998ecf8427e"\n',
+  );
+
+  const reporter = new BufferReporter({stdout: null, stdin: null});
+  const config = await Config.create({cwd: tmp}, reporter);
+  config.cache['opam-repository'] = Promise.resolve({
+    urlIndex: {version: 2, fetchedAt: 0, etag: null, lastModified: null, archives: {}},
+    sources: [
+      {
+        name: 'local',
+        type: 'local',
+        location: tmp,
+        branch: '',
+        checkoutPath: tmp,
+        packagesPath: path.join(tmp, 'packages'),
+        isDefault: false,
+      },
+    ],
+    override: {remote: '', checkoutPath: '', commit: null, overrides},
+    checksumPolicy: 'allow-md5',
+  });
+  await info(config, reporter, {}, args);
+  return reporter.getBuffer().pop().data;
+}
+
+test('with @opam package lists versions from opam repository in opam order', async () => {
+  const override = {
+    spec: 'foo.1.10.x',
+    exportedEnv: {},
+    opam: {url: '', checksums: [], files: [], patches: []},
+  };
+  const output = await runOpamInfo(['@opam/foo'], new Map([['foo', new Map([['1.10.x', override]])]]));
+  expect(output.name).toBe('@opam/foo');
+  expect(output.versions.map(info => info.opamVersion)).toEqual(['1.9.0', '1.10.0']);
+  expect(output.versions[1]).toEqual({
+    version: '1.10.0',
+    opamVersion: '1.10.0',
+    ocaml: '>= 4.3.0',
+    overrides: [{spec: 'foo.1.10.x', versionRange: '1.10.x', fields: []}],
+    url: 'https://example.com/foo-1.10.0.tar.gz',
+    checksum: 'md5=d41d8cd98f00b204e9800998ecf8427e',
+    repository: 'local',
+  });
+  expect(output.versions[0].overrides).toEqual([]);
+});
+
+test('with @opam package and version shows the version only', async () => {
+  const output = await runOpamInfo(['@opam/foo@1.9.0', 'overrides'], new Map());
+  expect(output).toEqual([]);
+});
+
+test('with unknown @opam package reports error', async () => {
+  const reporter = new reporters.ConsoleReporter({});
+  const output = await runOpamInfo(['@opam/bar'], new Map());
+  expect(output).toContain(reporter.lang('infoOpamFail', '@opam/bar'));
+});
+
+test('with @opam package which fails to be read reports the error', async () => {
+  let error;
+  try {
+    await runOpamInfo(['@opam/broken'], new Map());
+  } catch (err) {
+    error = err;
+  }
+  expect(error && error.code).toEqual('ENOTDIR');
+});
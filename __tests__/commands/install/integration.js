@@ -252,6 +252,51 @@ test.concurrent('replace the symlink when it changes, when using the link: proto
   });
 });
 
+test.concurrent('resolves linked packages again when their manifests change', async () => {
+  await runInstall({}, 'install-link-manifest-changed', async (config, reporter): Promise<void> => {
+    const depManifestLoc = path.join(config.cwd, 'dep', 'package.json');
+    const depManifest = await fs.readJson(depManifestLoc);
+    depManifest.dependencies = {'dep-of-dep': 'link:../dep-of-dep'};
+    await fs.writeFile(depManifestLoc, JSON.stringify(depManifest));
+
+    const lockfile = await Lockfile.fromDirectory(config.cwd);
+    const reInstall = new Install({}, config, reporter, lockfile);
+    const match = await reInstall.integrityChecker.check(['dep@link:dep'], lockfile.cache || {}, reInstall.flags);
+    expect(match.integrityError).toEqual('LINKED_MANIFESTS_DONT_MATCH');
+    await reInstall.init();
+
+    const depEntry = (await Lockfile.fromDirectory(config.cwd)).getLocked('dep@link:dep');
+    expect(depEntry && depEntry.dependencies).toEqual({'dep-of-dep': 'link:dep-of-dep'});
+    expect(await fs.exists(path.join(config.cwd, 'node_modules', 'dep-of-dep', 'package.json'))).toEqual(true);
+  });
+});
+
+test('installs named sandboxes with their own lockfiles and modules folders', async () => {
+  await runInstall({}, 'install-sandboxes', async (config, reporter): Promise<void> => {
+    await install(config, reporter, {allSandboxes: true}, []);
+
+    const alt = await config.forSandbox('alt');
+    const altLockfile = await Lockfile.fromDirectory(config.cwd, undefined, alt.lockfileFilename);
+    expect(alt.lockfileFilename).toEqual('esy.alt.lock');
+    expect(altLockfile.getLocked('a@link:a')).toBeTruthy();
+    expect(altLockfile.getLocked('b@link:b')).toBeFalsy();
+    expect(altLockfile.getLocked('c@link:c')).toBeTruthy();
+
+    const altModulesFolder = path.join(config.cwd, constants.SANDBOXES_FOLDER, 'alt', 'node_modules');
+    expect(await fs.exists(path.join(altModulesFolder, 'a', 'package.json'))).toEqual(true);
+    expect(await fs.exists(path.join(altModulesFolder, 'b'))).toEqual(false);
+    expect(await fs.exists(path.join(altModulesFolder, 'c', 'package.json'))).toEqual(true);
+
+    // the default sandbox is left as it was installed
+    const lockfile = await Lockfile.fromDirectory(config.cwd);
+    expect(lockfile.getLocked('b@link:b')).toBeTruthy();
+    expect(lockfile.getLocked('c@link:c')).toBeFalsy();
+    expect(await fs.exists(path.join(config.cwd, 'node_modules', 'c'))).toEqual(false);
+
+    await check(config, reporter, {integrity: true, allSandboxes: true}, []);
+  });
+});
+
 test('changes the cache path when bumping the cache version', async () => {
   await runInstall({}, 'install-github', async (config): Promise<void> => {
     const inOut = new stream.PassThrough();
@@ -483,6 +528,29 @@ test.concurrent('install file: protocol', (): Promise<void> => {
   });
 });
 
+test.concurrent('install --solution writes solution file instead of node_modules', (): Promise<void> => {
+  const fixturesLoc = path.join(__dirname, '..', '..', 'fixtures', 'install');
+
+  return buildRun(
+    reporters.ConsoleReporter,
+    fixturesLoc,
+    async (args, flags, config, reporter, lockfile): Promise<void> => {
+      await new Install(flags, config, reporter, lockfile).init();
+
+      expect(await fs.exists(path.join(config.cwd, 'node_modules', 'foo'))).toBe(false);
+
+      const solution = await fs.readJson(path.join(config.cwd, 'node_modules', constants.SOLUTION_FILENAME));
+      expect(solution.root).toEqual({dependencies: {foo: 'foo@0.0.0'}});
+      const foo = solution.packages['foo@0.0.0'];
+      expect(foo.dependencies).toEqual({});
+      expect(await fs.readFile(path.join(foo.source, 'index.js'))).toEqual('foobar;\n');
+    },
+    [],
+    {lockfile: false, solution: true},
+    'install-file',
+  );
+});
+
 test.concurrent('install with file: protocol as default', (): Promise<void> => {
   return runInstall({}, 'install-file-as-default', async (config, reporter, install, getOutput) => {
     expect(await fs.readFile(path.join(config.cwd, 'node_modules', 'foo', 'index.js'))).toEqual('foobar;\n');
@@ -1,13 +1,14 @@
 /* @flow */
 
-import {run as buildRun} from './_helpers.js';
+import {run as buildRun, runInstall} from './_helpers.js';
 import {run as link} from '../../src/cli/commands/link.js';
-import {ConsoleReporter} from '../../src/reporters/index.js';
+import {ConsoleReporter, JSONReporter} from '../../src/reporters/index.js';
 import type {CLIFunctionReturn} from '../../src/types.js';
 import mkdir from './../_temp.js';
 import * as fs from '../../src/util/fs.js';
 
 const path = require('path');
+const stream = require('stream');
 
 const fixturesLoc = path.join(__dirname, '..', 'fixtures', 'link');
 const runLink = buildRun.bind(
@@ -37,3 +38,42 @@ test.concurrent('throws error if package.json does not have name', async (): Pro
     expect(err.message).toContain(reporter.lang('unknownPackageName'));
   }
 });
+
+test.concurrent('links a registered package named status', async (): Promise<void> => {
+  const linkFolder = await mkdir('link-folder');
+  const src = await mkdir('status-package');
+  await fs.writeFile(path.join(src, 'package.json'), JSON.stringify({name: 'status', version: '1.0.0'}));
+  await fs.symlink(src, path.join(linkFolder, 'status'));
+
+  await runLink(['status'], {linkFolder}, 'package-with-name', async (config): Promise<void> => {
+    expect(await fs.exists(path.join(config.cwd, 'node_modules', 'status', 'package.json'))).toEqual(true);
+  });
+});
+
+test('status lists linked packages and whether their manifests changed', async (): Promise<void> => {
+  await runInstall({}, 'install-link-manifest-changed', async (config): Promise<void> => {
+    const getStatus = async (): Promise<Array<Array<string>>> => {
+      const out = new stream.PassThrough();
+      const reporter = new JSONReporter({stdout: out});
+      await link(config, reporter, {status: true}, []);
+      const table = String(out.read())
+        .trim()
+        .split('\n')
+        .map(line => JSON.parse(line))
+        .find(message => message.type === 'table');
+      return table ? table.data.body : [];
+    };
+
+    const origin = path.join(config.cwd, 'dep');
+    expect(await getStatus()).toEqual([['dep', origin, 'Up to date']]);
+
+    const depManifestLoc = path.join(origin, 'package.json');
+    const depManifest = await fs.readJson(depManifestLoc);
+    depManifest.dependencies = {'dep-of-dep': 'link:../dep-of-dep'};
+    await fs.writeFile(depManifestLoc, JSON.stringify(depManifest));
+    expect(await getStatus()).toEqual([['dep', origin, 'Manifest changed']]);
+
+    await fs.unlink(origin);
+    expect(await getStatus()).toEqual([['dep', origin, 'Origin missing']]);
+  });
+});
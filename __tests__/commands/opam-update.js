@@ -0,0 +1,160 @@
+/* @flow */
+
+import {NoopReporter} from '../../src/reporters/index.js';
+import {run as opamUpdate} from '../../src/cli/commands/opam-update.js';
+import {Install} from '../../src/cli/commands/install.js';
+import Config from '../../src/config.js';
+import Lockfile from '../../src/lockfile';
+import * as child from '../../src/util/child.js';
+import * as fs from '../../src/util/fs.js';
+import {OPAM_REPOSITORY_OVERRIDE} from '../../src/resolvers/exotics/opam-resolver/config.js';
+import {gitReadHead} from '../../src/resolvers/exotics/opam-resolver/util.js';
+
+jest.mock('../../src/util/network.js', () => ({isOffline: () => false}));
+
+const path = require('path');
+
+// git rewrites the URL of the repository to the local one made by the test
+const OPAM_REPOSITORY_URL = 'https://example.com/opam-repository.git';
+
+const GIT_CONFIG_ENV = [
+  'GIT_CONFIG_COUNT',
+  'GIT_CONFIG_KEY_0',
+  'GIT_CONFIG_VALUE_0',
+  'GIT_CONFIG_KEY_1',
+  'GIT_CONFIG_VALUE_1',
+];
+
+afterEach(() => {
+  for (const name of GIT_CONFIG_ENV) {
+    delete process.env[name];
+  }
+});
+
+function git(cwd: string, ...args: Array<string>): Promise<string> {
+  return child.spawn('git', ['-c', 'user.name=esy', '-c', 'user.email=esy@example.com', ...args], {cwd});
+}
+
+async function makeRemote(dir: string, branch: string, files: {[filename: string]: string}): Promise<string> {
+  await fs.mkdirp(dir);
+  await git(dir, 'init', '-q');
+  await git(dir, 'checkout', '-q', '-b', branch);
+  return commitFiles(dir, files);
+}
+
+async function commitFiles(dir: string, files: {[filename: string]: string}): Promise<string> {
+  for (const filename of Object.keys(files)) {
+    await fs.mkdirp(path.dirname(path.join(dir, filename)));
+    await fs.writeFile(path.join(dir, filename), files[filename]);
+  }
+  await git(dir, 'add', '-A');
+  await git(dir, 'commit', '-q', '-m', 'update');
+  return gitReadHead(dir);
+}
+
+function opamFile(version: string): {[filename: string]: string} {
+  return {[`packages/foo/foo.${version}/opam`]: 'opam-version: "1.2"\n'};
+}
+
+async function makeProject(): Promise<{cwd: string, remote: string}> {
+  const root = await fs.makeTempDir('opam-update');
+  const remote = path.join(root, 'opam-repository');
+  await makeRemote(remote, 'master', opamFile('1.0.0'));
+  // opam packages depend on these npm packages, they're installed from the
+  // project instead of the registry
+  const dependencies = {};
+  for (const [name, version] of [['substs', '0.0.1'], ['esy-installer', '0.0.0']]) {
+    const dir = path.join(root, name);
+    await fs.mkdirp(dir);
+    await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({name: `@esy-ocaml/${name}`, version}));
+    dependencies[`@esy-ocaml/${name}`] = `file:${dir}`;
+  }
+  const overrides = path.join(root, 'esy-opam-override');
+  await makeRemote(overrides, '4', {'packages/foo/package.json': JSON.stringify({dependencies})});
+
+  process.env.GIT_CONFIG_COUNT = '2';
+  process.env.GIT_CONFIG_KEY_0 = `url.${remote}.insteadOf`;
+  process.env.GIT_CONFIG_VALUE_0 = OPAM_REPOSITORY_URL;
+  process.env.GIT_CONFIG_KEY_1 = `url.${overrides}.insteadOf`;
+  process.env.GIT_CONFIG_VALUE_1 = OPAM_REPOSITORY_OVERRIDE;
+
+  const cwd = path.join(root, 'project');
+  await fs.mkdirp(cwd);
+  await fs.writeFile(
+    path.join(cwd, 'package.json'),
+    JSON.stringify({
+      name: 'project',
+      version: '1.0.0',
+      dependencies: {'@opam/foo': '*'},
+      opamRepositories: [OPAM_REPOSITORY_URL],
+    }),
+  );
+  return {cwd, remote};
+}
+
+async function makeConfig(cwd: string, flags?: Object = {}): Promise<Config> {
+  const config = await Config.create({cwd, cacheFolder: path.join(cwd, '.yarn-cache'), ...flags}, new NoopReporter());
+  // the URL index isn't needed, the packages have no source archives
+  await fs.writeFile(
+    path.join(config.cacheFolder, 'opam-urls'),
+    JSON.stringify({version: 2, fetchedAt: Date.now(), etag: null, lastModified: null, archives: {}}),
+  );
+  return config;
+}
+
+async function install(cwd: string): Promise<void> {
+  const config = await makeConfig(cwd);
+  const lockfile = await Lockfile.fromDirectory(cwd);
+  await new Install({}, config, config.reporter, lockfile).init();
+}
+
+async function readLocked(cwd: string): Promise<{version: string, commit: ?string}> {
+  const lockfile = await Lockfile.fromDirectory(cwd);
+  const locked = lockfile.getLocked('@opam/foo@*');
+  const repositories = lockfile.metadata.opamRepositories || {};
+  return {version: locked ? locked.version : '', commit: repositories[OPAM_REPOSITORY_URL]};
+}
+
+test('opam-update syncs opam repositories and resolves opam packages again', async () => {
+  const {cwd, remote} = await makeProject();
+  const config = await makeConfig(cwd);
+  await opamUpdate(config, config.reporter, {}, []);
+  expect(await readLocked(cwd)).toEqual({version: '1.0.0', commit: await gitReadHead(remote)});
+
+  const latest = await commitFiles(remote, opamFile('2.0.0'));
+  await opamUpdate(await makeConfig(cwd), config.reporter, {}, []);
+  expect(await readLocked(cwd)).toEqual({version: '2.0.0', commit: latest});
+});
+
+test('opam-update updates the commit pinned in the lockfile', async () => {
+  const {cwd, remote} = await makeProject();
+  await install(cwd);
+  const pinned = await gitReadHead(remote);
+  expect(await readLocked(cwd)).toEqual({version: '1.0.0', commit: pinned});
+
+  // installs keep using the pinned commit
+  const latest = await commitFiles(remote, opamFile('2.0.0'));
+  await install(cwd);
+  expect(await readLocked(cwd)).toEqual({version: '1.0.0', commit: pinned});
+
+  const config = await makeConfig(cwd);
+  await opamUpdate(config, config.reporter, {}, []);
+  expect(await readLocked(cwd)).toEqual({version: '2.0.0', commit: latest});
+});
+
+test('opam-update fails offline and keeps the lockfile', async () => {
+  const {cwd, remote} = await makeProject();
+  await install(cwd);
+  const pinned = await gitReadHead(remote);
+  await commitFiles(remote, opamFile('2.0.0'));
+
+  const config = await makeConfig(cwd, {offline: true});
+  let error;
+  try {
+    await opamUpdate(config, config.reporter, {}, []);
+  } catch (err) {
+    error = err;
+  }
+  expect(error && error.message).toMatch(/while offline/);
+  expect(await readLocked(cwd)).toEqual({version: '1.0.0', commit: pinned});
+});
@@ -6,12 +6,17 @@ import TarballFetcher, {LocalTarballFetcher} from '../src/fetchers/tarball-fetch
 import BaseFetcher from '../src/fetchers/base-fetcher.js';
 import CopyFetcher from '../src/fetchers/copy-fetcher.js';
 import GitFetcher from '../src/fetchers/git-fetcher.js';
+import OpamFetcher, {packDirectory} from '../src/fetchers/opam-fetcher.js';
+import {SecurityError} from '../src/errors.js';
+import stringify from '../src/lockfile/stringify.js';
 import Config from '../src/config.js';
 import mkdir from './_temp.js';
 import * as fs from '../src/util/fs.js';
-import {readdirSync} from 'fs';
+import {readdirSync, utimesSync} from 'fs';
 
+const crypto = require('crypto');
 const path = require('path');
+const zlib = require('zlib');
 
 jasmine.DEFAULT_TIMEOUT_INTERVAL = 60000;
 
@@ -233,3 +238,167 @@ test('TarballFetcher.fetch properly stores tarball of scoped package in offline
   const exists = await fs.exists(path.join(offlineMirrorDir, '@exponent-configurator-1.0.2.tgz'));
   expect(exists).toBe(true);
 });
+
+test('OpamFetcher packs directories deterministically', async () => {
+  const pack = async (mtime: number, mode: number): Promise<{checksum: string, contents: Buffer}> => {
+    const dir = await mkdir('opam-pack');
+    await fs.mkdirp(path.join(dir, 'src', 'lib'));
+    await fs.writeFile(path.join(dir, 'src', 'lib', 'b.ml'), 'let b = 2\n');
+    await fs.writeFile(path.join(dir, 'src', 'a.ml'), 'let a = 1\n');
+    await fs.writeFile(path.join(dir, 'configure'), '#!/bin/sh\n');
+    await fs.chmod(path.join(dir, 'configure'), mode | 0o111); // eslint-disable-line no-bitwise
+    await fs.chmod(path.join(dir, 'src', 'a.ml'), mode);
+    for (const name of ['configure', 'src/a.ml', 'src/lib/b.ml', 'src']) {
+      utimesSync(path.join(dir, name), mtime, mtime);
+    }
+    const tarballPath = path.join(await mkdir('opam-pack-tarball'), 'package.tgz');
+    const checksum = await packDirectory(dir, tarballPath);
+    return {checksum, contents: await fs.readFileBuffer(tarballPath)};
+  };
+
+  const first = await pack(1000000000, 0o600);
+  const second = await pack(1500000000, 0o664);
+  expect(first.checksum).toMatch(/^sha256=[0-9a-f]{64}$/);
+  expect(second.checksum).toBe(first.checksum);
+  expect(second.contents.equals(first.contents)).toBe(true);
+});
+
+test('OpamFetcher checksums packed tarballs uncompressed', async () => {
+  const dir = await mkdir('opam-pack');
+  await fs.writeFile(path.join(dir, 'a.ml'), 'let a = 1\n');
+  const tarballPath = path.join(await mkdir('opam-pack-tarball'), 'package.tgz');
+  const checksum = await packDirectory(dir, tarballPath);
+
+  const tar = zlib.gunzipSync(await fs.readFileBuffer(tarballPath));
+  expect(checksum).toBe(`sha256=${crypto.createHash('sha256').update(tar).digest('hex')}`);
+});
+
+test('OpamFetcher.fetch verifies the checksum of the tarball from the offline mirror', async () => {
+  const packageDir = await mkdir('opam-package');
+  await fs.writeFile(path.join(packageDir, 'package.json'), JSON.stringify({name: '@opam/foo', version: '1.0.0'}));
+  const offlineMirrorDir = await mkdir('offline-mirror');
+  const tarballChecksum = await packDirectory(packageDir, path.join(offlineMirrorDir, '@opam-foo@1.0.0-abc.tgz'));
+
+  const config = await Config.create({offline: true});
+  config.registries.npm.config['yarn-offline-mirror'] = offlineMirrorDir;
+  const createFetcher = async (checksum: string) =>
+    new OpamFetcher(
+      await mkdir('opam-fetcher'),
+      {
+        type: 'opam',
+        hash: '',
+        reference: '@opam/foo@1.0.0-abc.tgz',
+        registry: 'npm',
+        tarballChecksum: checksum,
+      },
+      config,
+    );
+
+  const fetcher = await createFetcher(tarballChecksum);
+  await fetcher.fetch();
+  expect((await fs.readJson(path.join(fetcher.dest, 'package.json'))).name).toBe('@opam/foo');
+
+  let error;
+  try {
+    await (await createFetcher('sha256=' + '0'.repeat(64))).fetch();
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeInstanceOf(SecurityError);
+  expect(error && error.message).toMatch(/Incorrect checksum of .*@opam-foo@1.0.0-abc.tgz/);
+});
+
+test('OpamFetcher.fetch creates packages from the lockfile without opam repositories', async () => {
+  const cwd = await mkdir('opam-lockfile');
+  await fs.writeFile(
+    path.join(cwd, 'esy.lock'),
+    stringify({
+      '@opam/foo@^1.0.0': {
+        version: '1.0.0',
+        uid: 'abc',
+        resolved: '@opam/foo@1.0.0-abc.tgz',
+        opam: {
+          version: '1.0.0',
+          build: JSON.stringify([['make']]),
+          files: {'foo.install': 'bin: ["foo"]\n'},
+          // patches are applied in the order they're declared, not by name
+          patches: JSON.stringify([
+            {name: 'z-add.patch', content: '--- /dev/null\n+++ b/added.txt\n@@ -0,0 +1 @@\n+added\n'},
+            {name: 'a-change.patch', content: '--- a/added.txt\n+++ b/added.txt\n@@ -1 +1 @@\n-added\n+changed\n'},
+          ]),
+        },
+      },
+    }),
+  );
+
+  const config = await Config.create({cwd});
+  // packages can't be found in the opam repositories
+  config.cache['opam-repository'] = Promise.resolve({
+    urlIndex: {version: 2, fetchedAt: 0, etag: null, lastModified: null, archives: {}},
+    sources: [],
+    override: {remote: '', checkoutPath: '', commit: null, overrides: new Map()},
+    checksumPolicy: 'allow-md5',
+  });
+
+  const fetcher = new OpamFetcher(
+    await mkdir('opam-fetcher'),
+    {type: 'opam', hash: '', reference: '@opam/foo@1.0.0-abc.tgz', registry: 'npm'},
+    config,
+  );
+  await fetcher.fetch();
+
+  const manifest = await fs.readJson(path.join(fetcher.dest, 'package.json'));
+  expect(manifest.name).toBe('@opam/foo');
+  expect(manifest._uid).toBe('abc');
+  expect(manifest.esy.build).toEqual([['make']]);
+  expect(await fs.readFile(path.join(fetcher.dest, 'foo.install'))).toBe('bin: ["foo"]\n');
+  expect(await fs.readFile(path.join(fetcher.dest, 'added.txt'))).toBe('changed\n');
+});
+
+test('OpamFetcher.fetch verifies packed tarballs of packages with the locked uid', async () => {
+  const fetchLocked = async (repository: string, tarballChecksum: ?string): Promise<OpamFetcher> => {
+    const cwd = await mkdir('opam-lockfile');
+    await fs.writeFile(
+      path.join(cwd, 'esy.lock'),
+      stringify({
+        '@opam/foo@^1.0.0': {
+          version: '1.0.0',
+          uid: 'abc',
+          resolved: '@opam/foo@1.0.0-abc.tgz',
+          opam: {version: '1.0.0', repository, build: JSON.stringify([['make']])},
+        },
+      }),
+    );
+    const config = await Config.create({cwd});
+    config.cache['opam-repository'] = Promise.resolve({
+      urlIndex: {version: 2, fetchedAt: 0, etag: null, lastModified: null, archives: {}},
+      sources: [],
+      override: {remote: '', checkoutPath: '', commit: null, overrides: new Map()},
+      checksumPolicy: 'allow-md5',
+    });
+    const fetcher = new OpamFetcher(
+      await mkdir('opam-fetcher'),
+      {type: 'opam', hash: '', reference: '@opam/foo@1.0.0-abc.tgz', registry: 'npm', tarballChecksum},
+      config,
+    );
+    await fetcher.fetch();
+    return fetcher;
+  };
+
+  const fetcher = await fetchLocked('https://github.com/ocaml/opam-repository.git', null);
+  const {tarballChecksum} = fetcher.remote;
+  expect(tarballChecksum).toMatch(/^sha256=[0-9a-f]{64}$/);
+  expect((await fs.readJson(path.join(fetcher.dest, 'package.json'))).opam.repository).toBeUndefined();
+
+  // the repository the package was found in doesn't change the tarball
+  await fetchLocked('https://example.com/opam-repository-mirror.git', tarballChecksum);
+
+  let error;
+  try {
+    await fetchLocked('https://github.com/ocaml/opam-repository.git', 'sha256=' + '0'.repeat(64));
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeInstanceOf(SecurityError);
+  expect(error && error.message).toMatch(/doesn't match sha256=0+ recorded in the lockfile/);
+});
@@ -0,0 +1,16 @@
+module.exports = function(api) {
+  class HgResolver extends api.ExoticResolver {
+    resolve() {
+      return Promise.resolve({
+        name: 'hg-package',
+        version: '1.0.0',
+        _remote: {type: 'hg', reference: this.fragment, registry: 'npm', hash: ''},
+      });
+    }
+  }
+  HgResolver.protocol = 'hg';
+
+  class HgFetcher extends api.BaseFetcher {}
+
+  return {resolvers: [HgResolver], fetchers: {hg: HgFetcher}};
+};
@@ -0,0 +1,3 @@
+module.exports = function(api) {
+  return {fetchers: {tarball: api.BaseFetcher}};
+};
@@ -298,13 +298,13 @@ test.concurrent('should throws missing command for constructor command', async (
 test.concurrent('should run command with hyphens', async () => {
   const stdout = await execCommand('generate-lock-entry', [], 'run-generate-lock-entry');
   expect(stdout[0]).toMatch(/# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY./);
-  expect(stdout[1]).toMatch(/# yarn lockfile v1/);
+  expect(stdout[1]).toMatch(/# yarn lockfile v2/);
 });
 
 test.concurrent('should run camelised command for command with hyphens', async () => {
   const stdout = await execCommand('generateLockEntry', [], 'run-generate-lock-entry');
   expect(stdout[0]).toMatch(/# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY./);
-  expect(stdout[1]).toMatch(/# yarn lockfile v1/);
+  expect(stdout[1]).toMatch(/# yarn lockfile v2/);
 });
 
 test.concurrent('should run help for command with hyphens', async () => {
@@ -1,12 +1,23 @@
 /* @flow */
 /* eslint quotes: 0 */
 
-import Lockfile from '../src/lockfile';
+import Lockfile, {withMetadata} from '../src/lockfile';
 import stringify from '../src/lockfile/stringify.js';
 import parse from '../src/lockfile/parse.js';
 import nullify from '../src/util/map.js';
+import * as fs from '../src/util/fs.js';
+import {LOCKFILE_FILENAME} from '../src/constants.js';
 
-const objs = [{foo: 'bar'}, {foo: {}}, {foo: 'foo', bar: 'bar'}, {foo: 5}];
+const path = require('path');
+
+const objs = [
+  {foo: 'bar'},
+  {foo: {}},
+  {foo: 'foo', bar: 'bar'},
+  {foo: 5},
+  {foo: 'echo "\\\\" \\"\n'},
+  {foo: JSON.stringify([['sh', '-c', 'echo "\\\\"']])},
+];
 
 let i = 0;
 for (const obj of objs) {
@@ -331,3 +342,59 @@ c:
   });
   expect(object.d).toBe(undefined);
 });
+
+test('Lockfile.getLockfile (opam metadata)', () => {
+  const patterns = {
+    '@opam/foo@^1.0.0': {
+      name: '@opam/foo',
+      version: '1.0.0',
+      _uid: 'abc',
+      dependencies: {},
+      optionalDependencies: {},
+      opam: {
+        url: 'https://example.com/foo.tar.gz',
+        repository: 'https://example.com/opam-repository.git',
+        checksums: [
+          {kind: 'md5', contents: 'd41d8cd98f00b204e9800998ecf8427e'},
+          {kind: 'sha256', contents: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'},
+        ],
+      },
+      _reference: {
+        permissions: {},
+      },
+      _remote: {
+        resolved: '@opam/foo@1.0.0-abc.tgz',
+        registry: 'npm',
+        tarballChecksum: 'sha256=2c26b46b68ffc68ff99b453c1d30413413422d706483bfa0f98a5e886266e7ae',
+      },
+    },
+  };
+
+  const actual = new Lockfile().getLockfile(patterns);
+
+  expect(actual['@opam/foo@^1.0.0'].opam).toEqual({
+    repository: 'https://example.com/opam-repository.git',
+    url: 'https://example.com/foo.tar.gz',
+    checksum: 'sha256=e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+    tarballChecksum: 'sha256=2c26b46b68ffc68ff99b453c1d30413413422d706483bfa0f98a5e886266e7ae',
+  });
+});
+
+test('Lockfile.fromDirectory (metadata)', async () => {
+  const metadata = {
+    opamRepositories: {'https://github.com/ocaml/opam-repository.git': 'abc'},
+    opamRepositoryOverride: {},
+  };
+  const lockfile: Object = {
+    '@opam/foo@^1.0.0': {version: '1.0.0', resolved: '@opam/foo@1.0.0-abc.tgz'},
+  };
+
+  const tmp = await fs.makeTempDir();
+  await fs.writeFile(path.join(tmp, LOCKFILE_FILENAME), stringify(withMetadata(lockfile, metadata)));
+  const actual = await Lockfile.fromDirectory(tmp);
+
+  expect(actual.metadata).toEqual({
+    opamRepositories: {'https://github.com/ocaml/opam-repository.git': 'abc'},
+  });
+  expect(Object.keys(actual.cache || {})).toEqual(['@opam/foo@^1.0.0']);
+});
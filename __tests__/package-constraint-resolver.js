@@ -0,0 +1,145 @@
+/* @flow */
+
+import type {SolverCandidate, SolverRequirement} from '../src/package-constraint-resolver.js';
+import PackageConstraintResolver, {formatRequirement, solveConstraints} from '../src/package-constraint-resolver.js';
+import {NoopReporter} from '../src/reporters/index.js';
+import * as fs from '../src/util/fs.js';
+
+const semver = require('semver');
+const path = require('path');
+
+type Registry = {
+  [name: string]: {
+    [version: string]: {dependencies?: {[name: string]: string}, peerDependencies?: {[name: string]: string}},
+  },
+};
+
+function makeGetCandidates(registry: Registry): (name: string) => Promise<Array<SolverCandidate>> {
+  return name => {
+    const versions = Object.keys(registry[name] || {}).sort(semver.rcompare);
+    return Promise.resolve(
+      versions.map(version => ({
+        name,
+        version,
+        dependencies: registry[name][version].dependencies || {},
+        peerDependencies: registry[name][version].peerDependencies || {},
+        satisfies: range => semver.satisfies(version, range),
+      })),
+    );
+  };
+}
+
+const isSolvable = () => true;
+
+function versionOf(solution, name: string): ?string {
+  const candidate = solution.get(name);
+  return candidate ? candidate.version : null;
+}
+
+function root(deps: {[name: string]: string}): Array<SolverRequirement> {
+  return Object.keys(deps).map(name => ({name, range: deps[name], from: null, peer: false}));
+}
+
+test('picks the newest versions when there are no conflicts', async () => {
+  const registry = {
+    a: {'1.0.0': {dependencies: {b: '^1.0.0'}}, '1.1.0': {dependencies: {b: '^1.0.0'}}},
+    b: {'1.0.0': {}, '1.2.0': {}, '2.0.0': {}},
+  };
+  const result = await solveConstraints(root({a: '^1.0.0'}), makeGetCandidates(registry), {isSolvable});
+  expect(result.type).toBe('solved');
+  if (result.type === 'solved') {
+    expect(versionOf(result.solution, 'a')).toBe('1.1.0');
+    expect(versionOf(result.solution, 'b')).toBe('1.2.0');
+  }
+});
+
+test('backtracks to satisfy peer constraints on the compiler', async () => {
+  const registry = {
+    ocaml: {'4.2.3': {}, '4.6.0': {}},
+    '@opam/foo': {
+      '1.0.0': {peerDependencies: {ocaml: '>= 4.2.0'}},
+      '2.0.0': {peerDependencies: {ocaml: '>= 4.6.0'}},
+    },
+    '@opam/bar': {
+      '1.0.0': {peerDependencies: {ocaml: '< 4.5.0'}},
+    },
+  };
+  const result = await solveConstraints(
+    root({ocaml: '*', '@opam/foo': '*', '@opam/bar': '*'}),
+    makeGetCandidates(registry),
+    {isSolvable},
+  );
+  expect(result.type).toBe('solved');
+  if (result.type === 'solved') {
+    expect(versionOf(result.solution, 'ocaml')).toBe('4.2.3');
+    expect(versionOf(result.solution, '@opam/foo')).toBe('1.0.0');
+    expect(versionOf(result.solution, '@opam/bar')).toBe('1.0.0');
+  }
+});
+
+test('reports a minimal explanation when there is no solution', async () => {
+  const registry = {
+    a: {'1.0.0': {dependencies: {c: '^1.0.0', d: '*'}}},
+    b: {'1.0.0': {dependencies: {c: '^2.0.0'}}},
+    c: {'1.0.0': {}, '2.0.0': {}},
+    d: {'1.0.0': {}},
+  };
+  const result = await solveConstraints(root({a: '*', b: '*', c: '*'}), makeGetCandidates(registry), {
+    isSolvable,
+  });
+  expect(result.type).toBe('conflict');
+  if (result.type === 'conflict') {
+    expect(result.name).toBe('c');
+    expect(result.requirements.map(formatRequirement).sort()).toEqual([
+      'a@1.0.0 has dependency c@^1.0.0',
+      'b@1.0.0 has dependency c@^2.0.0',
+    ]);
+  }
+});
+
+test('ignores requirements which are not solvable', async () => {
+  const registry = {
+    a: {'1.0.0': {dependencies: {b: 'git+https://example.com/b.git'}}},
+  };
+  const result = await solveConstraints(root({a: '*'}), makeGetCandidates(registry), {
+    isSolvable: (name, range) => semver.validRange(range) != null,
+  });
+  expect(result.type).toBe('solved');
+  if (result.type === 'solved') {
+    expect(Array.from(result.solution.keys())).toEqual(['a']);
+  }
+});
+
+test('opam packages missing from the repositories have no candidates, other errors are reported', async () => {
+  const root = await fs.makeTempDir();
+  // a file where the package directory should be makes reading the package fail
+  await fs.mkdirp(path.join(root, 'packages'));
+  await fs.writeFile(path.join(root, 'packages', 'broken'), '');
+  const repository = {
+    urlIndex: {version: 2, fetchedAt: 0, etag: null, lastModified: null, archives: {}},
+    sources: [
+      {
+        name: 'local',
+        type: 'local',
+        location: root,
+        branch: '',
+        checkoutPath: root,
+        packagesPath: path.join(root, 'packages'),
+        isDefault: false,
+      },
+    ],
+    override: {remote: '', checkoutPath: '', commit: null, overrides: new Map()},
+    checksumPolicy: 'allow-md5',
+  };
+  const config: any = {getCache: () => Promise.resolve(repository)};
+  const resolver = new PackageConstraintResolver(config, new NoopReporter());
+
+  expect(await resolver.getCandidates('@opam/missing')).toEqual([]);
+  let error;
+  try {
+    await resolver.getCandidates('@opam/broken');
+  } catch (err) {
+    error = err;
+  }
+  expect(error && error.code).toEqual('ENOTDIR');
+});
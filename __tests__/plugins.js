@@ -0,0 +1,99 @@
+/* @flow */
+
+import Config from '../src/config.js';
+import {MessageError} from '../src/errors.js';
+import {getFetcher} from '../src/fetchers/index.js';
+import {getExoticResolver} from '../src/resolvers/index.js';
+import {BufferReporter, NoopReporter} from '../src/reporters/index.js';
+import * as fs from '../src/util/fs.js';
+
+const path = require('path');
+
+const fixturesLoc = path.join(__dirname, 'fixtures', 'plugins');
+
+async function expectError(promise: Promise<mixed>, message: RegExp): Promise<void> {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeInstanceOf(MessageError);
+  expect(error && error.message).toMatch(message);
+}
+
+test('registers resolvers and fetchers of plugins from the root manifest', async () => {
+  const config = await Config.create({cwd: path.join(fixturesLoc, 'hg')}, new BufferReporter({}));
+
+  const Resolver = getExoticResolver('hg:https://hg.example.com/repo', config);
+  expect(Resolver).not.toBe(null);
+  expect(Resolver && Resolver.name).toBe('HgResolver');
+
+  const Fetcher = getFetcher('hg', config);
+  expect(Fetcher && Fetcher.name).toBe('HgFetcher');
+
+  // builtin resolvers are still available
+  expect(getExoticResolver('file:../foo', config)).not.toBe(Resolver);
+});
+
+test('keeps plugins to the config of the project which configured them', async () => {
+  await Config.create({cwd: path.join(fixturesLoc, 'hg')}, new BufferReporter({}));
+  const config = await Config.create({cwd: fixturesLoc}, new BufferReporter({}));
+
+  expect(getExoticResolver('hg:https://hg.example.com/repo', config)).toBe(null);
+  expect(getFetcher('hg', config)).toBe(undefined);
+});
+
+test('rejects plugins which replace builtin fetchers', async () => {
+  await expectError(
+    Config.create({cwd: path.join(fixturesLoc, 'invalid')}, new BufferReporter({})),
+    /Invalid plugin "\.\/invalid-plugin\.js": "fetcher type tarball is reserved"/,
+  );
+  expect(getFetcher('tarball', null)).not.toBe(require('../src/fetchers/base-fetcher.js').default);
+});
+
+test('reports plugins configured in .yarnrc which can not be loaded', async () => {
+  await expectError(
+    Config.create({cwd: path.join(fixturesLoc, 'rc')}, new BufferReporter({})),
+    /Unable to load plugin "\.\/missing-plugin\.js"/,
+  );
+});
+
+async function makeProjectWithPlugin(installed: boolean): Promise<string> {
+  const cwd = await fs.makeTempDir('plugins');
+  await fs.writeFile(
+    path.join(cwd, 'package.json'),
+    JSON.stringify({name: 'project', version: '1.0.0', installPlugins: ['@example/hg-plugin']}),
+  );
+  if (installed) {
+    const pluginDir = path.join(cwd, 'node_modules', '@example', 'hg-plugin');
+    await fs.mkdirp(path.join(pluginDir, 'lib'));
+    await fs.writeFile(
+      path.join(pluginDir, 'package.json'),
+      JSON.stringify({name: '@example/hg-plugin', version: '1.0.0', main: 'lib/plugin.js'}),
+    );
+    await fs.copy(
+      path.join(fixturesLoc, 'hg', 'hg-plugin.js'),
+      path.join(pluginDir, 'lib', 'plugin.js'),
+      new NoopReporter(),
+    );
+  }
+  return cwd;
+}
+
+test('resolves plugins given by package name from the project', async () => {
+  const config = await Config.create({cwd: await makeProjectWithPlugin(true)}, new BufferReporter({}));
+
+  const Resolver = getExoticResolver('hg:https://hg.example.com/repo', config);
+  expect(Resolver && Resolver.name).toBe('HgResolver');
+});
+
+test('skips plugins given by package name which are not installed yet', async () => {
+  const reporter = new BufferReporter({});
+  const config = await Config.create({cwd: await makeProjectWithPlugin(false)}, reporter);
+
+  expect(getExoticResolver('hg:https://hg.example.com/repo', config)).toBe(null);
+  expect(reporter.getBuffer().map(item => item.data).join('\n')).toMatch(
+    /Plugin "@example\/hg-plugin" is not installed/,
+  );
+});
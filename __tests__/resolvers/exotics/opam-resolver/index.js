@@ -0,0 +1,116 @@
+/* @flow */
+
+import * as fs from '../../../../src/util/fs.js';
+import OpamResolver, {checkOutdated, explainVersion} from '../../../../src/resolvers/exotics/opam-resolver/index.js';
+
+const path = require('path');
+
+async function makeConfig(packages: {[spec: string]: string}): Promise<Object> {
+  const root = await fs.makeTempDir();
+  for (const spec of Object.keys(packages)) {
+    const dir = path.join(root, 'packages', 'foo', spec);
+    await fs.mkdirp(dir);
+    await fs.writeFile(path.join(dir, 'opam'), packages[spec]);
+  }
+  const repository = {
+    urlIndex: {version: 2, fetchedAt: 0, etag: null, lastModified: null, archives: {}},
+    sources: [
+      {
+        name: 'local',
+        type: 'local',
+        location: root,
+        branch: '',
+        checkoutPath: root,
+        packagesPath: path.join(root, 'packages'),
+        isDefault: false,
+      },
+    ],
+    override: {remote: '', checkoutPath: '', commit: null, overrides: new Map()},
+    checksumPolicy: 'allow-md5',
+  };
+  return {getCache: () => Promise.resolve(repository)};
+}
+
+const PACKAGES = {
+  'foo.1.9.0': 'opam-version: "1.2"\n',
+  'foo.1.10.0': 'opam-version: "1.2"\n',
+  'foo.2.0.0': 'opam-version: "1.2"\navailable: [ ocaml-version >= "4.06.0" ]\n',
+};
+
+test('checkOutdated finds wanted and latest versions in opam order', async () => {
+  const config = await makeConfig(PACKAGES);
+  expect(await checkOutdated((config: any), '@opam/foo', '^1.9.0', '1.9.0', null)).toEqual({
+    wanted: '1.10.0',
+    latest: '2.0.0',
+    url: '',
+    isOutdated: true,
+  });
+  expect(await checkOutdated((config: any), '@opam/foo', '*', '2.0.0', null)).toEqual({
+    wanted: '2.0.0',
+    latest: '2.0.0',
+    url: '',
+    isOutdated: false,
+  });
+});
+
+test('checkOutdated respects the OCaml version', async () => {
+  const config = await makeConfig(PACKAGES);
+  expect(await checkOutdated((config: any), '@opam/foo', '*', '1.10.0', '4.2.3')).toEqual({
+    wanted: '1.10.0',
+    latest: '1.10.0',
+    url: '',
+    isOutdated: false,
+  });
+  const outdated = await checkOutdated((config: any), '@opam/foo', '*', '1.10.0', '4.6.0');
+  expect(outdated.latest).toBe('2.0.0');
+});
+
+test('explainVersion tells why newer versions were skipped', async () => {
+  const config = await makeConfig(PACKAGES);
+  const selection = await explainVersion((config: any), '@opam/foo', '1.9.0', {
+    ranges: [{range: '~1.9.0', resolution: false}],
+    ocamlVersion: '4.2.3',
+  });
+  expect(selection).toEqual({
+    version: '1.9.0',
+    skipped: [
+      {
+        version: '2.0.0',
+        reasons: [{type: 'range', range: '~1.9.0'}, {type: 'ocaml', range: '>= 4.6.0', ocamlVersion: '4.2.3'}],
+      },
+      {version: '1.10.0', reasons: [{type: 'range', range: '~1.9.0'}]},
+    ],
+  });
+});
+
+test('explainVersion reports ranges from resolutions and versions pinned by the lockfile', async () => {
+  const config = await makeConfig(PACKAGES);
+  const selection = await explainVersion((config: any), '@opam/foo', '1.9.0', {
+    ranges: [{range: '*', resolution: false}, {range: '<2.0.0', resolution: true}],
+    ocamlVersion: null,
+  });
+  expect(selection.skipped).toEqual([
+    {version: '2.0.0', reasons: [{type: 'resolution', range: '<2.0.0'}]},
+    {version: '1.10.0', reasons: []},
+  ]);
+
+  expect((await explainVersion((config: any), '@opam/foo', '2.0.0', {ranges: [], ocamlVersion: null})).skipped).toEqual(
+    [],
+  );
+});
+
+test('isLockfileEntryOutdated checks opam formulas against the locked opam version', () => {
+  const resolver: any = {ocamlVersion: null};
+  const entry: any = {
+    name: '@opam/foo',
+    version: '2.1.0',
+    resolved: '@opam/foo@2.1.0-abc.tgz',
+    opam: {version: '2.1'},
+  };
+  expect(OpamResolver.isLockfileEntryOutdated(resolver, entry, '>= "2.0"', true)).toBe(false);
+  expect(OpamResolver.isLockfileEntryOutdated(resolver, entry, '< "1.5"', true)).toBe(true);
+
+  // entries written by older versions have no opam version to check formulas against
+  const legacyEntry = {...entry, opam: null};
+  expect(OpamResolver.isLockfileEntryOutdated(resolver, legacyEntry, '< "1.5"', true)).toBe(false);
+});
@@ -0,0 +1,43 @@
+/* @flow */
+
+import * as OpamChecksum from '../../../../src/resolvers/exotics/opam-resolver/opam-checksum.js';
+
+const MD5 = 'd41d8cd98f00b204e9800998ecf8427e';
+const SHA256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+function makeConfig(options: Object): Object {
+  return {getOption: key => options[key]};
+}
+
+test('parse', () => {
+  expect(OpamChecksum.parse(`sha256=${SHA256}`)).toEqual({kind: 'sha256', contents: SHA256});
+  expect(OpamChecksum.parse(MD5)).toEqual({kind: 'md5', contents: MD5});
+  expect(OpamChecksum.parse(SHA256.toUpperCase())).toEqual({kind: 'sha256', contents: SHA256});
+  expect(() => OpamChecksum.parse(`sha1=${MD5}`)).toThrow();
+  expect(() => OpamChecksum.parse(`sha256=${MD5}`)).toThrow();
+  expect(() => OpamChecksum.parse('not-a-checksum')).toThrow();
+});
+
+test('parseList', () => {
+  expect(OpamChecksum.parseList(null)).toEqual([]);
+  expect(OpamChecksum.parseList(MD5)).toEqual([{kind: 'md5', contents: MD5}]);
+  expect(OpamChecksum.parseList([`md5=${MD5}`, {kind: 'sha256', contents: SHA256}])).toEqual([
+    {kind: 'md5', contents: MD5},
+    {kind: 'sha256', contents: SHA256},
+  ]);
+});
+
+test('strongest', () => {
+  const checksums = OpamChecksum.parseList([`sha256=${SHA256}`, `md5=${MD5}`]);
+  expect(OpamChecksum.strongest(checksums)).toEqual({kind: 'sha256', contents: SHA256});
+  expect(OpamChecksum.formatStrongest(checksums)).toBe(`sha256=${SHA256}`);
+  expect(OpamChecksum.strongest([])).toBe(null);
+  expect(OpamChecksum.isStrong(checksums)).toBe(true);
+  expect(OpamChecksum.isStrong(OpamChecksum.parseList(MD5))).toBe(false);
+});
+
+test('getPolicy', () => {
+  expect(OpamChecksum.getPolicy((makeConfig({}): any))).toBe('allow-md5');
+  expect(OpamChecksum.getPolicy((makeConfig({'opam-checksum-policy': 'require-strong'}): any))).toBe('require-strong');
+  expect(() => OpamChecksum.getPolicy((makeConfig({'opam-checksum-policy': 'whatever'}): any))).toThrow();
+});
@@ -0,0 +1,99 @@
+/* @flow */
+
+import * as fs from '../../../../src/util/fs.js';
+import {parseInWorkers, readPackage} from '../../../../src/resolvers/exotics/opam-resolver/opam-index.js';
+
+const path = require('path');
+
+const OPAM = 'opam-version: "1.2"\nbuild: [make]\n';
+const URL = 'archive: "https://example.com/foo-1.0.0.tar.gz"\nchecksum: "d41d8cd98f00b204e9800998ecf8427e"\n';
+
+async function makeRepository(): Promise<{root: string, packageDir: string, indexFolder: string}> {
+  const root = await fs.makeTempDir();
+  const packageDir = path.join(root, 'repository', 'packages', 'foo');
+  for (const spec of ['foo.1.0.0', 'foo.2.0.0']) {
+    await fs.mkdirp(path.join(packageDir, spec, 'files'));
+    await fs.writeFile(path.join(packageDir, spec, 'opam'), OPAM);
+    await fs.writeFile(path.join(packageDir, spec, 'url'), URL);
+    await fs.writeFile(path.join(packageDir, spec, 'files', 'fix.patch'), 'patch\n');
+  }
+  return {root, packageDir, indexFolder: path.join(root, 'index')};
+}
+
+function makeSource(root: string, commit: ?string): Object {
+  return {name: 'local', checkoutPath: path.join(root, 'repository'), commit};
+}
+
+async function tamperIndex(indexFolder: string, spec: string): Promise<void> {
+  const [dir] = await fs.readdir(indexFolder);
+  const indexPath = path.join(indexFolder, dir, 'foo.json');
+  const index = await fs.readJson(indexPath);
+  index.versions[spec].manifest.description = 'from the index';
+  await fs.writeFile(indexPath, JSON.stringify(index));
+}
+
+test('parses versions of the package', async () => {
+  const {root, packageDir, indexFolder} = await makeRepository();
+  const versions = await readPackage(indexFolder, makeSource(root, null), 'foo', packageDir);
+
+  expect(versions.map(version => version.spec)).toEqual(['foo.1.0.0', 'foo.2.0.0']);
+  expect(versions[0].manifest.version).toBe('1.0.0');
+  expect(versions[0].url && versions[0].url.url).toBe('https://example.com/foo-1.0.0.tar.gz');
+  expect(versions[0].files).toEqual([{name: 'fix.patch', content: 'patch\n'}]);
+});
+
+test('parses only versions which changed since they were indexed', async () => {
+  const {root, packageDir, indexFolder} = await makeRepository();
+  const source = makeSource(root, null);
+  await readPackage(indexFolder, source, 'foo', packageDir);
+  await tamperIndex(indexFolder, 'foo.1.0.0');
+  await tamperIndex(indexFolder, 'foo.2.0.0');
+
+  await fs.writeFile(path.join(packageDir, 'foo.2.0.0', 'files', 'fix.patch'), 'changed\n');
+  const versions = await readPackage(indexFolder, source, 'foo', packageDir);
+
+  expect(versions[0].manifest.description).toBe('from the index');
+  expect(versions[1].manifest.description).not.toBe('from the index');
+  expect(versions[1].files).toEqual([{name: 'fix.patch', content: 'changed\n'}]);
+});
+
+test('reads files which are not UTF-8 as latin1', async () => {
+  const {root, packageDir, indexFolder} = await makeRepository();
+  const filename = path.join(packageDir, 'foo.1.0.0', 'files', 'fix.patch');
+  await fs.unlink(filename);
+  await fs.writeFile(filename, (Buffer.from([0x2b, 0xe9, 0x0a]): any));
+  const versions = await readPackage(indexFolder, makeSource(root, null), 'foo', packageDir);
+
+  expect(versions[0].files).toEqual([{name: 'fix.patch', content: '+\u00e9\n', encoding: 'latin1'}]);
+  expect(versions[1].files).toEqual([{name: 'fix.patch', content: 'patch\n'}]);
+});
+
+test('uses the index without reading the package if the commit is the same', async () => {
+  const {root, packageDir, indexFolder} = await makeRepository();
+  await readPackage(indexFolder, makeSource(root, 'abc'), 'foo', packageDir);
+  await tamperIndex(indexFolder, 'foo.1.0.0');
+
+  await fs.unlink(path.join(packageDir, 'foo.2.0.0'));
+  const versions = await readPackage(indexFolder, makeSource(root, 'abc'), 'foo', packageDir);
+  expect(versions.map(version => version.spec)).toEqual(['foo.1.0.0', 'foo.2.0.0']);
+  expect(versions[0].manifest.description).toBe('from the index');
+
+  // the repository was updated
+  const updated = await readPackage(indexFolder, makeSource(root, 'def'), 'foo', packageDir);
+  expect(updated.map(version => version.spec)).toEqual(['foo.1.0.0']);
+  expect(updated[0].manifest.description).toBe('from the index');
+});
+
+test('parses opam files in worker processes', async () => {
+  const jobs = ['1.0.0', '1.1.0', '2.0.0'].map(opamVersion => ({name: 'foo', opamVersion, opam: OPAM, url: URL}));
+  const results = await parseInWorkers(jobs, 2);
+  expect(results.map(result => result.manifest.version)).toEqual(['1.0.0', '1.1.0', '2.0.0']);
+
+  let error;
+  try {
+    await parseInWorkers([{name: 'foo', opamVersion: '1.0.0', opam: 'build: [', url: null}], 1);
+  } catch (err) {
+    error = err;
+  }
+  expect(error && error.message).toMatch(/Unable to parse opam file of foo\.1\.0\.0/);
+});
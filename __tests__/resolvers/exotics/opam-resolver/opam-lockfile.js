@@ -0,0 +1,109 @@
+/* @flow */
+
+import Lockfile, {parse, stringify} from '../../../../src/lockfile';
+import * as OpamLockfile from '../../../../src/resolvers/exotics/opam-resolver/opam-lockfile.js';
+
+const SHA256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+function makeManifest(): Object {
+  return {
+    name: '@opam/foo',
+    version: '1.0.0',
+    _uid: 'abc',
+    description: 'Foo library',
+    dependencies: {'@opam/bar': '*'},
+    peerDependencies: {ocaml: '>= 4.2.0'},
+    optionalDependencies: {},
+    esy: {
+      build: [['make', 'build'], ['sh', '-c', 'echo "\\\\" > out']],
+      install: [['make', 'install']],
+      exportedEnv: {foo_version: {val: '1.0.0', scope: 'global'}},
+      buildsInSource: true,
+    },
+    opam: {
+      url: 'https://example.com/foo.tar.gz',
+      version: '1.0.0',
+      checksums: [{kind: 'md5', contents: 'd41d8cd98f00b204e9800998ecf8427e'}, {kind: 'sha256', contents: SHA256}],
+      files: [{name: 'foo.install', content: 'bin: ["foo"]\n'}],
+      // not in the order of names to check that the order is kept
+      patches: [
+        {name: 'fix.patch', content: '--- a/x\n+++ b/x\n@@ -1 +1 @@\n-"\\\\"\n+"\\\\\\\\"\n'},
+        {name: 'another-fix.patch', content: '--- a/y\n+++ b/y\n'},
+      ],
+      repository: 'https://github.com/ocaml/opam-repository.git',
+      overrides: [{spec: 'foo.1.0.0', versionRange: '1.0.0', fields: ['esy.build']}],
+    },
+    _remote: {
+      type: 'opam',
+      registry: 'npm',
+      reference: '@opam/foo@1.0.0-abc.tgz',
+      resolved: '@opam/foo@1.0.0-abc.tgz',
+      hash: `sha256=${SHA256}`,
+      tarballChecksum: `sha256=${SHA256}`,
+    },
+    _reference: {permissions: {}},
+  };
+}
+
+test('manifest survives the round trip through the lockfile', () => {
+  const manifest = makeManifest();
+  const lockfile = new Lockfile().getLockfile({'@opam/foo@^1.0.0': manifest});
+  const restored = new Lockfile({cache: parse(stringify(lockfile)).object}).getLocked('@opam/foo@^1.0.0');
+  expect(restored).toBeTruthy();
+
+  const actual = OpamLockfile.getManifest((restored: any));
+  expect(actual).toEqual({
+    name: '@opam/foo',
+    version: '1.0.0',
+    _uid: 'abc',
+    dependencies: manifest.dependencies,
+    peerDependencies: manifest.peerDependencies,
+    optionalDependencies: {},
+    esy: manifest.esy,
+    opam: {
+      ...manifest.opam,
+      checksums: [{kind: 'sha256', contents: SHA256}],
+      overrides: [],
+    },
+  });
+  expect((restored: any).opam.tarballChecksum).toBe(`sha256=${SHA256}`);
+});
+
+test('files which are not UTF-8 keep their encoding in the lockfile', () => {
+  const manifest = makeManifest();
+  manifest.opam.files = [
+    {name: 'foo.install', content: 'bin: ["foo"]\n'},
+    {name: 'latin1.txt', content: '\u00e9\n', encoding: 'latin1'},
+  ];
+  manifest.opam.patches = [{name: 'fix.patch', content: '+\u00e9\n', encoding: 'latin1'}];
+  const lockfile = new Lockfile().getLockfile({'@opam/foo@^1.0.0': manifest});
+  const restored = new Lockfile({cache: parse(stringify(lockfile)).object}).getLocked('@opam/foo@^1.0.0');
+
+  const actual = OpamLockfile.getManifest((restored: any));
+  expect(actual && actual.opam.files).toEqual(manifest.opam.files);
+  expect(actual && actual.opam.patches).toEqual(manifest.opam.patches);
+});
+
+test('normalizeManifest is the same as the manifest restored from the lockfile', () => {
+  const manifest = makeManifest();
+  const lockfile = new Lockfile().getLockfile({'@opam/foo@^1.0.0': manifest});
+  const restored = new Lockfile({cache: parse(stringify(lockfile)).object}).getLocked('@opam/foo@^1.0.0');
+  expect(OpamLockfile.normalizeManifest(manifest)).toEqual(OpamLockfile.getManifest((restored: any)));
+});
+
+test('getManifest ignores entries written by older versions', () => {
+  expect(
+    OpamLockfile.getManifest({
+      name: '@opam/foo',
+      version: '1.0.0',
+      uid: 'abc',
+      resolved: '@opam/foo@1.0.0-abc.tgz',
+      registry: 'npm',
+      permissions: {},
+      dependencies: {},
+      optionalDependencies: {},
+      peerDependencies: {},
+      opam: {checksum: `sha256=${SHA256}`},
+    }),
+  ).toBe(null);
+});
@@ -0,0 +1,75 @@
+/* @flow */
+
+import {
+  applyOverride,
+  warnOnConflictingOverrides,
+} from '../../../../src/resolvers/exotics/opam-resolver/opam-repository-override.js';
+import {BufferReporter} from '../../../../src/reporters/index.js';
+
+function makeOverride(spec: string, override: Object): Object {
+  return {
+    spec,
+    exportedEnv: {},
+    ...override,
+    opam: {url: '', checksums: [], files: [], patches: [], ...override.opam},
+  };
+}
+
+function makeManifest(version: string): Object {
+  return {
+    name: '@opam/foo',
+    version,
+    dependencies: {},
+    peerDependencies: {},
+    esy: {build: [['make']], install: [], exportedEnv: {}},
+    opam: {url: null, version, checksums: [], files: [], patches: [], repository: null, overrides: []},
+  };
+}
+
+function makeOverrides(packageOverrides: Array<[string, Object]>): Object {
+  return {remote: '', checkoutPath: '', commit: null, overrides: new Map([['foo', new Map(packageOverrides)]])};
+}
+
+test('applyOverride records which override was applied and what it changed', () => {
+  const overrides = makeOverrides([
+    [
+      '1.x.x',
+      makeOverride('foo.1.x.x', {
+        build: [['make', 'opt']],
+        dependencies: {'@opam/bar': '*'},
+        exportedEnv: {FOO: {val: 'foo'}},
+        opam: {patches: [{name: 'fix.patch', content: ''}]},
+      }),
+    ],
+  ]);
+
+  const manifest = applyOverride(overrides, (makeManifest('1.0.0'): any));
+  expect(manifest && manifest.esy.build).toEqual([['make', 'opt']]);
+  expect(manifest && manifest.opam.overrides).toEqual([
+    {
+      spec: 'foo.1.x.x',
+      versionRange: '1.x.x',
+      fields: ['esy.build', 'esy.exportedEnv.FOO', 'opam.patches.fix.patch', 'dependencies.@opam/bar'],
+    },
+  ]);
+
+  const other = applyOverride(overrides, (makeManifest('2.0.0'): any));
+  expect(other && other.opam.overrides).toEqual([]);
+});
+
+test('applyOverride applies all matching overrides and warns about them', () => {
+  const overrides = makeOverrides([
+    ['x.x.x', makeOverride('foo', {build: [['make', 'all']]})],
+    ['>= 1.0.0', makeOverride('foo.>=_1.0.0', {build: [['make', 'new']]})],
+  ]);
+
+  const manifest: any = applyOverride(overrides, (makeManifest('1.0.0'): any));
+  expect(manifest.esy.build).toEqual([['make', 'new']]);
+  expect(manifest.opam.overrides.map(override => override.spec)).toEqual(['foo', 'foo.>=_1.0.0']);
+
+  const reporter = new BufferReporter({});
+  warnOnConflictingOverrides(reporter, manifest);
+  const [warning] = reporter.getBuffer();
+  expect(warning.type).toBe('warning');
+  expect(warning.data).toContain('"foo, foo.>=_1.0.0"');
+});
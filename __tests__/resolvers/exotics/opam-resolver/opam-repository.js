@@ -0,0 +1,144 @@
+/* @flow */
+
+import * as fs from '../../../../src/util/fs.js';
+import {getManifestCollection} from '../../../../src/resolvers/exotics/opam-resolver/opam-repository.js';
+
+const path = require('path');
+
+async function makeRepository(root: string, packages: {[spec: string]: string}): Promise<string> {
+  for (const spec of Object.keys(packages)) {
+    const [name] = spec.split('.');
+    const dir = path.join(root, 'packages', name, spec);
+    await fs.mkdirp(dir);
+    await fs.writeFile(path.join(dir, 'opam'), packages[spec]);
+  }
+  return root;
+}
+
+function makeSource(name: string, checkoutPath: string): Object {
+  return {
+    name,
+    type: 'local',
+    location: checkoutPath,
+    branch: '',
+    checkoutPath,
+    packagesPath: path.join(checkoutPath, 'packages'),
+    isDefault: false,
+  };
+}
+
+test('getManifestCollection merges versions across repositories by priority', async () => {
+  const tmp = await fs.makeTempDir();
+  const privateRepo = await makeRepository(path.join(tmp, 'private'), {
+    'foo.1.0.0': 'opam-version: "1.2"\nbuild: [make "private"]\n',
+  });
+  const publicRepo = await makeRepository(path.join(tmp, 'public'), {
+    'foo.1.0.0': 'opam-version: "1.2"\nbuild: [make "public"]\n',
+    'foo.2.0.0': 'opam-version: "1.2"\nbuild: [make "public"]\n',
+  });
+
+  const repository = {
+    urlIndex: {version: 2, fetchedAt: 0, etag: null, lastModified: null, archives: {}},
+    sources: [makeSource('private', privateRepo), makeSource('public', publicRepo)],
+    override: {remote: '', checkoutPath: '', commit: null, overrides: new Map()},
+    checksumPolicy: 'allow-md5',
+  };
+
+  const manifestCollection = await getManifestCollection(repository, 'foo');
+
+  expect(Object.keys(manifestCollection.versions).sort()).toEqual(['1.0.0', '2.0.0']);
+  expect(manifestCollection.versions['1.0.0'].opam.repository).toBe('private');
+  expect(manifestCollection.versions['2.0.0'].opam.repository).toBe('public');
+});
+
+test('getManifestCollection keeps opam versions which render into the same semver version', async () => {
+  const tmp = await fs.makeTempDir();
+  const repo = await makeRepository(path.join(tmp, 'repo'), {
+    'foo.0.9.8': 'opam-version: "1.2"\n',
+    'foo.0.9.8.1': 'opam-version: "1.2"\n',
+  });
+
+  const repository = {
+    urlIndex: {version: 2, fetchedAt: 0, etag: null, lastModified: null, archives: {}},
+    sources: [makeSource('repo', repo)],
+    override: {remote: '', checkoutPath: '', commit: null, overrides: new Map()},
+    checksumPolicy: 'allow-md5',
+  };
+
+  const {versions} = await getManifestCollection(repository, 'foo');
+
+  expect(Object.keys(versions).sort()).toEqual(['0.9.8', '0.9.8-opam-0-9-8']);
+  expect(versions['0.9.8'].opam.version).toBe('0.9.8.1');
+  expect(versions['0.9.8-opam-0-9-8'].opam.version).toBe('0.9.8');
+  expect(versions['0.9.8-opam-0-9-8'].version).toBe('0.9.8-opam-0-9-8');
+  expect(versions['0.9.8-opam-0-9-8']._uid).not.toBe(versions['0.9.8']._uid);
+});
+
+test('getManifestCollection fails if no repository has the package', async () => {
+  const tmp = await fs.makeTempDir();
+  const repo = await makeRepository(path.join(tmp, 'repo'), {
+    'foo.1.0.0': 'opam-version: "1.2"\n',
+  });
+
+  const repository = {
+    urlIndex: {version: 2, fetchedAt: 0, etag: null, lastModified: null, archives: {}},
+    sources: [makeSource('repo', repo)],
+    override: {remote: '', checkoutPath: '', commit: null, overrides: new Map()},
+    checksumPolicy: 'allow-md5',
+  };
+
+  let error;
+  try {
+    await getManifestCollection(repository, 'bar');
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeDefined();
+});
+
+test('getManifestCollection carries all checksums of the source archive', async () => {
+  const tmp = await fs.makeTempDir();
+  const repo = await makeRepository(path.join(tmp, 'repo'), {
+    'foo.1.0.0': 'opam-version: "1.2"\n',
+  });
+  const md5 = 'd41d8cd98f00b204e9800998ecf8427e';
+  const sha256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+  await fs.writeFile(
+    path.join(repo, 'packages', 'foo', 'foo.1.0.0', 'url'),
+    `src: "https://example.com/foo.tar.gz"\nchecksum: ["md5=${md5}" "sha256=${sha256}"]\n`,
+  );
+
+  const repository = {
+    urlIndex: {version: 2, fetchedAt: 0, etag: null, lastModified: null, archives: {}},
+    sources: [makeSource('repo', repo)],
+    override: {remote: '', checkoutPath: '', commit: null, overrides: new Map()},
+    checksumPolicy: 'allow-md5',
+  };
+
+  const manifestCollection = await getManifestCollection(repository, 'foo');
+
+  expect(manifestCollection.versions['1.0.0'].opam.checksums).toEqual([
+    {kind: 'md5', contents: md5},
+    {kind: 'sha256', contents: sha256},
+  ]);
+});
+
+test('getManifestCollection computes uid from the files of the package', async () => {
+  const tmp = await fs.makeTempDir();
+  const repo = await makeRepository(path.join(tmp, 'repo'), {
+    'foo.1.0.0': 'opam-version: "1.2"\n',
+  });
+  const repository = {
+    urlIndex: {version: 2, fetchedAt: 0, etag: null, lastModified: null, archives: {}},
+    sources: [makeSource('repo', repo)],
+    override: {remote: '', checkoutPath: '', commit: null, overrides: new Map()},
+    checksumPolicy: 'allow-md5',
+  };
+
+  const uid = (await getManifestCollection(repository, 'foo')).versions['1.0.0']._uid;
+  expect(uid).toMatch(/^[0-9a-f]{40}$/);
+
+  await fs.mkdirp(path.join(repo, 'packages', 'foo', 'foo.1.0.0', 'files'));
+  await fs.writeFile(path.join(repo, 'packages', 'foo', 'foo.1.0.0', 'files', 'foo.install'), 'bin: ["foo"]\n');
+  expect((await getManifestCollection(repository, 'foo')).versions['1.0.0']._uid).not.toBe(uid);
+});
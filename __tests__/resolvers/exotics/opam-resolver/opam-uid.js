@@ -0,0 +1,78 @@
+/* @flow */
+
+import * as OpamUid from '../../../../src/resolvers/exotics/opam-resolver/opam-uid.js';
+
+function makeManifest(): Object {
+  return {
+    name: '@opam/foo',
+    version: '1.0.0',
+    dependencies: {'@opam/bar': '*', '@esy-ocaml/substs': '^0.0.1'},
+    peerDependencies: {ocaml: '>= 4.2.0'},
+    esy: {
+      build: [['make', 'build']],
+      install: [['make', 'install']],
+      exportedEnv: {foo_version: {val: '1.0.0', scope: 'global'}},
+    },
+    opam: {
+      url: 'https://example.com/foo.tar.gz',
+      version: '1.0.0',
+      checksums: [{kind: 'sha256', contents: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'}],
+      files: [{name: 'b.install', content: 'b'}, {name: 'a.install', content: 'a'}],
+      patches: [
+        {name: 'fix.patch', content: '--- a/x\n+++ b/x\n'},
+        {name: 'another.patch', content: '--- a/y\n+++ b/y\n'},
+      ],
+      repository: 'https://github.com/ocaml/opam-repository.git',
+      overrides: [],
+    },
+  };
+}
+
+test('canonicalize sorts object keys', () => {
+  expect(OpamUid.canonicalize({b: [1, {d: null, c: 'x'}], a: true})).toBe('{"a":true,"b":[1,{"c":"x","d":null}]}');
+  expect(OpamUid.canonicalize(undefined)).toBe('null');
+});
+
+test('computeUid does not depend on key order and cosmetic fields', () => {
+  const uid = OpamUid.computeUid(makeManifest());
+  expect(uid).toMatch(/^[0-9a-f]{40}$/);
+
+  const reordered = makeManifest();
+  reordered.dependencies = {'@esy-ocaml/substs': '^0.0.1', '@opam/bar': '*'};
+  reordered.opam.files.reverse();
+  expect(OpamUid.computeUid(reordered)).toBe(uid);
+
+  const cosmetic = makeManifest();
+  cosmetic.description = 'Foo library';
+  cosmetic.devDependencies = {};
+  cosmetic._esy_opam_patches = [];
+  cosmetic.opam.repository = 'https://example.com/mirror.git';
+  cosmetic.opam.overrides = [{spec: 'foo.1.0.0', versionRange: '1.0.0', fields: []}];
+  expect(OpamUid.computeUid(cosmetic)).toBe(uid);
+});
+
+test('computeUid changes with the semantically relevant fields', () => {
+  const uid = OpamUid.computeUid(makeManifest());
+  const changes = [
+    manifest => (manifest.opam.url = 'https://example.com/foo-fixed.tar.gz'),
+    manifest => (manifest.opam.checksums = []),
+    manifest => (manifest.opam.patches = []),
+    // patches are applied in order
+    manifest => manifest.opam.patches.reverse(),
+    manifest => (manifest.opam.files[0].content = 'c'),
+    manifest => (manifest.esy.build = [['make']]),
+    manifest => (manifest.esy.install = [['make', 'install-all']]),
+    manifest => (manifest.dependencies['@opam/baz'] = '*'),
+    manifest => (manifest.peerDependencies.ocaml = '>= 4.6.0'),
+  ];
+  for (const change of changes) {
+    const manifest = makeManifest();
+    change(manifest);
+    expect(OpamUid.computeUid(manifest)).not.toBe(uid);
+  }
+});
+
+test('isLegacyUid', () => {
+  expect(OpamUid.isLegacyUid('d41d8cd98f00b204e9800998ecf8427e')).toBe(true);
+  expect(OpamUid.isLegacyUid(OpamUid.computeUid(makeManifest()))).toBe(false);
+});
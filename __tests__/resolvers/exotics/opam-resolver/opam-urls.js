@@ -0,0 +1,106 @@
+/* @flow */
+
+jest.mock('request', () =>
+  jest.fn((options, callback) => {
+    const mock = require('request');
+    callback(null, mock.nextResponse, mock.nextResponse.body);
+  }),
+);
+jest.mock('../../../../src/util/network.js', () => ({isOffline: () => false}));
+
+import * as fs from '../../../../src/util/fs.js';
+import {NoopReporter} from '../../../../src/reporters/index.js';
+import {CACHE_VERSION, fetchIndex} from '../../../../src/resolvers/exotics/opam-resolver/opam-urls.js';
+
+const path = require('path');
+const request = require('request');
+
+const URLS_TXT = 'archives/foo.1.0.0+opam.tar.gz c65d2d26792ad4d51e0c88ae5d41cc5a 0o664\n';
+
+async function makeConfig(options?: Object = {}): Promise<Object> {
+  const cacheFolder = await fs.makeTempDir();
+  return {
+    cacheFolder,
+    offline: false,
+    preferOffline: false,
+    reporter: new NoopReporter(),
+    getOption: key => options[key],
+    ...options,
+  };
+}
+
+function respond(statusCode: number, body?: string = '', headers?: Object = {}) {
+  request.nextResponse = {statusCode, headers, body};
+}
+
+beforeEach(() => {
+  request.mockClear();
+});
+
+test('fetchIndex fetches and caches the index', async () => {
+  const config = await makeConfig();
+  respond(200, URLS_TXT, {etag: '"abc"'});
+
+  const index = await fetchIndex((config: any));
+  expect(index.archives.foo['1.0.0'].checksum).toBe('c65d2d26792ad4d51e0c88ae5d41cc5a');
+
+  const cached = JSON.parse(await fs.readFile(path.join(config.cacheFolder, 'opam-urls')));
+  expect(cached.version).toBe(CACHE_VERSION);
+  expect(cached.etag).toBe('"abc"');
+});
+
+test('fetchIndex uses the cached index without requests while it is fresh', async () => {
+  const config = await makeConfig();
+  respond(200, URLS_TXT);
+  await fetchIndex((config: any));
+  request.mockClear();
+
+  const index = await fetchIndex((config: any));
+  expect(request).not.toBeCalled();
+  expect(index.archives.foo).toBeDefined();
+});
+
+test('fetchIndex revalidates the stale index with a conditional request', async () => {
+  const config = await makeConfig({'opam-urls-ttl': 0});
+  respond(200, URLS_TXT, {etag: '"abc"'});
+  await fetchIndex((config: any));
+
+  respond(304);
+  const index = await fetchIndex((config: any));
+  expect(request.mock.calls[1][0].method).toBe('GET');
+  expect(request.mock.calls[1][0].headers['If-None-Match']).toBe('"abc"');
+  expect(index.archives.foo).toBeDefined();
+});
+
+test('fetchIndex uses the stale index when offline', async () => {
+  const config = await makeConfig({'opam-urls-ttl': 0});
+  respond(200, URLS_TXT);
+  await fetchIndex((config: any));
+  request.mockClear();
+
+  config.offline = true;
+  const index = await fetchIndex((config: any));
+  expect(request).not.toBeCalled();
+  expect(index.archives.foo).toBeDefined();
+});
+
+test('fetchIndex does not make requests when offline without the cached index', async () => {
+  const config = await makeConfig({offline: true});
+
+  const index = await fetchIndex((config: any));
+  expect(request).not.toBeCalled();
+  expect(index.archives).toEqual({});
+});
+
+test('fetchIndex rebuilds corrupt and outdated cached index', async () => {
+  const config = await makeConfig();
+  const cachePath = path.join(config.cacheFolder, 'opam-urls');
+
+  await fs.writeFile(cachePath, '{"cacheKey": "x", "arch');
+  respond(200, URLS_TXT);
+  expect((await fetchIndex((config: any))).archives.foo).toBeDefined();
+
+  await fs.writeFile(cachePath, JSON.stringify({cacheKey: 'x', archives: {}}));
+  expect((await fetchIndex((config: any))).archives.foo).toBeDefined();
+  expect(request).toHaveBeenCalledTimes(2);
+});
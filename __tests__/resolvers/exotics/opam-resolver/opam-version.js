@@ -0,0 +1,62 @@
+/* @flow */
+
+import {
+  isOpamFormula,
+  isValidRange,
+  parseRange,
+  satisfies,
+  sortDescending,
+} from '../../../../src/resolvers/exotics/opam-resolver/opam-version.js';
+
+const v = (opamVersion: string, version: string) => ({opamVersion, version});
+
+test('isOpamFormula detects opam formula syntax', () => {
+  expect(isOpamFormula('>= "1.0" & < "2.0"')).toBe(true);
+  expect(isOpamFormula('= "1.0" | = "2.0"')).toBe(true);
+  expect(isOpamFormula('!= "1.0"')).toBe(true);
+  expect(isOpamFormula('^1.0.0')).toBe(false);
+  expect(isOpamFormula('>=1.0.0 <2.0.0 || 3.x')).toBe(false);
+});
+
+test('isValidRange accepts semver ranges and opam formulas', () => {
+  expect(isValidRange('*')).toBe(true);
+  expect(isValidRange('^1.2.0')).toBe(true);
+  expect(isValidRange('>= "v0.11.0" & < "v0.12.0"')).toBe(true);
+  expect(isValidRange('(>= "1.0" | = "dev") & != "1.2+beta"')).toBe(true);
+  expect(isValidRange('>= "1.0" &')).toBe(false);
+  expect(isValidRange('>= "1.0')).toBe(false);
+  expect(isValidRange('not a range')).toBe(false);
+});
+
+test('sortDescending uses opam version ordering', () => {
+  const versions = ['v0.9.0', 'v0.11.0', '4.02.3', '4.02.3+flambda', '1.0~beta1', '1.0'];
+  expect(sortDescending(versions, x => x)).toEqual([
+    'v0.11.0',
+    'v0.9.0',
+    '4.02.3+flambda',
+    '4.02.3',
+    '1.0',
+    '1.0~beta1',
+  ]);
+});
+
+test('satisfies matches opam formulas against opam versions', () => {
+  const formula = parseRange('>= "v0.10.0" & < "v0.12.0"');
+  expect(satisfies(v('v0.11.0', '100000000.11.0'), formula)).toBe(true);
+  expect(satisfies(v('v0.9.0', '100000000.9.0'), formula)).toBe(false);
+  expect(satisfies(v('v0.12.0', '100000000.12.0'), formula)).toBe(false);
+
+  expect(satisfies(v('4.02.3+flambda', '4.2.3-flambda'), parseRange('> "4.02.3"'))).toBe(true);
+  expect(satisfies(v('1.2', '1.2.0'), parseRange('!= "1.2"'))).toBe(false);
+  expect(satisfies(v('1.3', '1.3.0'), parseRange('!= "1.2"'))).toBe(true);
+  expect(satisfies(v('2.0', '2.0.0'), parseRange('= "1.0" | = "2.0"'))).toBe(true);
+  expect(satisfies(v('1.0', '1.0.0'), parseRange('"1.0"'))).toBe(true);
+  expect(satisfies(v('1.0', '1.0.0'), parseRange('!(>= "1.0")'))).toBe(false);
+});
+
+test('satisfies matches semver ranges against rendered versions ignoring prereleases', () => {
+  expect(satisfies(v('1.2+beta', '1.2.0-beta'), parseRange('^1.2.0'))).toBe(true);
+  expect(satisfies(v('1.2+beta', '1.2.0-beta'), parseRange('*'))).toBe(true);
+  expect(satisfies(v('2.0', '2.0.0'), parseRange('^1.2.0'))).toBe(false);
+  expect(satisfies(v('dev', 'dev'), parseRange('^1.2.0'))).toBe(false);
+});
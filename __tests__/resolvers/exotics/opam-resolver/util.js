@@ -0,0 +1,189 @@
+/* @flow */
+
+import lockfile from 'proper-lockfile';
+import * as child from '../../../../src/util/child.js';
+import * as fs from '../../../../src/util/fs.js';
+import {
+  cloneOrUpdateRepository,
+  gitCurrentBranchName,
+  gitReadHead,
+} from '../../../../src/resolvers/exotics/opam-resolver/util.js';
+
+jest.mock('../../../../src/util/network.js', () => ({isOffline: () => false}));
+
+const path = require('path');
+
+function git(cwd: string, ...args: Array<string>): Promise<string> {
+  return child.spawn('git', ['-c', 'user.name=esy', '-c', 'user.email=esy@example.com', ...args], {cwd});
+}
+
+async function commitFile(repo: string, filename: string, content: string): Promise<string> {
+  await fs.writeFile(path.join(repo, filename), content);
+  await git(repo, 'add', filename);
+  await git(repo, 'commit', '-q', '-m', `update ${filename}`);
+  return gitReadHead(repo);
+}
+
+async function makeRemote(): Promise<{remote: string, checkoutPath: string}> {
+  const root = await fs.makeTempDir();
+  const remote = path.join(root, 'remote');
+  await fs.mkdirp(remote);
+  await git(remote, 'init', '-q');
+  await git(remote, 'checkout', '-q', '-b', 'master');
+  await commitFile(remote, 'README', 'first\n');
+  return {remote, checkoutPath: path.join(root, 'cache', 'checkout')};
+}
+
+test('follows the branch after it was force-pushed', async () => {
+  const {remote, checkoutPath} = await makeRemote();
+  await commitFile(remote, 'README', 'second\n');
+  await cloneOrUpdateRepository(remote, checkoutPath);
+  expect(await gitReadHead(checkoutPath)).toBe(await gitReadHead(remote));
+
+  await git(remote, 'reset', '-q', '--hard', 'HEAD~1');
+  const rewritten = await commitFile(remote, 'README', 'rewritten\n');
+  const onUpdate = jest.fn();
+  await cloneOrUpdateRepository(remote, checkoutPath, {onUpdate});
+
+  expect(onUpdate).toHaveBeenCalled();
+  expect(await gitReadHead(checkoutPath)).toBe(rewritten);
+  expect(await fs.readFile(path.join(checkoutPath, 'README'))).toBe('rewritten\n');
+});
+
+test('switches the checkout to another branch', async () => {
+  const {remote, checkoutPath} = await makeRemote();
+  await cloneOrUpdateRepository(remote, checkoutPath);
+
+  await git(remote, 'checkout', '-q', '-b', 'next');
+  const next = await commitFile(remote, 'README', 'next\n');
+  await cloneOrUpdateRepository(remote, checkoutPath, {branch: 'next'});
+
+  expect(await gitReadHead(checkoutPath)).toBe(next);
+});
+
+test('clones the repository again if the checkout is broken', async () => {
+  const {remote, checkoutPath} = await makeRemote();
+  await cloneOrUpdateRepository(remote, checkoutPath);
+  await fs.unlink(path.join(checkoutPath, '.git', 'objects'));
+  await fs.mkdirp(path.join(checkoutPath, '.git', 'objects'));
+
+  const onClone = jest.fn();
+  await cloneOrUpdateRepository(remote, checkoutPath, {onClone, forceUpdate: false});
+
+  expect(onClone).toHaveBeenCalled();
+  expect(await gitReadHead(checkoutPath)).toBe(await gitReadHead(remote));
+});
+
+test('removes leftovers of interrupted clones and keeps the checkout if the clone fails', async () => {
+  const {remote, checkoutPath} = await makeRemote();
+  await cloneOrUpdateRepository(remote, checkoutPath);
+  await fs.mkdirp(`${checkoutPath}.tmp-12345`);
+  await fs.unlink(path.join(checkoutPath, '.git', 'objects'));
+
+  let error;
+  try {
+    await cloneOrUpdateRepository(path.join(remote, 'missing'), checkoutPath);
+  } catch (err) {
+    error = err;
+  }
+
+  expect(error).toBeTruthy();
+  expect(await fs.readdir(path.dirname(checkoutPath))).toEqual(['checkout', 'checkout.commits']);
+  expect(await fs.readFile(path.join(checkoutPath, 'README'))).toBe('first\n');
+});
+
+test('waits for another process syncing the checkout', async () => {
+  const {remote, checkoutPath} = await makeRemote();
+  await fs.mkdirp(path.dirname(checkoutPath));
+  const release = await new Promise((resolve, reject) => {
+    lockfile.lock(checkoutPath, {realpath: false}, (err, release) => (err ? reject(err) : resolve(release)));
+  });
+
+  const onWait = jest.fn();
+  const sync = cloneOrUpdateRepository(remote, checkoutPath, {onWait});
+  await new Promise(resolve => setTimeout(resolve, 200));
+  expect(onWait).toHaveBeenCalled();
+  expect(await fs.exists(checkoutPath)).toBe(false);
+
+  release();
+  await sync;
+  expect(await gitReadHead(checkoutPath)).toBe(await gitReadHead(remote));
+  expect(await fs.exists(`${checkoutPath}.lock`)).toBe(false);
+});
+
+test('checks out pinned commits into their own directories', async () => {
+  const {remote, checkoutPath} = await makeRemote();
+  const first = await gitReadHead(remote);
+  const second = await commitFile(remote, 'README', 'second\n');
+  expect((await cloneOrUpdateRepository(remote, checkoutPath)).commit).toBe(second);
+
+  const pinned = await cloneOrUpdateRepository(remote, checkoutPath, {commit: first});
+  expect(pinned.commit).toBe(first);
+  expect(pinned.path).not.toBe(checkoutPath);
+  expect(await fs.readFile(path.join(pinned.path, 'README'))).toBe('first\n');
+
+  // the shared checkout stays on the branch
+  expect(await gitCurrentBranchName(checkoutPath)).toBe('master');
+  expect(await fs.readFile(path.join(checkoutPath, 'README'))).toBe('second\n');
+
+  // the checkout of the commit is reused
+  const onUpdate = jest.fn();
+  expect(await cloneOrUpdateRepository(remote, checkoutPath, {commit: first, onUpdate})).toEqual(pinned);
+  expect(onUpdate).not.toHaveBeenCalled();
+});
+
+test('keeps the files of the commit while the checkout is synced again', async () => {
+  const {remote, checkoutPath} = await makeRemote();
+  const first = await cloneOrUpdateRepository(remote, checkoutPath);
+  expect(first.path).not.toBe(checkoutPath);
+  expect(await fs.readFile(path.join(first.path, 'README'))).toBe('first\n');
+
+  // the checkout is replaced by a fresh clone
+  await fs.unlink(path.join(checkoutPath, '.git', 'objects'));
+  await fs.mkdirp(path.join(checkoutPath, '.git', 'objects'));
+  const second = await commitFile(remote, 'README', 'second\n');
+  const updated = await cloneOrUpdateRepository(remote, checkoutPath);
+
+  expect(updated.commit).toBe(second);
+  expect(await fs.readFile(path.join(updated.path, 'README'))).toBe('second\n');
+  expect(await fs.readFile(path.join(first.path, 'README'))).toBe('first\n');
+});
+
+test('checks out only the files which changed since the last used commit', async () => {
+  const {remote, checkoutPath} = await makeRemote();
+  await fs.mkdirp(path.join(remote, 'packages', 'old'));
+  await commitFile(remote, 'packages/old/opam', 'old\n');
+  await commitFile(remote, 'UNCHANGED', 'unchanged\n');
+  const first = await cloneOrUpdateRepository(remote, checkoutPath);
+
+  await git(remote, 'rm', '-q', 'packages/old/opam');
+  await fs.mkdirp(path.join(remote, 'packages', 'new'));
+  await commitFile(remote, 'packages/new/opam', 'new\n');
+  await commitFile(remote, 'README', 'second\n');
+  const second = await cloneOrUpdateRepository(remote, checkoutPath);
+
+  expect(await fs.readFile(path.join(second.path, 'README'))).toBe('second\n');
+  expect(await fs.readFile(path.join(first.path, 'README'))).toBe('first\n');
+  expect(await fs.readdir(path.join(second.path, 'packages'))).toEqual(['new']);
+  expect(await fs.readFile(path.join(second.path, 'packages', 'new', 'opam'))).toBe('new\n');
+  const [unchanged, linked] = await Promise.all(
+    [first.path, second.path].map(dir => fs.lstat(path.join(dir, 'UNCHANGED'))),
+  );
+  expect(linked.ino).toBe(unchanged.ino);
+});
+
+test('removes checkouts of commits which were not used for a day', async () => {
+  const {remote, checkoutPath} = await makeRemote();
+  const first = await cloneOrUpdateRepository(remote, checkoutPath);
+  await commitFile(remote, 'README', 'second\n');
+  const second = await cloneOrUpdateRepository(remote, checkoutPath);
+
+  const past = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+  await fs.utimes(first.path, past, past);
+  await fs.utimes(second.path, past, past);
+  await cloneOrUpdateRepository(remote, checkoutPath);
+
+  expect(await fs.exists(first.path)).toBe(false);
+  // the commit used by this sync is kept
+  expect(await fs.exists(second.path)).toBe(true);
+});
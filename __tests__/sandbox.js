@@ -0,0 +1,45 @@
+/* @flow */
+
+import {BufferReporter} from '../src/reporters/index.js';
+import {applySandbox, getLockfileFilename, getSandboxNames} from '../src/sandbox.js';
+
+const reporter = new BufferReporter({stdout: null, stdin: null});
+
+test('sandboxes have their own lockfiles', () => {
+  expect(getLockfileFilename(null)).toEqual('esy.lock');
+  expect(getLockfileFilename('js')).toEqual('esy.js.lock');
+});
+
+test('sandbox names are sorted', () => {
+  expect(getSandboxNames({sandboxes: {js: {}, ocaml: {}, bytecode: {}}}, reporter)).toEqual([
+    'bytecode',
+    'js',
+    'ocaml',
+  ]);
+  expect(getSandboxNames({}, reporter)).toEqual([]);
+});
+
+test('sandboxes add, override and remove dependencies and resolutions', () => {
+  const manifest = {
+    dependencies: {a: '^1.0.0', b: '^1.0.0'},
+    devDependencies: {d: '^1.0.0'},
+    resolutions: {ocaml: '4.6.0'},
+    sandboxes: {
+      js: {
+        dependencies: {a: '^2.0.0', b: null, c: '^1.0.0'},
+        resolutions: {ocaml: '4.2.3'},
+      },
+    },
+  };
+  applySandbox(manifest, 'js', reporter);
+  expect(manifest.dependencies).toEqual({a: '^2.0.0', c: '^1.0.0'});
+  expect(manifest.devDependencies).toEqual({d: '^1.0.0'});
+  expect(manifest.resolutions).toEqual({ocaml: '4.2.3'});
+});
+
+test('invalid sandboxes are rejected', () => {
+  expect(() => applySandbox({}, 'js', reporter)).toThrow(/Sandbox "js" isn't declared/);
+  expect(() => applySandbox({sandboxes: []}, 'js', reporter)).toThrow(/must be an object of sandboxes/);
+  expect(() => applySandbox({sandboxes: {js: 'ocaml'}}, 'js', reporter)).toThrow(/Sandbox "js" must be an object/);
+  expect(() => getSandboxNames({sandboxes: {'../js': {}}}, reporter)).toThrow(/Invalid sandbox name "..\/js"/);
+});
@@ -0,0 +1,110 @@
+/* @flow */
+
+import {MessageError, SecurityError} from '../../src/errors.js';
+import * as fs from '../../src/util/fs.js';
+import {detectFormat, extractArchive, readHeader} from '../../src/util/archive.js';
+
+const path = require('path');
+
+const fixturesLoc = path.join(__dirname, '..', 'fixtures', 'archive');
+
+// archives are copied without extension as the format is detected from the contents
+async function extractFixture(name: string): Promise<{dest: string, root: string}> {
+  const dir = await fs.makeTempDir();
+  const filename = path.join(dir, 'archive');
+  await fs.writeFile(filename, await fs.readFileBuffer(path.join(fixturesLoc, name)));
+  const dest = path.join(dir, 'dest');
+  const root = await extractArchive(filename, dest);
+  return {dest, root};
+}
+
+async function expectError(promise: Promise<mixed>, errorClass: Class<Error>, message: RegExp): Promise<void> {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeInstanceOf(errorClass);
+  expect(error && error.message).toMatch(message);
+}
+
+test('detectFormat detects archives by magic bytes', async () => {
+  const formats = {
+    'source.tar': 'tar',
+    'source.tar.gz': 'gzip',
+    'source.tar.bz2': 'bzip2',
+    'source.tar.xz': 'xz',
+    'source.zip': 'zip',
+    'unknown.txt': null,
+  };
+  for (const name of Object.keys(formats)) {
+    expect(detectFormat(await readHeader(path.join(fixturesLoc, name)))).toBe(formats[name]);
+  }
+  expect(detectFormat(new Buffer(0))).toBe(null);
+});
+
+for (const name of ['source.tar', 'source.tar.gz', 'source.tar.bz2', 'source.tar.xz', 'source.zip']) {
+  test(`extractArchive extracts ${name} and strips the top-level directory`, async () => {
+    const {dest, root} = await extractFixture(name);
+    expect(root).toBe(path.join(dest, 'source-1.0.0'));
+    expect(await fs.readFile(path.join(root, 'README'))).toBe('hello\n');
+    expect(await fs.readFile(path.join(root, 'src', 'main.ml'))).toBe('let () = print_endline "hello"\n');
+  });
+}
+
+test('extractArchive extracts xz archives with the xz command if lzma-native is missing', async () => {
+  jest.resetModules();
+  jest.doMock('lzma-native', () => {
+    throw new Error('lzma-native is not built');
+  });
+  try {
+    const archive = require('../../src/util/archive.js');
+    const dir = await fs.makeTempDir();
+    const root = await archive.extractArchive(path.join(fixturesLoc, 'source.tar.xz'), path.join(dir, 'dest'));
+    expect(path.basename(root)).toBe('source-1.0.0');
+    expect(await fs.readFile(path.join(root, 'README'))).toBe('hello\n');
+  } finally {
+    jest.dontMock('lzma-native');
+  }
+});
+
+test('extractArchive keeps archives without a single top-level directory as is', async () => {
+  const {dest, root} = await extractFixture('flat.tar.gz');
+  expect(root).toBe(dest);
+  expect((await fs.readdir(dest)).sort()).toEqual(['LICENSE', 'README']);
+});
+
+test('extractArchive rejects unknown formats', async () => {
+  await expectError(extractFixture('unknown.txt'), MessageError, /unknown archive format/);
+});
+
+test('extractArchive rejects entries outside of the destination', async () => {
+  await expectError(extractFixture('escape.tar.gz'), SecurityError, /points outside of the destination/);
+  await expectError(extractFixture('escape.zip'), SecurityError, /points outside of the destination/);
+});
+
+test('extractArchive rejects symlinks outside of the destination', async () => {
+  await expectError(extractFixture('escape-symlink.tar.gz'), SecurityError, /links to .* outside of the destination/);
+});
+
+test('extractArchive rejects paths through symlinks of the archive', async () => {
+  // `l1 -> .` and `l1/l2 -> ..` point inside on their own
+  await expectError(extractFixture('escape-symlink-chain.tar.gz'), SecurityError, /through a symlink/);
+  // `b -> a/..` comes before `a -> .`
+  await expectError(extractFixture('escape-symlink-chain-reversed.tar.gz'), SecurityError, /through a symlink/);
+});
+
+test('extractArchive keeps symlinks to symlinks', async () => {
+  const {root} = await extractFixture('symlinks.tar.gz');
+  expect(await fs.readlink(path.join(root, 'lib.so'))).toBe('lib.so.1');
+  expect(await fs.readFile(path.join(root, 'lib.so'))).toBe('lib\n');
+});
+
+test('extractArchive replaces symlinks of zip archives with copies', async () => {
+  const {root} = await extractFixture('symlinks.zip');
+  expect((await fs.lstat(path.join(root, 'README.md'))).isSymbolicLink()).toBe(false);
+  expect(await fs.readFile(path.join(root, 'README.md'))).toBe('hello\n');
+
+  await expectError(extractFixture('escape-symlink.zip'), Error, /Symlink links outside archive/);
+});
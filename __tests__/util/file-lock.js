@@ -0,0 +1,90 @@
+/* @flow */
+
+import * as fileLock from '../../src/util/file-lock.js';
+import * as fs from '../../src/util/fs.js';
+import {wait} from '../../src/util/promise.js';
+
+const nodeFs = require('fs');
+const path = require('path');
+
+test('waits for the lock to be released', async () => {
+  const filename = path.join(await fs.makeTempDir(), 'entry');
+  const order = [];
+  const release = await fileLock.lock(filename);
+
+  const onWait = jest.fn();
+  const waiting = fileLock.withLock(
+    filename,
+    () => {
+      order.push('second');
+      return Promise.resolve();
+    },
+    {onWait},
+  );
+  await new Promise(resolve => setTimeout(resolve, 100));
+  order.push('first');
+  await release();
+  await waiting;
+
+  expect(onWait).toHaveBeenCalledTimes(1);
+  expect(order).toEqual(['first', 'second']);
+  expect(await fs.exists(`${filename}.lock`)).toBe(false);
+});
+
+test('takes over a lock left by a process which died', async () => {
+  const filename = path.join(await fs.makeTempDir(), 'entry');
+  await fs.mkdirp(`${filename}.lock`);
+  const past = new Date(Date.now() - 60000);
+  nodeFs.utimesSync(`${filename}.lock`, past, past);
+
+  const onWait = jest.fn();
+  expect(await fileLock.withLock(filename, () => Promise.resolve('done'), {onWait})).toBe('done');
+  expect(onWait).not.toHaveBeenCalled();
+});
+
+test('releases the lock if the work fails', async () => {
+  const filename = path.join(await fs.makeTempDir(), 'nested', 'entry');
+  let error;
+  try {
+    await fileLock.withLock(filename, () => Promise.reject(new Error('failed')));
+  } catch (err) {
+    error = err;
+  }
+
+  expect(error && error.message).toBe('failed');
+  expect(await fs.exists(`${filename}.lock`)).toBe(false);
+});
+
+test('fails the work if the lock is compromised once the work stopped', async () => {
+  const filename = path.join(await fs.makeTempDir(), 'entry');
+  const steps = [];
+
+  let error;
+  try {
+    await fileLock.withLock(
+      filename,
+      async held => {
+        // another process considered the lock stale and removed it
+        await fs.unlink(`${filename}.lock`);
+        for (;;) {
+          try {
+            held.check();
+          } catch (err) {
+            steps.push(err.code);
+            break;
+          }
+          await wait(100);
+        }
+        steps.push('stopped');
+        return 'done';
+      },
+      {stale: 2000},
+    );
+  } catch (err) {
+    error = err;
+    steps.push('rejected');
+  }
+
+  expect(error && error.code).toBe('ECOMPROMISED');
+  expect(steps).toEqual(['ECOMPROMISED', 'stopped', 'rejected']);
+});
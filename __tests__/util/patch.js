@@ -0,0 +1,166 @@
+/* @flow */
+
+import {PatchError} from '../../src/errors.js';
+import * as fs from '../../src/util/fs.js';
+import {applyPatch} from '../../src/util/patch.js';
+
+const path = require('path');
+
+const ORIGINAL = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'].join('\n') + '\n';
+
+const PATCH = `diff --git a/src/numbers.txt b/src/numbers.txt
+--- a/src/numbers.txt
++++ b/src/numbers.txt
+@@ -3,5 +3,5 @@
+ three
+ four
+-five
++FIVE
+ six
+ seven
+`;
+
+async function makeDir(files: {[name: string]: string}): Promise<string> {
+  const dir = await fs.makeTempDir();
+  for (const name of Object.keys(files)) {
+    await fs.mkdirp(path.dirname(path.join(dir, name)));
+    await fs.writeFile(path.join(dir, name), files[name]);
+  }
+  return dir;
+}
+
+async function expectPatchError(promise: Promise<void>, message: RegExp): Promise<PatchError> {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeInstanceOf(PatchError);
+  expect(error && error.message).toMatch(message);
+  return (error: any);
+}
+
+test('applies hunks', async () => {
+  const dir = await makeDir({'src/numbers.txt': ORIGINAL});
+  await applyPatch(dir, PATCH);
+  expect(await fs.readFile(path.join(dir, 'src/numbers.txt'))).toBe(ORIGINAL.replace('five', 'FIVE'));
+});
+
+test('preserves the bytes of files which are not UTF-8', async () => {
+  // Latin-1 "café" on the line the patch doesn't touch
+  const latin1 = Buffer.concat([Buffer.from('caf'), Buffer.from([0xe9]), Buffer.from('\n' + ORIGINAL)]);
+  const dir = await makeDir({});
+  await fs.mkdirp(path.join(dir, 'src'));
+  await fs.writeFile(path.join(dir, 'src/numbers.txt'), (latin1: any));
+  await applyPatch(dir, PATCH);
+  const patched = await fs.readFileBuffer(path.join(dir, 'src/numbers.txt'));
+  expect(patched.equals(Buffer.from(latin1.toString('latin1').replace('five', 'FIVE'), 'latin1'))).toBe(true);
+});
+
+test('matches non-ASCII lines of the patch against UTF-8 files', async () => {
+  const dir = await makeDir({'src/numbers.txt': ORIGINAL.replace('four', 'vier ü')});
+  await applyPatch(dir, PATCH.replace(' four', ' vier ü'));
+  expect(await fs.readFile(path.join(dir, 'src/numbers.txt'))).toBe(
+    ORIGINAL.replace('four', 'vier ü').replace('five', 'FIVE'),
+  );
+});
+
+test('applies patches which are not UTF-8 given as a Buffer', async () => {
+  // Latin-1 "café" in a context line and in an added line
+  const latin1 = (text: string): Buffer => Buffer.from(text, 'latin1');
+  const dir = await makeDir({});
+  await fs.mkdirp(path.join(dir, 'src'));
+  await fs.writeFile(path.join(dir, 'src/numbers.txt'), (latin1(ORIGINAL.replace('four', 'caf\u00e9')): any));
+  await applyPatch(dir, latin1(PATCH.replace(' four', ' caf\u00e9').replace('+FIVE', '+f\u00fcnf')));
+  const patched = await fs.readFileBuffer(path.join(dir, 'src/numbers.txt'));
+  expect(patched.equals(latin1(ORIGINAL.replace('four', 'caf\u00e9').replace('five', 'f\u00fcnf')))).toBe(true);
+});
+
+test('applies hunks at an offset', async () => {
+  const dir = await makeDir({'src/numbers.txt': 'zero\nzero\n' + ORIGINAL});
+  await applyPatch(dir, PATCH);
+  expect(await fs.readFile(path.join(dir, 'src/numbers.txt'))).toBe('zero\nzero\n' + ORIGINAL.replace('five', 'FIVE'));
+});
+
+test('applies hunks with fuzz', async () => {
+  const dir = await makeDir({'src/numbers.txt': ORIGINAL.replace('three', '3').replace('seven', '7')});
+
+  await expectPatchError(applyPatch(dir, PATCH, {fuzz: 0}), /Hunk #1 FAILED at 3/);
+
+  await applyPatch(dir, PATCH, {fuzz: 1});
+  expect(await fs.readFile(path.join(dir, 'src/numbers.txt'))).toBe(
+    ORIGINAL.replace('three', '3').replace('seven', '7').replace('five', 'FIVE'),
+  );
+});
+
+test('strips leading path components', async () => {
+  const dir = await makeDir({'numbers.txt': ORIGINAL});
+  await applyPatch(dir, PATCH, {strip: 2});
+  expect(await fs.readFile(path.join(dir, 'numbers.txt'))).toBe(ORIGINAL.replace('five', 'FIVE'));
+
+  const dir0 = await makeDir({'a/src/numbers.txt': ORIGINAL});
+  await applyPatch(dir0, PATCH, {strip: 0});
+  expect(await fs.readFile(path.join(dir0, 'a/src/numbers.txt'))).toBe(ORIGINAL.replace('five', 'FIVE'));
+});
+
+test('creates and deletes files', async () => {
+  const dir = await makeDir({'old.txt': 'bye\n'});
+  await applyPatch(
+    dir,
+    `--- /dev/null
++++ b/new/file.txt
+@@ -0,0 +1,2 @@
++hello
++world
+\\ No newline at end of file
+--- a/old.txt
++++ /dev/null
+@@ -1 +0,0 @@
+-bye
+`,
+  );
+  expect(await fs.readFile(path.join(dir, 'new/file.txt'))).toBe('hello\nworld');
+  expect(await fs.exists(path.join(dir, 'old.txt'))).toBe(false);
+});
+
+test('detects reversed patches', async () => {
+  const dir = await makeDir({'src/numbers.txt': ORIGINAL.replace('five', 'FIVE')});
+  await expectPatchError(applyPatch(dir, PATCH), /Reversed \(or previously applied\) patch detected/);
+});
+
+test('reports rejected hunk and leaves files untouched', async () => {
+  const dir = await makeDir({'src/numbers.txt': ORIGINAL, 'other.txt': 'a\nb\nc\n'});
+  const error = await expectPatchError(
+    applyPatch(
+      dir,
+      `--- a/other.txt
++++ b/other.txt
+@@ -1,3 +1,3 @@
+ a
+-b
++B
+ c
+--- a/src/numbers.txt
++++ b/src/numbers.txt
+@@ -1,3 +1,3 @@
+ uno
+-dos
++DOS
+ tres
+`,
+    ),
+    /Hunk #1 FAILED at 1 in b\/src\/numbers.txt/,
+  );
+  expect(error.filename).toBe('b/src/numbers.txt');
+  expect(error.hunk).toMatch(/-dos/);
+  expect(await fs.readFile(path.join(dir, 'other.txt'))).toBe('a\nb\nc\n');
+});
+
+test('refuses to patch files outside of the directory', async () => {
+  const dir = await makeDir({});
+  await expectPatchError(
+    applyPatch(dir, '--- /dev/null\n+++ b/../escape.txt\n@@ -0,0 +1 @@\n+x\n'),
+    /outside of the target directory/,
+  );
+});
@@ -38,6 +38,9 @@ cp LICENSE dist/
 # Only use the legacy version for NPM builds so we are compatible
 # with any Node >= 4 and still small in terms of size.
 cp artifacts/yarn-legacy-$version.js dist/lib/cli.js
+cp artifacts/esy-install-api-$version.js dist/lib/api.js
+# opam files are parsed in worker processes which are forked from a separate file
+cp src/resolvers/exotics/opam-resolver/opam-worker.js dist/lib/opam-worker.js
 cp bin/{yarn.js,yarn,yarnpkg,*.cmd} dist/bin/
 chmod +x dist/bin/*
 
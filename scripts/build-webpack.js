@@ -25,7 +25,9 @@ const externals =  {
     commonjs: '@esy-ocaml/esy-opam',
     commonjs2: '@esy-ocaml/esy-opam',
   },
-  'esy-bash': 'esy-bash'
+  'esy-bash': 'esy-bash',
+  // native addon, can't be bundled
+  'lzma-native': 'lzma-native',
 };
 
 //
@@ -36,6 +38,7 @@ const compiler = webpack({
   // devtool: 'inline-source-map',
   entry: {
     [`artifacts/yarn-${version}.js`]: path.join(basedir, 'src/cli/index.js'),
+    [`artifacts/esy-install-api-${version}.js`]: path.join(basedir, 'src/api.js'),
     'packages/lockfile/index.js': path.join(basedir, 'src/lockfile/index.js'),
   },
   module: {
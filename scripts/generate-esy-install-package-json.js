@@ -14,6 +14,9 @@ const releasePackageJson = {
   dependencies: {
     "@esy-ocaml/esy-opam": packageJson.dependencies["@esy-ocaml/esy-opam"]
   },
+  optionalDependencies: {
+    "lzma-native": packageJson.optionalDependencies["lzma-native"]
+  },
   engines: packageJson.engines,
   repository: packageJson.repository,
   bin: packageJson.bin,
@@ -5,7 +5,8 @@
  * - It has an `installationMethod` field that's set to the method used to
  *   install Yarn (eg. "tar", "brew", "msi")
  * - It doesn't include any of the dependencies, as they are bundled in the Yarn
- *   JS file itself.
+ *   JS file itself, except for the ones which are kept out of the bundle (see
+ *   `externals` in build-webpack.js) and must be installed at runtime.
  */
 
 const fs = require('fs');
@@ -18,7 +19,14 @@ if (!packageManifest.installationMethod) {
   throw new Error('You need to specify an installation method.');
 }
 
-delete packageManifest.dependencies;
+const runtimeDependencies = ['@esy-ocaml/esy-opam'];
+
+const dependencies = {};
+for (const name of runtimeDependencies) {
+  dependencies[name] = packageManifest.dependencies[name];
+}
+packageManifest.dependencies = dependencies;
+// optional dependencies (native addons, see src/util/archive.js) are kept
 delete packageManifest.devDependencies;
 delete packageManifest.scripts;
 delete packageManifest.jest;
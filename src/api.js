@@ -1 +1,287 @@
-/* @flow */
+/**
+ * Programmatic API for tools which drive installs in-process instead of
+ * spawning the CLI and parsing the output of the JSON reporter.
+ *
+ *   const api = require('@esy-ocaml/esy-install');
+ *
+ *   const project = await api.open({cwd, onEvent: event => console.log(event.type)});
+ *   const graph = await project.resolve();
+ *   await project.fetch();
+ *   await project.link();
+ *   await project.writeLockfile();
+ *
+ * Steps run in this order, each one requires the previous ones. `install()`
+ * does all of them at once. Lifecycle scripts aren't run, packages are built
+ * by esy.
+ *
+ * Progress is reported to `onEvent` with the events the JSON reporter
+ * prints: `{type: 'step' | 'activityTick' | 'warning' | ..., data}`, each of
+ * the steps starts with a `step` event.
+ *
+ * @flow
+ */
+
+import type {Manifest} from './types.js';
+import type {ConfigOptions} from './config.js';
+import type {Reporter} from './reporters/index.js';
+import type WorkspaceLayout from './workspace-layout.js';
+import {Install} from './cli/commands/install.js';
+import {MessageError} from './errors.js';
+import {JSONReporter} from './reporters/index.js';
+import * as fetcher from './package-fetcher.js';
+import * as compatibility from './package-compatibility.js';
+import PackageSolution, {getPackageId} from './package-solution.js';
+import Config from './config.js';
+import Lockfile from './lockfile';
+
+const invariant = require('invariant');
+
+export {Config, Lockfile};
+
+export type ApiEvent = {
+  type: string,
+  data: mixed,
+};
+
+export type ApiOptions = {
+  cwd?: string,
+  // config options (see ConfigOptions) and install flags (see `esy-install install --help`)
+  flags?: Object,
+  // ignore the lockfile on disk and resolve everything again
+  ignoreLockfile?: boolean,
+  onEvent?: (event: ApiEvent) => void,
+  reporter?: Reporter,
+};
+
+export type GraphPackage = {
+  id: string,
+  name: string,
+  version: string,
+  uid: string,
+  // patterns which resolved to the package
+  patterns: Array<string>,
+  remote: {
+    type: string,
+    reference: string,
+    resolved: ?string,
+    hash: ?string,
+  },
+  // ids of the packages the dependencies resolved to
+  dependencies: {[name: string]: string},
+  optional: boolean,
+  // location in the cache, null until the package is fetched
+  location: ?string,
+};
+
+export type Graph = {
+  root: {dependencies: {[name: string]: string}},
+  packages: {[id: string]: GraphPackage},
+};
+
+/**
+ * Reporter which passes events of the JSON reporter to the callback.
+ */
+class CallbackReporter extends JSONReporter {
+  constructor(onEvent: (event: ApiEvent) => void) {
+    super({emoji: false});
+    this.onEvent = onEvent;
+  }
+
+  onEvent: (event: ApiEvent) => void;
+
+  _dump(type: string, data: mixed) {
+    this.onEvent({type, data});
+  }
+}
+
+export function createReporter(onEvent?: (event: ApiEvent) => void): Reporter {
+  return new CallbackReporter(onEvent || (() => {}));
+}
+
+export function createConfig(opts: ApiOptions = {}): Promise<Config> {
+  const reporter = opts.reporter || createReporter(opts.onEvent);
+  const configOptions: ConfigOptions = {...opts.flags, cwd: opts.cwd || process.cwd()};
+  return Config.create(configOptions, reporter);
+}
+
+export function readLockfile(config: Config): Promise<Lockfile> {
+  return Lockfile.fromDirectory(config.lockfileFolder, config.reporter, config.lockfileFilename);
+}
+
+/**
+ * Resolve, fetch, link and save the lockfile.
+ */
+export async function install(opts: ApiOptions = {}): Promise<Graph> {
+  const project = await open(opts);
+  await project.resolve();
+  await project.fetch();
+  await project.link();
+  await project.writeLockfile();
+  return project.getGraph();
+}
+
+export async function open(opts: ApiOptions = {}): Promise<Project> {
+  const config = await createConfig(opts);
+  const lockfile = opts.ignoreLockfile ? new Lockfile() : await readLockfile(config);
+  return new Project(config, lockfile, opts.flags || {});
+}
+
+type State = 'new' | 'resolved' | 'fetched' | 'linked';
+
+// resolve, fetch and link
+const STEPS = 3;
+
+export class Project {
+  constructor(config: Config, lockfile: Lockfile, flags: Object = {}) {
+    this.config = config;
+    this.reporter = config.reporter;
+    this.lockfile = lockfile;
+    this.install = new Install(flags, config, config.reporter, lockfile);
+    this.state = 'new';
+    this.topLevelPatterns = [];
+    this.flattenedPatterns = [];
+    this.workspaceLayout = undefined;
+  }
+
+  config: Config;
+  reporter: Reporter;
+  lockfile: Lockfile;
+  install: Install;
+  state: State;
+  topLevelPatterns: Array<string>;
+  flattenedPatterns: Array<string>;
+  workspaceLayout: WorkspaceLayout | void;
+
+  /**
+   * Resolve dependencies of the project, locked versions are used unless the
+   * project asks for something else.
+   */
+  async resolve(): Promise<Graph> {
+    this.expectState('resolve', ['new']);
+    this.reporter.step(1, STEPS, this.reporter.lang('resolvingPackages'));
+    const {install} = this;
+    const {requests, patterns, ignorePatterns, workspaceLayout} = await install.fetchRequestFromCwd();
+    await install.resolver.init(install.prepareRequests(requests), {
+      isFlat: install.flags.flat,
+      isFrozen: install.flags.frozenLockfile,
+      useSolver: install.flags.solver,
+      workspaceLayout,
+    });
+    this.workspaceLayout = workspaceLayout;
+    this.topLevelPatterns = install.preparePatterns(patterns);
+    this.flattenedPatterns = await install.flatten(this.topLevelPatterns);
+    install.markIgnored(ignorePatterns);
+    this.state = 'resolved';
+    return this.getGraph();
+  }
+
+  /**
+   * Put resolved packages into the cache.
+   */
+  async fetch(): Promise<Graph> {
+    this.expectState('fetch', ['resolved']);
+    this.reporter.step(2, STEPS, this.reporter.lang('fetchingPackages'));
+    const {resolver, flags} = this.install;
+    const manifests: Array<Manifest> = await fetcher.fetch(resolver.getManifests(), this.config);
+    resolver.updateManifests(manifests);
+    await this.install.recordCacheUsage();
+    await compatibility.check(resolver.getManifests(), this.config, flags.ignoreEngines);
+    this.state = 'fetched';
+    return this.getGraph();
+  }
+
+  /**
+   * Lay packages out in node_modules, or write the solution file if the
+   * `solution` flag is set. Lifecycle scripts aren't run.
+   */
+  async link(): Promise<void> {
+    this.expectState('link', ['fetched']);
+    const {install} = this;
+    await install.integrityChecker.removeIntegrityFile();
+    if (install.flags.solution) {
+      this.reporter.step(3, STEPS, this.reporter.lang('writingSolution'));
+      await new PackageSolution(this.config, install.resolver).init(this.flattenedPatterns, {
+        ignoreOptional: install.flags.ignoreOptional,
+      });
+    } else {
+      this.reporter.step(3, STEPS, this.reporter.lang('linkingDependencies'));
+      await install.linker.init(this.flattenedPatterns, this.workspaceLayout, {
+        linkDuplicates: install.flags.linkDuplicates,
+        ignoreOptional: install.flags.ignoreOptional,
+      });
+    }
+    this.state = 'linked';
+  }
+
+  /**
+   * Save the lockfile (unless flags say otherwise) and the integrity file.
+   */
+  async writeLockfile(): Promise<void> {
+    this.expectState('writeLockfile', ['fetched', 'linked']);
+    await this.install.saveLockfileAndIntegrity(this.topLevelPatterns, this.workspaceLayout);
+  }
+
+  /**
+   * Resolved packages as plain objects.
+   */
+  getGraph(): Graph {
+    this.expectState('getGraph', ['resolved', 'fetched', 'linked']);
+    const {resolver} = this.install;
+    const isFetched = this.state !== 'resolved';
+
+    const root = {dependencies: {}};
+    for (const pattern of this.topLevelPatterns) {
+      const pkg = resolver.getStrictResolvedPattern(pattern);
+      root.dependencies[pkg.name] = getPackageId(pkg);
+    }
+
+    const packages = {};
+    const manifests = resolver.getManifests().slice().sort((a, b) => {
+      const idA = getPackageId(a);
+      const idB = getPackageId(b);
+      return idA < idB ? -1 : idA > idB ? 1 : 0;
+    });
+    for (const pkg of manifests) {
+      const ref = pkg._reference;
+      invariant(ref, 'expected package reference');
+      if (ref.ignore) {
+        continue;
+      }
+      const remote = pkg._remote || ref.remote;
+
+      const dependencies = {};
+      for (const pattern of ref.dependencies) {
+        const dep = resolver.getResolvedPattern(pattern);
+        if (dep != null) {
+          dependencies[dep.name] = getPackageId(dep);
+        }
+      }
+
+      const id = getPackageId(pkg);
+      packages[id] = {
+        id,
+        name: pkg.name,
+        version: pkg.version,
+        uid: pkg._uid,
+        patterns: ref.patterns.slice().sort(),
+        remote: {
+          type: remote.type,
+          reference: remote.reference,
+          resolved: remote.resolved || null,
+          hash: remote.hash || null,
+        },
+        dependencies,
+        optional: Boolean(ref.optional),
+        location: isFetched && remote.type !== 'link' ? this.config.generateHardModulePath(ref) : null,
+      };
+    }
+
+    return {root, packages};
+  }
+
+  expectState(method: string, states: Array<State>) {
+    if (states.indexOf(this.state) === -1) {
+      throw new MessageError(this.reporter.lang('apiInvalidState', method, this.state));
+    }
+  }
+}
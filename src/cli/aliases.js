@@ -3,4 +3,5 @@
 export default ({
   'upgrade-interactive': 'upgradeInteractive',
   'generate-lock-entry': 'generateLockEntry',
+  'opam-update': 'opamUpdate',
 }: {[key: string]: string});
@@ -12,7 +12,6 @@ import {getExoticResolver} from '../../resolvers/index.js';
 import {buildTree} from './list.js';
 import {wrapLifecycle, Install} from './install.js';
 import {MessageError} from '../../errors.js';
-import * as constants from '../../constants.js';
 import * as fs from '../../util/fs.js';
 
 import invariant from 'invariant';
@@ -64,7 +63,7 @@ export class Add extends Install {
     const exact = this.flags.exact || Boolean(this.config.getOption('save-exact')) || configPrefix === '';
     const {hasVersion, range} = normalizePattern(pattern);
     let version;
-    const Resolver = getExoticResolver(pattern);
+    const Resolver = getExoticResolver(pattern, this.config);
     if (Resolver) {
       // wasn't a name/range tuple so this is just a raw exotic pattern
       version = Resolver.getPatternVersion(pattern, pkg, this.flags);
@@ -73,7 +72,7 @@ export class Add extends Install {
       }
     }
 
-    if (hasVersion && range && (semver.satisfies(pkg.version, range) || getExoticResolver(range))) {
+    if (hasVersion && range && (semver.satisfies(pkg.version, range) || getExoticResolver(range, this.config))) {
       // if the user specified a range then use it verbatim
       version = range;
     } else {
@@ -114,7 +113,7 @@ export class Add extends Install {
       return false;
     }
     const match = await this.integrityChecker.check(patterns, lockfileCache, this.flags, workspaceLayout);
-    const haveLockfile = await fs.exists(path.join(this.config.lockfileFolder, constants.LOCKFILE_FILENAME));
+    const haveLockfile = await fs.exists(path.join(this.config.lockfileFolder, this.config.lockfileFilename));
     if (match.integrityFileMissing && haveLockfile) {
       // Integrity file missing, force script installations
       this.scripts.setForce(true);
@@ -225,7 +224,7 @@ export async function run(config: Config, reporter: Reporter, flags: Object, arg
     throw new MessageError(reporter.lang('missingAddDependencies'));
   }
 
-  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, reporter);
+  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, reporter, config.lockfileFilename);
 
   await wrapLifecycle(config, flags, async () => {
     const install = new Add(args, flags, config, reporter, lockfile);
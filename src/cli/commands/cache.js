@@ -3,8 +3,12 @@
 import type {Reporter} from '../../reporters/index.js';
 import type Config from '../../config.js';
 import buildSubCommands from './_build-sub-commands.js';
+import {MessageError} from '../../errors.js';
+import type {EntryProblem} from '../../package-cache.js';
+import {evictStoredFiles, gc, readEntries, readOrphans, verifyEntry} from '../../package-cache.js';
+import {refetch} from '../../package-fetcher.js';
 import * as fs from '../../util/fs.js';
-import {METADATA_FILENAME} from '../../constants';
+import {CACHE_GC_WINDOW, METADATA_FILENAME, TARBALL_FILENAME} from '../../constants';
 
 const path = require('path');
 const micromatch = require('micromatch');
@@ -48,6 +52,63 @@ async function list(config: Config, reporter: Reporter, flags: Object, args: Arr
   reporter.table(['Name', 'Version', 'Registry', 'Resolved'], body);
 }
 
+function getGcWindow(config: Config, reporter: Reporter, flags: Object): number {
+  const window = flags.window != null ? flags.window : config.getOption('cache-gc-window');
+  if (window == null || window === '') {
+    return CACHE_GC_WINDOW;
+  }
+  const days = Number(window);
+  if (isNaN(days) || days < 0) {
+    throw new MessageError(reporter.lang('cacheGcInvalidWindow', window));
+  }
+  return days;
+}
+
+function reportProblem(reporter: Reporter, entry: string, problem: EntryProblem) {
+  if (problem.type === 'metadata') {
+    reporter.warn(reporter.lang('cacheVerifyBadMetadata', entry));
+  } else if (problem.type === 'tarball') {
+    reporter.warn(reporter.lang('cacheVerifyBadTarball', entry));
+  } else if (problem.type === 'missing') {
+    reporter.warn(reporter.lang('cacheVerifyMissingFile', entry, problem.file));
+  } else {
+    reporter.warn(reporter.lang('cacheVerifyModifiedFile', entry, problem.file));
+  }
+}
+
+/**
+ * Extract the entry again if only its files are broken and its tarball is
+ * there, remove it otherwise.
+ */
+async function repairEntry(
+  config: Config,
+  reporter: Reporter,
+  loc: string,
+  problems: Array<EntryProblem>,
+): Promise<void> {
+  const entry = path.relative(config.cacheFolder, loc);
+  const hashes = [];
+  for (const problem of problems) {
+    if (problem.type === 'missing' || problem.type === 'modified') {
+      hashes.push(problem.hash);
+    }
+  }
+
+  if (hashes.length === problems.length && (await fs.exists(path.join(loc, TARBALL_FILENAME)))) {
+    await evictStoredFiles(config, hashes);
+    try {
+      await refetch(loc, config);
+      reporter.info(reporter.lang('cacheVerifyReextracted', entry));
+      return;
+    } catch (err) {
+      reporter.warn(err.message);
+    }
+  }
+
+  await fs.unlink(loc);
+  reporter.info(reporter.lang('cacheVerifyEvicted', entry));
+}
+
 const {run, setFlags: _setFlags, examples} = buildSubCommands('cache', {
   async ls(config: Config, reporter: Reporter, flags: Object, args: Array<string>): Promise<void> {
     reporter.warn(`\`yarn cache ls\` is deprecated. Please use \`yarn cache list\`.`);
@@ -62,6 +123,50 @@ const {run, setFlags: _setFlags, examples} = buildSubCommands('cache', {
     reporter.log(config.cacheFolder, {force: true});
   },
 
+  async gc(config: Config, reporter: Reporter, flags: Object, args: Array<string>): Promise<void> {
+    const days = getGcWindow(config, reporter, flags);
+    const activity = reporter.activity();
+    const result = await gc(config, days);
+    activity.end();
+    for (const entry of result.entries) {
+      reporter.verbose(reporter.lang('cacheGcRemovedEntry', path.relative(config.cacheFolder, entry)));
+    }
+    reporter.success(reporter.lang('cacheGcDone', result.entries.length, result.files, days));
+  },
+
+  async verify(config: Config, reporter: Reporter, flags: Object, args: Array<string>): Promise<void> {
+    const entries = await readEntries(config);
+    let corrupt = 0;
+    for (const loc of entries) {
+      const problems = await verifyEntry(loc);
+      if (problems.length === 0) {
+        continue;
+      }
+      corrupt++;
+      for (const problem of problems) {
+        reportProblem(reporter, path.relative(config.cacheFolder, loc), problem);
+      }
+      if (flags.fix) {
+        await repairEntry(config, reporter, loc, problems);
+      }
+    }
+
+    const orphans = await readOrphans(config);
+    for (const loc of orphans) {
+      const entry = path.relative(config.cacheFolder, loc);
+      reporter.warn(reporter.lang('cacheVerifyOrphaned', entry));
+      if (flags.fix) {
+        await fs.unlink(loc);
+        reporter.info(reporter.lang('cacheVerifyEvicted', entry));
+      }
+    }
+
+    reporter.info(reporter.lang('cacheVerifyDone', entries.length, corrupt, orphans.length));
+    if (!flags.fix && corrupt + orphans.length > 0) {
+      throw new MessageError(reporter.lang('foundErrors', corrupt + orphans.length));
+    }
+  },
+
   async clean(config: Config, reporter: Reporter, flags: Object, args: Array<string>): Promise<void> {
     async function getPackageCachefolders(
       packageName,
@@ -126,4 +231,6 @@ export {run, examples};
 export function setFlags(commander: Object) {
   _setFlags(commander);
   commander.option('--pattern [pattern]', 'filter cached packages by pattern');
+  commander.option('--window <days>', 'keep cache entries used by an install within this many days');
+  commander.option('--fix', 'extract corrupt cache entries again or remove them');
 }
@@ -8,6 +8,7 @@ import Lockfile from '../../lockfile';
 import type {Reporter} from '../../reporters/index.js';
 import * as fs from '../../util/fs.js';
 import {Install} from './install.js';
+import {forEachSandbox} from '../../sandbox.js';
 
 const semver = require('semver');
 const path = require('path');
@@ -22,6 +23,7 @@ export function hasWrapper(commander: Object): boolean {
 export function setFlags(commander: Object) {
   commander.option('--integrity');
   commander.option('--verify-tree');
+  commander.option('--all-sandboxes', 'check the project and each of its named sandboxes');
 }
 
 export async function verifyTreeCheck(
@@ -164,7 +166,7 @@ async function integrityHashCheck(
   }
   const integrityChecker = new InstallationIntegrityChecker(config);
 
-  const lockfile = await Lockfile.fromDirectory(config.cwd);
+  const lockfile = await Lockfile.fromDirectory(config.cwd, undefined, config.lockfileFilename);
   const install = new Install(flags, config, reporter, lockfile);
 
   // get patterns that are installed when running `yarn install`
@@ -190,6 +192,26 @@ async function integrityHashCheck(
 }
 
 export async function run(config: Config, reporter: Reporter, flags: Object, args: Array<string>): Promise<void> {
+  if (flags.allSandboxes) {
+    // check all sandboxes before failing so their problems are reported at once
+    const failed = [];
+    await forEachSandbox(config, reporter, async (sandboxConfig: Config): Promise<void> => {
+      try {
+        await run(sandboxConfig, reporter, {...flags, allSandboxes: false}, args);
+      } catch (err) {
+        if (!(err instanceof MessageError)) {
+          throw err;
+        }
+        reporter.error(err.message);
+        failed.push(sandboxConfig.sandbox == null ? reporter.lang('sandboxDefault') : sandboxConfig.sandbox);
+      }
+    });
+    if (failed.length) {
+      throw new MessageError(reporter.lang('sandboxesCheckFailed', failed.join(', ')));
+    }
+    return;
+  }
+
   if (flags.verifyTree) {
     await verifyTreeCheck(config, reporter, flags, args);
     return;
@@ -198,7 +220,7 @@ export async function run(config: Config, reporter: Reporter, flags: Object, arg
     return;
   }
 
-  const lockfile = await Lockfile.fromDirectory(config.cwd);
+  const lockfile = await Lockfile.fromDirectory(config.cwd, undefined, config.lockfileFilename);
   const install = new Install(flags, config, reporter, lockfile);
 
   function humaniseLocation(loc: string): Array<string> {
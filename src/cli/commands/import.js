@@ -129,7 +129,7 @@ class ImportResolver extends BaseResolver {
 
   resolveImport(info: Manifest): Manifest {
     const {range} = normalizePattern(this.pattern);
-    const Resolver = getExoticResolver(range);
+    const Resolver = getExoticResolver(range, this.config);
     if (Resolver && Resolver.prototype instanceof HostedGitResolver) {
       return this.resolveHostedGit(info, Resolver);
     } else if (Resolver && Resolver === GistResolver) {
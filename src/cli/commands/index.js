@@ -27,6 +27,7 @@ import * as link from './link.js';
 import * as login from './login.js';
 import * as logout from './logout.js';
 import * as list from './list.js';
+import * as opamUpdate from './opam-update.js';
 import * as outdated from './outdated.js';
 import * as owner from './owner.js';
 import * as pack from './pack.js';
@@ -69,6 +70,7 @@ const commands = {
   login,
   logout,
   list,
+  opamUpdate,
   outdated,
   owner,
   pack,
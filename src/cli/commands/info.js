@@ -4,6 +4,11 @@ import type {Reporter} from '../../reporters/index.js';
 import type Config from '../../config.js';
 import NpmRegistry from '../../registries/npm-registry.js';
 import parsePackageName from '../../util/parse-package-name.js';
+import {OPAM_SCOPE} from '../../resolvers/exotics/opam-resolver/config.js';
+import * as OpamRepository from '../../resolvers/exotics/opam-resolver/opam-repository.js';
+import * as OpamRepositoryOverride from '../../resolvers/exotics/opam-resolver/opam-repository-override.js';
+import * as OpamVersion from '../../resolvers/exotics/opam-resolver/opam-version.js';
+import * as OpamChecksum from '../../resolvers/exotics/opam-resolver/opam-checksum.js';
 const semver = require('semver');
 
 function clean(object: any): any {
@@ -36,6 +41,45 @@ function clean(object: any): any {
   }
 }
 
+/**
+ * Collect info on the package from opam repositories: all available versions
+ * in opam order (oldest first) or the requested version only.
+ */
+async function getOpamInfo(config: Config, name: string, version: ?string): Promise<?Object> {
+  const repository = await OpamRepository.init(config);
+  const opamName = name.slice(`@${OPAM_SCOPE}/`.length);
+  const manifestCollection = await OpamRepository.maybeGetManifestCollection(repository, opamName);
+  if (manifestCollection == null) {
+    return null;
+  }
+
+  const manifests = OpamVersion.sortDescending(
+    Object.keys(manifestCollection.versions).map(version => manifestCollection.versions[version]),
+    manifest => manifest.opam.version,
+  ).reverse();
+
+  const versions = manifests.map(manifest => ({
+    version: manifest.version,
+    opamVersion: manifest.opam.version,
+    ocaml: manifest.peerDependencies && manifest.peerDependencies.ocaml ? manifest.peerDependencies.ocaml.trim() : null,
+    overrides: manifest.opam.overrides,
+    url: manifest.opam.url,
+    checksum: OpamChecksum.formatStrongest(manifest.opam.checksums),
+    repository: manifest.opam.repository,
+  }));
+
+  for (const manifest of manifests) {
+    if (version == null || version === manifest.version || version === manifest.opam.version) {
+      OpamRepositoryOverride.warnOnConflictingOverrides(config.reporter, manifest);
+    }
+  }
+
+  if (version != null) {
+    return versions.find(info => info.version === version || info.opamVersion === version) || null;
+  }
+  return {name, versions};
+}
+
 export function setFlags(commander: Object) {}
 
 export function hasWrapper(commander: Object, args: Array<string>): boolean {
@@ -55,6 +99,19 @@ export async function run(config: Config, reporter: Reporter, flags: Object, arg
     packageName = (await config.readRootManifest()).name;
   }
 
+  if (packageName.startsWith(`@${OPAM_SCOPE}/`)) {
+    const {name, version} = parsePackageName(packageName);
+    const result = await getOpamInfo(config, name, version);
+    if (!result) {
+      reporter.error(reporter.lang('infoOpamFail', packageName));
+      return;
+    }
+    const fieldPath = args.shift();
+    const fields = fieldPath ? fieldPath.split('.') : [];
+    reporter.inspect(fields.reduce((prev, cur) => prev && prev[cur], result));
+    return;
+  }
+
   const packageInput = NpmRegistry.escapeName(packageName);
   const {name, version} = parsePackageName(packageInput);
 
@@ -11,14 +11,23 @@ import normalizeManifest from '../../util/normalize-manifest/index.js';
 import {MessageError} from '../../errors.js';
 import InstallationIntegrityChecker from '../../integrity-checker.js';
 import Lockfile from '../../lockfile';
-import {stringify as lockStringify} from '../../lockfile';
+import {
+  stringify as lockStringify,
+  withMetadata as withLockfileMetadata,
+  isSameMetadata,
+  isSameEntry,
+} from '../../lockfile';
 import * as fetcher from '../../package-fetcher.js';
 import PackageInstallScripts from '../../package-install-scripts.js';
 import * as compatibility from '../../package-compatibility.js';
 import PackageResolver from '../../package-resolver.js';
 import PackageLinker from '../../package-linker.js';
+import PackageSolution from '../../package-solution.js';
+import {recordRoot} from '../../package-cache.js';
 import {registries} from '../../registries/index.js';
 import {getExoticResolver} from '../../resolvers/index.js';
+import {isLinkPattern} from '../../resolvers/exotics/link-util.js';
+import * as OpamRepository from '../../resolvers/exotics/opam-resolver/opam-repository.js';
 import {clean} from './autoclean.js';
 import * as constants from '../../constants.js';
 import {normalizePattern} from '../../util/normalize-pattern.js';
@@ -27,6 +36,7 @@ import map from '../../util/map.js';
 import {version as YARN_VERSION, getInstallationMethod} from '../../util/yarn-version.js';
 import WorkspaceLayout from '../../workspace-layout.js';
 import ResolutionMap from '../../resolution-map.js';
+import {applySandbox, forEachSandbox} from '../../sandbox.js';
 
 const emoji = require('node-emoji');
 const invariant = require('invariant');
@@ -55,6 +65,8 @@ type Flags = {
   linkDuplicates: boolean,
   force: boolean,
   flat: boolean,
+  solver: boolean,
+  solution: boolean,
   lockfile: boolean,
   pureLockfile: boolean,
   frozenLockfile: boolean,
@@ -131,6 +143,8 @@ function normalizeFlags(config: Config, rawFlags: Object): Flags {
     ignoreOptional: !!rawFlags.ignoreOptional,
     force: !!rawFlags.force,
     flat: !!rawFlags.flat,
+    solver: !!rawFlags.solver,
+    solution: !!rawFlags.solution,
     lockfile: rawFlags.lockfile !== false,
     pureLockfile: !!rawFlags.pureLockfile,
     skipIntegrityCheck: !!rawFlags.skipIntegrityCheck,
@@ -173,6 +187,14 @@ function normalizeFlags(config: Config, rawFlags: Object): Flags {
     flags.force = true;
   }
 
+  if (config.getOption('solver')) {
+    flags.solver = true;
+  }
+
+  if (config.getOption('solution')) {
+    flags.solution = true;
+  }
+
   return flags;
 }
 
@@ -234,7 +256,7 @@ export class Install {
     const excludeNames = [];
     for (const pattern of excludePatterns) {
       // can't extract a package name from this
-      if (getExoticResolver(pattern)) {
+      if (getExoticResolver(pattern, this.config)) {
         continue;
       }
 
@@ -265,6 +287,10 @@ export class Install {
       const loc: string = (projectManifestJson._loc: any);
       this.rootManifestRegistries.push(registry);
 
+      if (this.config.sandbox != null) {
+        applySandbox(projectManifestJson, this.config.sandbox, this.reporter);
+      }
+
       Object.assign(this.resolutions, (projectManifestJson: any).resolutions);
       Object.assign(manifest, projectManifestJson);
 
@@ -407,7 +433,7 @@ export class Install {
       throw new MessageError(this.reporter.lang('frozenLockfileError'));
     }
 
-    const haveLockfile = await fs.exists(path.join(this.config.lockfileFolder, constants.LOCKFILE_FILENAME));
+    const haveLockfile = await fs.exists(path.join(this.config.lockfileFolder, this.config.lockfileFilename));
 
     if (match.integrityMatches && haveLockfile && lockfileClean) {
       this.reporter.success(this.reporter.lang('upToDate'));
@@ -503,11 +529,16 @@ export class Install {
       await this.resolver.init(this.prepareRequests(depRequests), {
         isFlat: this.flags.flat,
         isFrozen: this.flags.frozenLockfile,
+        useSolver: this.flags.solver,
         workspaceLayout,
       });
       topLevelPatterns = this.preparePatterns(rawPatterns);
       flattenedTopLevelPatterns = await this.flatten(topLevelPatterns);
-      return {bailout: await this.bailout(topLevelPatterns, workspaceLayout)};
+      const bailout = await this.bailout(topLevelPatterns, workspaceLayout);
+      if (bailout) {
+        await this.recordCacheUsage();
+      }
+      return {bailout};
     });
 
     steps.push(async (curr: number, total: number) => {
@@ -515,33 +546,45 @@ export class Install {
       this.reporter.step(curr, total, this.reporter.lang('fetchingPackages'), emoji.get('truck'));
       const manifests: Array<Manifest> = await fetcher.fetch(this.resolver.getManifests(), this.config);
       this.resolver.updateManifests(manifests);
+      await this.recordCacheUsage();
       await compatibility.check(this.resolver.getManifests(), this.config, this.flags.ignoreEngines);
     });
 
-    steps.push(async (curr: number, total: number) => {
-      // remove integrity hash to make this operation atomic
-      await this.integrityChecker.removeIntegrityFile();
-      this.reporter.step(curr, total, this.reporter.lang('linkingDependencies'), emoji.get('link'));
-      await this.linker.init(flattenedTopLevelPatterns, workspaceLayout, {
-        linkDuplicates: this.flags.linkDuplicates,
-        ignoreOptional: this.flags.ignoreOptional,
+    if (this.flags.solution) {
+      // packages are used right from the cache, building them is up to esy
+      steps.push(async (curr: number, total: number) => {
+        await this.integrityChecker.removeIntegrityFile();
+        this.reporter.step(curr, total, this.reporter.lang('writingSolution'), emoji.get('link'));
+        await new PackageSolution(this.config, this.resolver).init(flattenedTopLevelPatterns, {
+          ignoreOptional: this.flags.ignoreOptional,
+        });
+      });
+    } else {
+      steps.push(async (curr: number, total: number) => {
+        // remove integrity hash to make this operation atomic
+        await this.integrityChecker.removeIntegrityFile();
+        this.reporter.step(curr, total, this.reporter.lang('linkingDependencies'), emoji.get('link'));
+        await this.linker.init(flattenedTopLevelPatterns, workspaceLayout, {
+          linkDuplicates: this.flags.linkDuplicates,
+          ignoreOptional: this.flags.ignoreOptional,
+        });
       });
-    });
 
-    steps.push(async (curr: number, total: number) => {
-      this.reporter.step(
-        curr,
-        total,
-        this.flags.force ? this.reporter.lang('rebuildingPackages') : this.reporter.lang('buildingFreshPackages'),
-        emoji.get('page_with_curl'),
-      );
-
-      if (this.flags.ignoreScripts) {
-        this.reporter.warn(this.reporter.lang('ignoredScripts'));
-      } else {
-        await this.scripts.init(flattenedTopLevelPatterns);
-      }
-    });
+      steps.push(async (curr: number, total: number) => {
+        this.reporter.step(
+          curr,
+          total,
+          this.flags.force ? this.reporter.lang('rebuildingPackages') : this.reporter.lang('buildingFreshPackages'),
+          emoji.get('page_with_curl'),
+        );
+
+        if (this.flags.ignoreScripts) {
+          this.reporter.warn(this.reporter.lang('ignoredScripts'));
+        } else {
+          await this.scripts.init(flattenedTopLevelPatterns);
+        }
+      });
+    }
 
     if (this.flags.har) {
       steps.push(async (curr: number, total: number) => {
@@ -577,7 +620,7 @@ export class Install {
     // The second condition is to make sure lockfile can be updated when running `remove` command.
     if (
       topLevelPatterns.length ||
-      (await fs.exists(path.join(this.config.lockfileFolder, constants.LOCKFILE_FILENAME)))
+      (await fs.exists(path.join(this.config.lockfileFolder, this.config.lockfileFilename)))
     ) {
       await this.saveLockfileAndIntegrity(topLevelPatterns, workspaceLayout);
     } else {
@@ -588,6 +631,20 @@ export class Install {
     return flattenedTopLevelPatterns;
   }
 
+  /**
+   * Record the cache entries this install uses so `cache gc` keeps them.
+   */
+  recordCacheUsage(): Promise<void> {
+    const dests = [];
+    for (const manifest of this.resolver.getManifests()) {
+      const ref = manifest._reference;
+      if (ref && ref.remote.type !== 'link') {
+        dests.push(this.config.generateHardModulePath(ref));
+      }
+    }
+    return recordRoot(this.config, path.join(this.config.lockfileFolder, this.config.lockfileFilename), dests);
+  }
+
   /**
    * Check if we should run the cleaning step.
    */
@@ -763,6 +820,19 @@ export class Install {
       const manifest = this.lockfile.getLocked(pattern);
       return manifest && manifest.resolved === lockfileBasedOnResolver[pattern].resolved;
     });
+    // linked packages have nothing resolved, their entries change with their manifests
+    const linkedPatternsAreSameAsInLockfile = Object.keys(lockfileBasedOnResolver)
+      .filter(isLinkPattern)
+      .every(pattern => {
+        const manifest = this.lockfile.getLocked(pattern);
+        return manifest && isSameEntry(pattern, manifest, lockfileBasedOnResolver[pattern]);
+      });
+    const lockfileMetadata = await OpamRepository.getLockfileMetadata(
+      this.config,
+      lockfileBasedOnResolver,
+      this.lockfile.metadata,
+    );
+    const lockfileMetadataIsSame = isSameMetadata(lockfileMetadata, this.lockfile.metadata);
 
     // remove command is followed by install with force, lockfile will be rewritten in any case then
     if (
@@ -771,16 +841,22 @@ export class Install {
       lockFileHasAllPatterns &&
       lockfilePatternsMatch &&
       resolverPatternsAreSameAsInLockfile &&
+      linkedPatternsAreSameAsInLockfile &&
+      lockfileMetadataIsSame &&
       patterns.length
     ) {
       return;
     }
 
     // build lockfile location
-    const loc = path.join(this.config.lockfileFolder, constants.LOCKFILE_FILENAME);
+    const loc = path.join(this.config.lockfileFolder, this.config.lockfileFilename);
 
     // write lockfile
-    const lockSource = lockStringify(lockfileBasedOnResolver, false, this.config.enableLockfileVersions);
+    const lockSource = lockStringify(
+      withLockfileMetadata(lockfileBasedOnResolver, lockfileMetadata),
+      false,
+      this.config.enableLockfileVersions,
+    );
     await fs.writeFilePreservingEol(loc, lockSource);
 
     this._logSuccessSaveLockfile();
@@ -920,6 +996,7 @@ export function setFlags(commander: Object) {
   commander.option('-O, --save-optional', 'DEPRECATED - save package to your `optionalDependencies`');
   commander.option('-E, --save-exact', 'DEPRECATED');
   commander.option('-T, --save-tilde', 'DEPRECATED');
+  commander.option('--all-sandboxes', 'install the project and each of its named sandboxes');
 }
 
 export async function install(config: Config, reporter: Reporter, flags: Object, lockfile: Lockfile): Promise<void> {
@@ -935,7 +1012,7 @@ export async function run(config: Config, reporter: Reporter, flags: Object, arg
   if (flags.lockfile === false) {
     lockfile = new Lockfile();
   } else {
-    lockfile = await Lockfile.fromDirectory(config.lockfileFolder, reporter);
+    lockfile = await Lockfile.fromDirectory(config.lockfileFolder, reporter, config.lockfileFilename);
   }
 
   if (args.length) {
@@ -964,6 +1041,20 @@ export async function run(config: Config, reporter: Reporter, flags: Object, arg
     throw new MessageError(reporter.lang(error, `yarn ${command} ${exampleArgs.join(' ')}`));
   }
 
+  if (flags.allSandboxes) {
+    await wrapLifecycle(config, flags, async () => {
+      await forEachSandbox(config, reporter, async (sandboxConfig: Config): Promise<void> => {
+        const sandboxLockfile =
+          flags.lockfile === false
+            ? new Lockfile()
+            : await Lockfile.fromDirectory(sandboxConfig.lockfileFolder, reporter, sandboxConfig.lockfileFilename);
+        const install = new Install(flags, sandboxConfig, reporter, sandboxLockfile);
+        await install.init();
+      });
+    });
+    return;
+  }
+
   await install(config, reporter, flags, lockfile);
 }
 
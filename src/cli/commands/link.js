@@ -3,7 +3,11 @@
 import type {Reporter} from '../../reporters/index.js';
 import type Config from '../../config.js';
 import {MessageError} from '../../errors.js';
+import Lockfile from '../../lockfile';
+import {isLinkPattern, getLinkOrigin, getLinkedManifestStatus} from '../../resolvers/exotics/link-util.js';
 import * as fs from '../../util/fs.js';
+import {sortAlpha} from '../../util/misc.js';
+import {normalizePattern} from '../../util/normalize-pattern.js';
 import {getBinFolder as getGlobalBinFolder} from './global';
 
 const invariant = require('invariant');
@@ -26,9 +30,53 @@ export function hasWrapper(commander: Object, args: Array<string>): boolean {
   return true;
 }
 
-export function setFlags(commander: Object) {}
+export function setFlags(commander: Object) {
+  commander.option('--status', 'list `link:` packages of the project and whether their manifests changed');
+}
+
+const LINKED_MANIFEST_STATUS = {
+  unchanged: 'linkStatusUnchanged',
+  changed: 'linkStatusChanged',
+  missing: 'linkStatusMissing',
+};
+
+/**
+ * List the packages of the lockfile which are source-linked with `link:` and
+ * whether their manifests changed since they were resolved.
+ */
+async function status(config: Config, reporter: Reporter): Promise<void> {
+  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, undefined, config.lockfileFilename);
+  const patterns = Object.keys(lockfile.cache || {}).filter(isLinkPattern).sort(sortAlpha);
+
+  const body = [];
+  let changed = 0;
+  for (const pattern of patterns) {
+    const entry = lockfile.getLocked(pattern);
+    invariant(entry, 'expected lockfile entry');
+    const origin = getLinkOrigin(config, normalizePattern(pattern).range);
+    const manifestStatus = await getLinkedManifestStatus(config, origin, entry);
+    if (manifestStatus !== 'unchanged') {
+      changed++;
+    }
+    body.push([entry.name, origin, reporter.lang(LINKED_MANIFEST_STATUS[manifestStatus])]);
+  }
+
+  if (!body.length) {
+    reporter.info(reporter.lang('linkStatusNone'));
+    return;
+  }
+  reporter.table(['Name', 'Origin', 'Status'], body);
+  if (changed) {
+    reporter.warn(reporter.lang('linkStatusChangedMessage', changed));
+  }
+}
 
 export async function run(config: Config, reporter: Reporter, flags: Object, args: Array<string>): Promise<void> {
+  if (flags.status) {
+    await status(config, reporter);
+    return;
+  }
+
   if (args.length) {
     for (const name of args) {
       const src = path.join(config.linkFolder, name);
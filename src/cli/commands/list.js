@@ -7,8 +7,10 @@ import type PackageLinker from '../../package-linker.js';
 import type {Tree, Trees} from '../../reporters/types.js';
 import {Install} from './install.js';
 
+import type {Manifest} from '../../types.js';
 import Lockfile from '../../lockfile';
 import {isProduction} from '../../constants';
+import {OPAM_SCOPE} from '../../resolvers/exotics/opam-resolver/config.js';
 
 const invariant = require('invariant');
 const micromatch = require('micromatch');
@@ -19,6 +21,18 @@ export type ListOptions = {
   reqDepth?: ?number,
 };
 
+/**
+ * Versions of opam packages are filtered by the OCaml compiler the project
+ * uses, show the constraint so it's clear why an older version was picked.
+ */
+function getOpamHint(resolver: PackageResolver, pkg: Manifest): ?string {
+  if (resolver.ocamlVersion == null || !pkg.name.startsWith(`@${OPAM_SCOPE}/`)) {
+    return null;
+  }
+  const range = (pkg.peerDependencies || {}).ocaml;
+  return range != null && range !== '*' ? `ocaml ${range}` : null;
+}
+
 function buildCount(trees: ?Trees): number {
   if (!trees || !trees.length) {
     return 0;
@@ -68,7 +82,7 @@ export async function buildTree(
   // build initial trees
   for (const [, info] of hoisted) {
     const ref = info.pkg._reference;
-    const hint = null;
+    const hint = getOpamHint(resolver, info.pkg);
     const parent = getParent(info.key, treesByKey);
     const children = [];
     let depth = 0;
@@ -188,7 +202,7 @@ export function getDevDeps(manifest: Object): Set<string> {
 }
 
 export async function run(config: Config, reporter: Reporter, flags: Object, args: Array<string>): Promise<void> {
-  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, reporter);
+  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, reporter, config.lockfileFilename);
   const install = new Install(flags, config, reporter, lockfile);
 
   const {requests: depRequests, patterns, manifest, workspaceLayout} = await install.fetchRequestFromCwd();
@@ -219,5 +233,8 @@ export async function run(config: Config, reporter: Reporter, flags: Object, arg
     trees = trees.filter(tree => filterTree(tree, args, flags.pattern));
   }
 
+  if (install.resolver.ocamlVersion != null) {
+    reporter.info(reporter.lang('listOpamOCamlVersion', install.resolver.ocamlVersion));
+  }
   reporter.tree('list', trees);
 }
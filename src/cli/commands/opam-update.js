@@ -0,0 +1,38 @@
+/* @flow */
+
+import type {Reporter} from '../../reporters/index.js';
+import type Config from '../../config.js';
+import Lockfile from '../../lockfile';
+import {normalizePattern} from '../../util/normalize-pattern.js';
+import * as OpamRepository from '../../resolvers/exotics/opam-resolver/opam-repository.js';
+import {OPAM_SCOPE} from '../../resolvers/exotics/opam-resolver/config.js';
+import {Install} from './install.js';
+
+export function setFlags(commander: Object) {
+  commander.usage('opam-update [flags]');
+}
+
+export function hasWrapper(commander: Object, args: Array<string>): boolean {
+  return true;
+}
+
+export async function run(config: Config, reporter: Reporter, flags: Object, args: Array<string>): Promise<void> {
+  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, reporter, config.lockfileFilename);
+
+  // Repositories are initialized once per run, so initializing them here
+  // ignoring the commits recorded in the lockfile makes the install below
+  // resolve against the tip of their branches.
+  await OpamRepository.init(config, {update: true});
+
+  // Manifests of @opam/* packages are produced from the repositories so they
+  // have to be resolved again.
+  for (const pattern of Object.keys(lockfile.cache || {})) {
+    if (normalizePattern(pattern).name.startsWith(`@${OPAM_SCOPE}/`)) {
+      reporter.verbose(reporter.lang('verboseUpgradeUnlocking', pattern));
+      lockfile.removePattern(pattern);
+    }
+  }
+
+  const install = new Install({...flags, force: true}, config, reporter, lockfile);
+  await install.init();
+}
@@ -19,7 +19,7 @@ export function hasWrapper(commander: Object, args: Array<string>): boolean {
 }
 
 export async function run(config: Config, reporter: Reporter, flags: Object, args: Array<string>): Promise<number> {
-  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder);
+  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, undefined, config.lockfileFilename);
   const install = new Install({...flags, includeWorkspaceDeps: true}, config, reporter, lockfile);
   let deps = await PackageRequest.getOutdatedPackages(lockfile, install, config, reporter);
 
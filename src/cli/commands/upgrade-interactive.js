@@ -36,7 +36,7 @@ export function hasWrapper(commander: Object, args: Array<string>): boolean {
 
 export async function run(config: Config, reporter: Reporter, flags: Object, args: Array<string>): Promise<void> {
   const outdatedFieldName = flags.latest ? 'latest' : 'wanted';
-  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder);
+  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, undefined, config.lockfileFilename);
 
   const deps = await getOutdated(config, reporter, {...flags, includeWorkspaceDeps: true}, lockfile, args);
 
@@ -173,7 +173,7 @@ export async function run(config: Config, reporter: Reporter, flags: Object, arg
     ignoreWorkspaceRootCheck: true,
     workspaceRootIsCwd: config.cwd === config.lockfileFolder,
   });
-  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, reporter);
+  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, reporter, config.lockfileFilename);
   const deps = await getOutdated(config, reporter, flags, lockfile, args);
   const install = new Install(flags, config, reporter, lockfile);
   const {requests: packagePatterns} = await install.fetchRequestFromCwd();
@@ -4,11 +4,19 @@ import type {Reporter} from '../../reporters/index.js';
 import type Config from '../../config.js';
 
 import type {HoistManifestTuple, HoistManifestTuples} from '../../package-hoister.js';
+import type {Manifest} from '../../types.js';
 import {Install} from './install.js';
 import {METADATA_FILENAME, TARBALL_FILENAME} from '../../constants.js';
 import * as fs from '../../util/fs.js';
 import Lockfile from '../../lockfile';
 import {MessageError} from '../../errors.js';
+import type PackageResolver from '../../package-resolver.js';
+import {explainVersion, lookupManifest} from '../../resolvers/exotics/opam-resolver';
+import type {OpamSkipReason} from '../../resolvers/exotics/opam-resolver';
+import {normalizePattern} from '../../util/normalize-pattern.js';
+import * as OpamRepository from '../../resolvers/exotics/opam-resolver/opam-repository.js';
+import * as OpamRepositoryOverride from '../../resolvers/exotics/opam-resolver/opam-repository-override.js';
+import {OPAM_SCOPE} from '../../resolvers/exotics/opam-resolver/config.js';
 
 export const requireLockfile = true;
 
@@ -108,6 +116,81 @@ function getSharedDependencies(hoistManifests: HoistManifestTuples, transitiveKe
   return sharedDependencies;
 }
 
+/**
+ * Report overrides from the overrides repository which were applied on top of
+ * the opam package and what each of them changed.
+ */
+async function reportOpamOverrides(config: Config, reporter: Reporter, pkg: Manifest): Promise<void> {
+  const manifest = await lookupManifest(pkg.name.slice(`@${OPAM_SCOPE}/`.length), pkg.version, config);
+  if (manifest == null || manifest.opam.overrides.length === 0) {
+    return;
+  }
+
+  const repository = await OpamRepository.init(config);
+  reporter.info(reporter.lang('whyOpamOverrides', repository.override.remote));
+  reporter.list(
+    'overrides',
+    manifest.opam.overrides.map(
+      override =>
+        override.fields.length > 0
+          ? reporter.lang('whyOpamOverride', override.spec, override.versionRange, override.fields.join(', '))
+          : reporter.lang('whyOpamOverrideNoChanges', override.spec, override.versionRange),
+    ),
+  );
+  OpamRepositoryOverride.warnOnConflictingOverrides(reporter, manifest);
+}
+
+/**
+ * Report the versions of the opam package which are newer than the chosen one
+ * and why they were skipped: they don't satisfy the requested ranges, the
+ * resolutions field or the OCaml compiler the project uses.
+ */
+async function reportOpamVersionSelection(
+  config: Config,
+  reporter: Reporter,
+  resolver: PackageResolver,
+  pkg: Manifest,
+): Promise<void> {
+  const ref = pkg._reference;
+  invariant(ref, 'expected reference');
+
+  const resolutionPatterns = (resolver.resolutionMap.resolutionsByPackage[pkg.name] || [])
+    .map(resolution => resolution.pattern);
+  const ranges = ref.patterns.map(pattern => ({
+    range: normalizePattern(pattern).range,
+    resolution: resolutionPatterns.indexOf(pattern) !== -1,
+  }));
+  const {ocamlVersion} = resolver;
+  const {skipped} = await explainVersion(config, pkg.name, pkg.version, {ranges, ocamlVersion});
+
+  if (ocamlVersion != null) {
+    reporter.info(reporter.lang('whyOpamOCamlVersion', ocamlVersion));
+  }
+  if (skipped.length === 0) {
+    reporter.info(reporter.lang('whyOpamVersionLatest', pkg.version));
+    return;
+  }
+
+  const describe = (reason: OpamSkipReason): string => {
+    if (reason.type === 'ocaml') {
+      return reporter.lang('whyOpamSkipOCaml', reason.range, reason.ocamlVersion);
+    } else if (reason.type === 'resolution') {
+      return reporter.lang('whyOpamSkipResolution', reason.range);
+    } else {
+      return reporter.lang('whyOpamSkipRange', reason.range);
+    }
+  };
+
+  reporter.info(reporter.lang('whyOpamVersionSkipped', pkg.version));
+  reporter.list(
+    'skipped',
+    skipped.map(({version, reasons}) => {
+      const description = reasons.length > 0 ? reasons.map(describe).join(', ') : reporter.lang('whyOpamSkipLocked');
+      return reporter.lang('whyOpamSkippedVersion', version, reporter.rawText(description));
+    }),
+  );
+}
+
 export function setFlags(commander: Object) {}
 
 export function hasWrapper(commander: Object, args: Array<string>): boolean {
@@ -128,7 +211,7 @@ export async function run(config: Config, reporter: Reporter, flags: Object, arg
 
   // init
   reporter.step(2, 4, reporter.lang('whyInitGraph'), emoji.get('truck'));
-  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, reporter);
+  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, reporter, config.lockfileFilename);
   const install = new Install(flags, config, reporter, lockfile);
   const {requests: depRequests, patterns, workspaceLayout} = await install.fetchRequestFromCwd();
   await install.resolver.init(depRequests, {
@@ -248,6 +331,13 @@ export async function run(config: Config, reporter: Reporter, flags: Object, arg
     reporter.error(reporter.lang('whyWhoKnows'));
   }
 
+  if (matchInfo.pkg.name.startsWith(`@${OPAM_SCOPE}/`)) {
+    // reason: opam packages are changed by overrides
+    await reportOpamOverrides(config, reporter, matchInfo.pkg);
+    // reason: newer versions are ruled out by constraints
+    await reportOpamVersionSelection(config, reporter, install.resolver, matchInfo.pkg);
+  }
+
   if (packageSize) {
     // stats: file size of this dependency without any dependencies
     reporter.info(reporter.lang('whyDiskSizeWithout', bytes(packageSize)));
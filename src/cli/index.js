@@ -74,6 +74,8 @@ export function main({
   commander.option('--check-files', 'install will verify file tree of packages for consistency');
   commander.option('--no-bin-links', "don't generate bin links when setting up packages");
   commander.option('--flat', 'only allow one version of a package');
+  commander.option('--solver', 'solve all dependency constraints together, backtracking on conflicts');
+  commander.option('--solution', 'write a solution file for esy instead of linking packages into node_modules');
   commander.option('--prod, --production [prod]', '', boolify);
   commander.option('--no-lockfile', "don't read or generate a lockfile");
   commander.option('--pure-lockfile', "don't generate a lockfile");
@@ -104,6 +106,7 @@ export function main({
     boolify,
   );
   commander.option('--no-node-version-check', 'do not warn when using a potentially unsupported Node version');
+  commander.option('--sandbox <name>', 'use a named sandbox of the root manifest');
 
   // if -v is the first command, then always exit after returning the version
   if (args[0] === '-v') {
@@ -424,7 +427,7 @@ export function main({
     // lockfile
     const lockLoc = path.join(
       config.lockfileFolder || config.cwd, // lockfileFolder might not be set at this point
-      constants.LOCKFILE_FILENAME,
+      config.lockfileFilename || constants.LOCKFILE_FILENAME,
     );
     const lockfile = fs.existsSync(lockLoc) ? fs.readFileSync(lockLoc, 'utf8') : 'No lockfile';
     log.push(`Lockfile: ${indent(lockfile)}`);
@@ -483,10 +486,11 @@ export function main({
       networkTimeout: commander.networkTimeout,
       nonInteractive: commander.nonInteractive,
       scriptsPrependNodePath: commander.scriptsPrependNodePath,
+      sandbox: commander.sandbox,
     })
     .then(() => {
       // lockfile check must happen after config.init sets lockfileFolder
-      if (command.requireLockfile && !fs.existsSync(path.join(config.lockfileFolder, constants.LOCKFILE_FILENAME))) {
+      if (command.requireLockfile && !fs.existsSync(path.join(config.lockfileFolder, config.lockfileFilename))) {
         throw new MessageError(reporter.lang('noRequiredLockfile'));
       }
 
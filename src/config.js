@@ -4,6 +4,8 @@ import type {RegistryNames, ConfigRegistries} from './registries/index.js';
 import type {Reporter} from './reporters/index.js';
 import type {Manifest, PackageRemote, WorkspacesManifestMap} from './types.js';
 import type PackageReference from './package-reference.js';
+import type BaseFetcher from './fetchers/base-fetcher.js';
+import type ExoticResolver from './resolvers/exotics/exotic-resolver.js';
 import {execFromManifest} from './util/execute-lifecycle-script.js';
 import {resolveWithHome} from './util/path.js';
 import normalizeManifest from './util/normalize-manifest/index.js';
@@ -15,6 +17,8 @@ import RequestManager from './util/request-manager.js';
 import {registries, registryNames} from './registries/index.js';
 import {NoopReporter} from './reporters/index.js';
 import map from './util/map.js';
+import {loadPlugins} from './plugins.js';
+import * as sandbox from './sandbox.js';
 
 const stripBOM = require('strip-bom');
 const JSON5 = require('json5');
@@ -62,6 +66,9 @@ export type ConfigOptions = {
 
   esyStoreVersion?: string,
   esyMetadataVersion?: string,
+
+  // named sandbox of the root manifest to install, see sandbox.js
+  sandbox?: ?string,
 };
 
 type PackageMetadata = {
@@ -164,10 +171,21 @@ export default class Config {
   workspaceRootFolder: ?string;
   lockfileFolder: string;
 
+  // named sandbox and its lockfile, the default sandbox has no name
+  sandbox: ?string;
+  lockfileFilename: string;
+
+  // options the config was initialised with
+  _options: ConfigOptions;
+
   //
   registries: ConfigRegistries;
   registryFolders: Array<string>;
 
+  // resolvers and fetchers registered by plugins of the project, see plugins.js
+  pluginResolvers: Array<Class<ExoticResolver>>;
+  pluginFetchers: Map<string, Class<BaseFetcher>>;
+
   //
   cache: {
     [key: string]: ?Promise<any>,
@@ -229,6 +247,11 @@ export default class Config {
     this.workspaceRootFolder = await this.findWorkspaceRoot(this.cwd);
     this.lockfileFolder = this.workspaceRootFolder || this.cwd;
 
+    if (this.sandbox != null && !this.modulesFolder) {
+      this.modulesFolder = sandbox.getModulesFolder(this.lockfileFolder, this.sandbox);
+      this.rootModuleFolders.push(this.modulesFolder);
+    }
+
     this.linkedModules = [];
 
     let linkedModules;
@@ -352,14 +375,19 @@ export default class Config {
     if (this.workspaceRootFolder && !this.workspacesEnabled) {
       throw new MessageError(this.reporter.lang('workspacesDisabled'));
     }
+
+    await loadPlugins(this);
   }
 
   _init(opts: ConfigOptions) {
+    this._options = opts;
     this.rootModuleFolders = [];
     this.registryFolders = [];
     this.linkedModules = [];
 
     this.registries = map();
+    this.pluginResolvers = [];
+    this.pluginFetchers = new Map();
     this.cache = map();
     this.cwd = opts.cwd || this.cwd || process.cwd();
 
@@ -393,6 +421,22 @@ export default class Config {
 
     this.esyStoreVersion = opts.esyStoreVersion;
     this.esyMetadataVersion = opts.esyMetadataVersion;
+
+    this.sandbox = opts.sandbox || null;
+    if (this.sandbox != null && !sandbox.isValidSandboxName(this.sandbox)) {
+      throw new MessageError(this.reporter.lang('sandboxInvalidName', this.sandbox));
+    }
+    this.lockfileFilename = sandbox.getLockfileFilename(this.sandbox);
+  }
+
+  /**
+   * Create a config for another sandbox of the project which is otherwise the
+   * same as this one.
+   */
+  async forSandbox(name: ?string): Promise<Config> {
+    const config = new Config(this.reporter);
+    await config.init({...this._options, sandbox: name});
+    return config;
   }
 
   /**
@@ -31,8 +31,14 @@ export const SELF_UPDATE_DOWNLOAD_FOLDER = 'updates';
 // cache version, bump whenever we make backwards incompatible changes
 export const CACHE_VERSION = 1;
 
+// days a cache entry is kept after the last install which used it
+export const CACHE_GC_WINDOW = 30;
+
 // lockfile version, bump whenever we make backwards incompatible changes
-export const LOCKFILE_VERSION = 1;
+export const LOCKFILE_VERSION = 2;
+
+// reserved lockfile key which holds lockfile wide metadata rather than a package entry
+export const LOCKFILE_METADATA_KEY = '__metadata';
 
 // max amount of network requests to perform concurrently
 export const NETWORK_CONCURRENCY = 8;
@@ -95,9 +101,13 @@ export const FALLBACK_GLOBAL_PREFIX = path.join(userHome, '.yarn');
 
 export const META_FOLDER = '.yarn-meta';
 export const INTEGRITY_FILENAME = '.yarn-integrity';
+export const SOLUTION_FILENAME = '.esy-solution.json';
 export const LOCKFILE_FILENAME = 'esy.lock';
+// named sandboxes are installed into `<SANDBOXES_FOLDER>/<name>/node_modules`
+export const SANDBOXES_FOLDER = '_sandboxes';
 export const METADATA_FILENAME = '.yarn-metadata.json';
 export const TARBALL_FILENAME = '.yarn-tarball.tgz';
+export const CACHE_STORE_FOLDER = '.store';
 export const CLEAN_FILENAME = '.yarnclean';
 export const ACCESS_FILENAME = '.yarn-access';
 
@@ -37,6 +37,20 @@ export class ProcessTermError extends MessageError {
   }
 }
 
+export class PatchError extends MessageError {
+  constructor(msg: string, filename?: ?string, hunk?: ?string) {
+    super(msg);
+    fixupErrorSubclassing(this, PatchError);
+    this.filename = filename;
+    this.hunk = hunk;
+  }
+
+  // file the patch failed to apply to
+  filename: ?string;
+  // text of the rejected hunk
+  hunk: ?string;
+}
+
 export class ResponseError extends Error {
   constructor(msg: string, responseCode: number) {
     super(msg);
@@ -6,6 +6,7 @@ import type {PackageRemote, FetchedMetadata, FetchedOverride} from '../types.js'
 import type {RegistryNames} from '../registries/index.js';
 import type Config from '../config.js';
 import normalizeManifest from '../util/normalize-manifest/index.js';
+import {storeFiles} from '../package-cache.js';
 import * as constants from '../constants.js';
 import * as fs from '../util/fs.js';
 
@@ -63,6 +64,9 @@ export default class BaseFetcher {
         }
       })();
 
+      // identical files of all cache entries are stored once
+      const files = await storeFiles(this.config, dest, pkg);
+
       await fs.writeFile(
         path.join(dest, constants.METADATA_FILENAME),
         JSON.stringify(
@@ -72,6 +76,7 @@ export default class BaseFetcher {
             remote: this.remote,
             registry: this.registry,
             hash,
+            files,
           },
           null,
           '  ',
@@ -1,5 +1,6 @@
 /* @flow */
 
+import type Config from '../config.js';
 import BaseFetcher from './base-fetcher.js';
 import CopyFetcher from './copy-fetcher.js';
 import GitFetcher from './git-fetcher.js';
@@ -17,3 +18,26 @@ export {OpamFetcher as opam};
 export type Fetchers = BaseFetcher | CopyFetcher | GitFetcher | TarballFetcher | WorkspaceFetcher | OpamFetcher;
 
 export type FetcherNames = 'base' | 'copy' | 'git' | 'link' | 'tarball' | 'workspace' | 'opam';
+
+export type FetcherClass = Class<BaseFetcher> | Class<WorkspaceFetcher>;
+
+const builtinFetchers: {[type: string]: FetcherClass} = {
+  base: BaseFetcher,
+  copy: CopyFetcher,
+  git: GitFetcher,
+  tarball: TarballFetcher,
+  workspace: WorkspaceFetcher,
+  opam: OpamFetcher,
+};
+
+export function isBuiltinFetcher(type: string): boolean {
+  return Object.prototype.hasOwnProperty.call(builtinFetchers, type);
+}
+
+export function getFetcher(type: string, config?: ?Config): ?FetcherClass {
+  if (isBuiltinFetcher(type)) {
+    return builtinFetchers[type];
+  }
+  // fetchers registered by plugins of the project
+  return config ? config.pluginFetchers.get(type) : null;
+}
@@ -5,7 +5,6 @@
 import type {FetchedOverride} from '../types.js';
 
 const nodeCrypto = require('crypto');
-const os = require("os");
 import * as nodeFs from 'fs';
 import * as zlib from 'zlib';
 import * as path from 'path';
@@ -14,16 +13,23 @@ import * as tarFs from 'tar-fs';
 import gunzip from 'gunzip-maybe';
 import invariant from 'invariant';
 
-import {SecurityError} from '../errors.js';
+import {MessageError, PatchError, SecurityError} from '../errors.js';
 import type {OpamManifest} from '../resolvers/exotics/opam-resolver';
-import {lookupManifest, parseReference} from '../resolvers/exotics/opam-resolver';
+import {lookupLockedManifest, lookupManifest, parseReference} from '../resolvers/exotics/opam-resolver';
+import * as OpamChecksum from '../resolvers/exotics/opam-resolver/opam-checksum.js';
+import * as OpamLockfile from '../resolvers/exotics/opam-resolver/opam-lockfile.js';
+import * as OpamUid from '../resolvers/exotics/opam-resolver/opam-uid.js';
+import type {Checksum} from '../resolvers/exotics/opam-resolver/opam-checksum.js';
 import TarballFetcher from '../fetchers/tarball-fetcher.js';
 import * as constants from '../constants.js';
 import * as fs from '../util/fs.js';
-import * as child from '../util/child.js';
-import DecompressZip from 'decompress-zip';
+import {hashTarballContents} from '../package-cache.js';
+import {applyPatch} from '../util/patch.js';
+import {extractArchive} from '../util/archive.js';
 
-const isWindows = os.platform() === "win32";
+// all entries of packed tarballs get the same mtime so the tarball only depends
+// on the contents, the date is the one npm uses as dates before 1980 break zip
+const PACK_MTIME = new Date('1985-10-26T08:15:00.000Z');
 
 export default class OpamFetcher extends TarballFetcher {
   getTarballMirrorPath(): ?string {
@@ -43,34 +49,42 @@ export default class OpamFetcher extends TarballFetcher {
   async fetchFromExternal(): Promise<FetchedOverride> {
     const {dest: destPath} = this;
     const reference = parseReference(this.remote.reference);
-    const manifest = await lookupManifest(reference.name, reference.version, this.config);
+    const label = `${reference.fullName}@${reference.version}`;
+    // packages locked with all of their opam data don't need the opam repositories
+    let manifest = await lookupLockedManifest(this.reference, this.config);
+    if (manifest == null) {
+      manifest = OpamLockfile.normalizeManifest(await lookupManifest(reference.name, reference.version, this.config));
+    }
     let hash = this.hash || '';
 
+    // packages keep the uid they were locked with, uids computed by older
+    // versions can't be checked
+    if (manifest._uid !== reference.uid && !OpamUid.isLegacyUid(reference.uid)) {
+      this.reporter.warn(this.reporter.lang('opamPackageChanged', label, reference.uid, manifest._uid));
+    }
+
     let tempPath = await fs.makeTempDir('esy-install');
 
     // If we have an URL to fetch we fetch & extract it in staging dir
-    const {url, checksum} = manifest.opam;
+    const {url} = manifest.opam;
     if (url != null) {
-      const tarballFormat = getTarballFormatFromFilename(url);
-      const opamTarballPath = path.join(tempPath, 'opam-tarball.tgz');
-      hash = await this.fetchOpamTarball(url, checksum, opamTarballPath);
-      await unpackOpamTarball(opamTarballPath, tempPath, tarballFormat);
-      const [dirname] = (await fs.readdir(tempPath)).filter(
-        name => name !== 'opam-tarball.tgz',
-      );
-      tempPath = path.join(tempPath, dirname);
+      const checksums = this.getExpectedChecksums(manifest);
+      const opamTarballPath = path.join(tempPath, 'opam-tarball');
+      hash = await this.fetchOpamTarball(url, checksums, opamTarballPath, label);
+      tempPath = await extractArchive(opamTarballPath, path.join(tempPath, 'source'));
       await fs.unlink(opamTarballPath);
     }
 
     // Create missing pieces from opam metadata
-    await writeJson(path.join(tempPath, 'package.json'), manifest);
+    await writeJson(path.join(tempPath, 'package.json'), getPackageJson(manifest, reference.uid));
     await writeFiles(tempPath, manifest.opam.files);
-    await applyPatches(tempPath, manifest.opam.patches);
+    await applyPatches(tempPath, manifest.opam.patches, label);
 
     // Now we pack into a standard tarball format (standard means npm/yarn
     // understands it)
     const tempTarballPath = this.config.getTemp(this.getTarballFilename());
-    await packDirectory(tempPath, tempTarballPath);
+    const tarballChecksum = await packDirectory(tempPath, tempTarballPath);
+    this.checkTarballChecksum(tarballChecksum, label);
 
     // Put tarball into cache dir & unpack it there
     await fs.mkdirp(destPath);
@@ -88,7 +102,103 @@ export default class OpamFetcher extends TarballFetcher {
     return fetchOverride;
   }
 
-  fetchOpamTarball(url: string, checksum: ?string, filename: string): Promise<string> {
+  /**
+   * Use the tarball from the offline mirror or the cache if its checksum
+   * matches the one recorded in the lockfile, tarballs are packed by us so
+   * they can't be verified against the checksum of the source archive. The
+   * checksum is of the uncompressed tarball, see `packDirectory`.
+   */
+  async fetchFromLocal(override: ?string): Promise<FetchedOverride> {
+    const triedPaths = [];
+    for (const tarballPath of this.getLocalPaths(override)) {
+      if (tarballPath == null) {
+        continue;
+      }
+      triedPaths.push(tarballPath);
+      if (!await fs.exists(tarballPath)) {
+        continue;
+      }
+
+      const expected = this.remote.tarballChecksum;
+      if (expected == null) {
+        throw new MessageError(`${tarballPath} can't be verified as its checksum isn't recorded in the lockfile`);
+      }
+      let actual;
+      try {
+        actual = OpamChecksum.format({kind: 'sha256', contents: await hashTarballContents(tarballPath, 'sha256')});
+      } catch (err) {
+        throw new SecurityError(`${tarballPath} can't be verified as it can't be decompressed: ${err.message}`);
+      }
+      if (actual !== expected) {
+        throw new SecurityError(`Incorrect checksum of ${tarballPath} (expected ${expected}, got ${actual})`);
+      }
+
+      await fs.mkdirp(this.dest);
+      const destTarballPath = path.join(this.dest, constants.TARBALL_FILENAME);
+      if (tarballPath !== destTarballPath) {
+        await fs.copy(tarballPath, destTarballPath, this.reporter);
+      }
+      await unpackTarball(destTarballPath, this.dest);
+      return {hash: this.hash || '', resolved: null};
+    }
+    throw new MessageError(this.reporter.lang('tarballNotInNetworkOrCache', this.reference, triedPaths));
+  }
+
+  _fetch(): Promise<FetchedOverride> {
+    return this.fetchFromLocal().catch(err => {
+      // a tampered tarball must not be silently replaced
+      if (err instanceof SecurityError) {
+        throw err;
+      }
+      return this.fetchFromExternal();
+    });
+  }
+
+  /**
+   * Check the checksum of the packed tarball against the one recorded in the
+   * lockfile and record it for the lockfile.
+   */
+  checkTarballChecksum(actual: string, label: string) {
+    const expected = this.remote.tarballChecksum;
+    if (expected != null && expected !== actual) {
+      throw new SecurityError(
+        `${label}: packed tarball has checksum ${actual} which doesn't match ${expected} recorded in the lockfile, ` +
+          `the source archive or the opam repository might have changed`,
+      );
+    }
+    this.remote.tarballChecksum = actual;
+  }
+
+  /**
+   * Checksums the source archive is verified against: the ones from the opam
+   * repository and the one recorded in the lockfile.
+   */
+  getExpectedChecksums(manifest: OpamManifest): Array<Checksum> {
+    const checksums = manifest.opam.checksums.slice();
+    if (this.hash) {
+      let locked = null;
+      try {
+        locked = OpamChecksum.parse(this.hash);
+      } catch (_err) {
+        // not a checksum, might be a hash recorded by an older version
+      }
+      if (locked != null) {
+        checksums.push(locked);
+      }
+    }
+
+    const policy = OpamChecksum.getPolicy(this.config);
+    if (policy === 'require-strong' && !OpamChecksum.isStrong(checksums)) {
+      throw new SecurityError(
+        `${manifest.name}@${manifest.version}: source archive ${String(manifest.opam.url)} ` +
+          `has no sha256 or sha512 checksum which is required by the opam-checksum-policy setting`,
+      );
+    }
+
+    return checksums;
+  }
+
+  fetchOpamTarball(url: string, checksums: Array<Checksum>, filename: string, label: string): Promise<string> {
     const registry = this.config.registries[this.registry];
     return registry.request(url, {
       headers: {
@@ -111,19 +221,24 @@ export default class OpamFetcher extends TarballFetcher {
         };
 
         req.on('response', handleRequestError);
-        writeValidatedStream(req, filename, checksum).then(resolve, reject);
+        writeValidatedStream(req, filename, checksums, `${label} (${url})`).then(resolve, reject);
       },
     });
   }
 }
 
-function writeValidatedStream(stream, filename, md5checksum = null): Promise<string> {
-  const hasher = nodeCrypto.createHash('md5');
+/**
+ * Write stream to the file verifying all the checksums along the way, resolves
+ * with the strongest checksum (or sha256 if there were none to verify).
+ */
+function writeValidatedStream(stream, filename, checksums: Array<Checksum>, label: string): Promise<string> {
+  const expected = checksums.length > 0 ? checksums : [{kind: 'sha256', contents: ''}];
+  const hashers = expected.map(checksum => ({checksum, hasher: nodeCrypto.createHash(checksum.kind)}));
   return new Promise((resolve, reject) => {
     const out = nodeFs.createWriteStream(filename);
     stream
       .on('data', chunk => {
-        if (md5checksum != null) {
+        for (const {hasher} of hashers) {
           hasher.update(chunk);
         }
       })
@@ -132,18 +247,19 @@ function writeValidatedStream(stream, filename, md5checksum = null): Promise<str
         reject(err);
       })
       .on('finish', () => {
-        const actualChecksum = hasher.digest('hex');
-        if (md5checksum != null) {
-          if (actualChecksum !== md5checksum) {
+        const actual = hashers.map(({checksum, hasher}) => ({kind: checksum.kind, contents: hasher.digest('hex')}));
+        for (let i = 0; i < checksums.length; i++) {
+          if (actual[i].contents !== checksums[i].contents) {
             reject(
               new SecurityError(
-                `Incorrect md5sum (expected ${md5checksum}, got ${actualChecksum})`,
+                `Incorrect ${checksums[i].kind} checksum of ${label} ` +
+                  `(expected ${checksums[i].contents}, got ${actual[i].contents})`,
               ),
             );
             return;
           }
         }
-        resolve(actualChecksum);
+        resolve(OpamChecksum.format((OpamChecksum.strongest(actual): any)));
       });
     if (stream.resume) {
       stream.resume();
@@ -151,72 +267,21 @@ function writeValidatedStream(stream, filename, md5checksum = null): Promise<str
   });
 }
 
+/**
+ * Manifest of the package written into its tarball. The opam repository the
+ * package was found in and the overrides applied to it don't change what gets
+ * installed, they are left out so the tarball doesn't depend on them.
+ */
+function getPackageJson(manifest: OpamManifest, uid: string): Object {
+  const {repository: _repository, overrides: _overrides, ...opam} = manifest.opam;
+  return {...manifest, _uid: uid, opam};
+}
+
 function writeJson(filename, object): Promise<void> {
   const data = JSON.stringify(object, null, 2);
   return fs.writeFile(filename, data, {encoding: 'utf8'});
 }
 
-async function unpackOpamTarball(
-  filename,
-  dest,
-  format: 'gzip' | 'bzip' | 'zip' | 'xz',
-): Promise<void> {
-  if (format === 'zip') {
-    await extractZip(filename, dest);
-  } else {
-    const unpackOptions = format === 'gzip' ? '-xzf' : format === 'xz' ? '-xJf' : '-xjf';
-
-    if (isWindows) {
-        // On Windows, we use the 'esy-bash' cygwin environment, since `tar` doesn't come out of the box.
-        // Note that `tar` is one command that requires the paths to be in the Cygwin-format vs the Windows format.
-        const { bashExec, toCygwinPath } = __non_webpack_require__("esy-bash");
-        await bashExec(`tar ${unpackOptions} ${toCygwinPath(filename)} -C ${toCygwinPath(dest)}`);
-    } else {
-        await child.exec(`tar ${unpackOptions} ${filename} -C ${dest}`);
-    }
-  }
-}
-
-function extractZip(filename, dest): Promise<void> {
-  let seenError = false;
-  return new Promise((resolve, reject) => {
-    const unzipper = new DecompressZip(filename);
-    unzipper.on('error', err => {
-      if (!seenError) {
-        seenError = true;
-        reject(err);
-      }
-    });
-
-    unzipper.on('extract', () => {
-      resolve();
-    });
-
-    unzipper.extract({
-      path: dest,
-    });
-  });
-}
-
-function getTarballFormatFromFilename(filename): 'gzip' | 'bzip' | 'zip' | 'xz' {
-  if (filename.endsWith('.tgz') || filename.endsWith('.tar.gz')) {
-    return 'gzip';
-  } else if (
-    filename.endsWith('.tar.bz') ||
-    filename.endsWith('.tar.bz2') ||
-    filename.endsWith('.tbz')
-  ) {
-    return 'bzip';
-  } else if (filename.endsWith('.zip')) {
-    return 'zip';
-  } else if (filename.endsWith('.xz')) {
-    return 'xz';
-  } else {
-    // XXX: default to gzip? Is this safe?
-    return 'gzip';
-  }
-}
-
 async function writeFiles(dest, files) {
   if (files.length === 0) {
     return;
@@ -225,58 +290,72 @@ async function writeFiles(dest, files) {
     const filename = path.join(dest, file.name);
     await fs.mkdirp(path.dirname(filename));
     await fs.writeFile(path.join(dest, file.name), file.content, {
-      encoding: 'utf8',
+      encoding: file.encoding || 'utf8',
     });
   });
   await Promise.all(writes);
 }
 
-async function applyPatches(dest, patches) {
+async function applyPatches(dest, patches, packageName: string): Promise<void> {
   for (const patch of patches) {
-    const patchFilename = path.join(dest, patch.name);
-    await fs.writeFile(patchFilename, patch.content, {encoding: 'utf8'});
     try {
-      if (isWindows) {
-          const { bashExec, toCygwinPath } = __non_webpack_require__("esy-bash");
-          await bashExec(`patch -p1 -i ${patchFilename}`, {
-            cwd: dest,
-            stdio: 'inherit',
-          });
-      } else {
-          await child.exec(`bash -c "patch -p1 < ${patchFilename}"`, {
-             cwd: dest,
-             stdio: 'inherit',
-           });
+      const content = patch.encoding ? Buffer.from(patch.content, patch.encoding) : patch.content;
+      await applyPatch(dest, content, {strip: 1});
+    } catch (err) {
+      if (err instanceof PatchError) {
+        throw new PatchError(`${packageName}: failed to apply ${patch.name}: ${err.message}`, err.filename, err.hunk);
       }
-    } finally {
-      await fs.unlink(patchFilename);
+      throw err;
     }
   }
 }
 
-function packDirectory(directory, tarballPath) {
+/**
+ * Pack directory into a tarball with all the contents under `package/`, the
+ * tarball only depends on the contents: entries are sorted, mtimes are fixed,
+ * permissions are normalized and there's no owner info.
+ *
+ * Resolves with the sha256 checksum of the uncompressed tarball, gzip is only
+ * the storage format and its output may differ between zlib versions.
+ */
+export function packDirectory(directory: string, tarballPath: string): Promise<string> {
+  const hasher = nodeCrypto.createHash('sha256');
   return new Promise((resolve, reject) => {
     tarFs
       .pack(directory, {
+        sort: true,
         map: header => {
           const suffix = header.name === '.' ? '' : `/${header.name}`;
           header.name = `package${suffix}`;
+          header.mtime = PACK_MTIME;
+          header.mode = normalizeMode(header.type, header.mode);
           delete header.uid;
           delete header.gid;
+          delete header.uname;
+          delete header.gname;
           return header;
         },
       })
       .on('error', onStreamError(reject, `packing ${tarballPath}`))
+      .on('data', chunk => hasher.update(chunk))
       .pipe(new zlib.Gzip())
       .on('error', onStreamError(reject, `compressing ${tarballPath}`))
       .pipe(nodeFs.createWriteStream(tarballPath))
       .on('error', onStreamError(reject, `writing tarball ${tarballPath}`))
       .on('finish', () => {
-        resolve();
+        resolve(OpamChecksum.format({kind: 'sha256', contents: hasher.digest('hex')}));
       });
   });
 }
 
+function normalizeMode(type: string, mode: number): number {
+  const isExecutable = (mode & 0o111) !== 0; // eslint-disable-line no-bitwise
+  if (type === 'directory' || type === 'symlink' || isExecutable) {
+    return 0o755;
+  }
+  return 0o644;
+}
+
 function unpackTarball(tarballPath, directory) {
   return new Promise((resolve, reject) => {
     const inputStream = nodeFs.createReadStream(tarballPath);
@@ -5,8 +5,10 @@ import type {LockManifest} from './lockfile';
 import * as constants from './constants.js';
 import * as fs from './util/fs.js';
 import {sortAlpha, compareSortedArrays} from './util/misc.js';
+import {normalizePattern} from './util/normalize-pattern.js';
 import type {InstallArtifacts} from './package-install-scripts.js';
 import WorkspaceLayout from './workspace-layout.js';
+import {isLinkPattern, getLinkOrigin, hashLinkedManifests} from './resolvers/exotics/link-util.js';
 
 const invariant = require('invariant');
 const path = require('path');
@@ -17,6 +19,7 @@ export const integrityErrors = {
   LOCKFILE_DONT_MATCH: 'integrityLockfilesDontMatch',
   FLAGS_DONT_MATCH: 'integrityFlagsDontMatch',
   LINKED_MODULES_DONT_MATCH: 'integrityCheckLinkedModulesDontMatch',
+  LINKED_MANIFESTS_DONT_MATCH: 'integrityLinkedManifestsDontMatch',
   PATTERNS_DONT_MATCH: 'integrityPatternsDontMatch',
   MODULES_FOLDERS_MISSING: 'integrityModulesFoldersMissing',
 };
@@ -40,6 +43,10 @@ type IntegrityFile = {
   flags: Array<string>,
   modulesFolders: Array<string>,
   linkedModules: Array<string>,
+  // hashes of the manifests of `link:` packages by pattern
+  linkedManifests: {
+    [pattern: string]: string,
+  },
   topLevelPatterns: Array<string>,
   lockfileEntries: {
     [key: string]: string,
@@ -51,12 +58,14 @@ type IntegrityFile = {
 type IntegrityFlags = {
   flat: boolean,
   checkFiles: boolean,
+  solution: boolean,
 };
 
 const INTEGRITY_FILE_DEFAULTS = () => ({
   modulesFolders: [],
   flags: [],
   linkedModules: [],
+  linkedManifests: {},
   topLevelPatterns: [],
   lockfileEntries: {},
   files: [],
@@ -233,6 +242,9 @@ export default class InstallationIntegrityChecker {
     if (flags.flat) {
       result.flags.push('flat');
     }
+    if (flags.solution) {
+      result.flags.push('solution');
+    }
     if (flags.ignoreScripts) {
       result.flags.push('ignoreScripts');
     }
@@ -251,6 +263,13 @@ export default class InstallationIntegrityChecker {
       result.lockfileEntries[key] = lockfile[key].resolved || '';
     }
 
+    // linked packages have nothing resolved to compare, they're up to date as
+    // long as their manifests are the ones they were resolved from
+    for (const key of Object.keys(lockfile).filter(isLinkPattern)) {
+      const origin = getLinkOrigin(this.config, normalizePattern(key).range);
+      result.linkedManifests[key] = await hashLinkedManifests(origin);
+    }
+
     for (const modulesFolder of this._getModulesFolders({workspaceLayout})) {
       if (await fs.exists(modulesFolder)) {
         result.modulesFolders.push(path.relative(this.config.lockfileFolder, modulesFolder));
@@ -295,6 +314,15 @@ export default class InstallationIntegrityChecker {
       return 'LINKED_MODULES_DONT_MATCH';
     }
 
+    const expectedLinkedManifests = expected.linkedManifests;
+    const linkedPatterns = Object.keys(actual.linkedManifests);
+    if (
+      linkedPatterns.length !== Object.keys(expectedLinkedManifests).length ||
+      linkedPatterns.some(pattern => actual.linkedManifests[pattern] !== expectedLinkedManifests[pattern])
+    ) {
+      return 'LINKED_MANIFESTS_DONT_MATCH';
+    }
+
     let relevantExpectedFlags = expected.flags.slice();
 
     // If we run "yarn" after "yarn --check-files", we shouldn't fail the less strict validation
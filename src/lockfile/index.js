@@ -7,8 +7,10 @@ import type {ParseResultType} from './parse.js';
 import {sortAlpha} from '../util/misc.js';
 import {normalizePattern} from '../util/normalize-pattern.js';
 import parse from './parse.js';
-import {LOCKFILE_FILENAME} from '../constants.js';
+import stringify from './stringify.js';
+import {LOCKFILE_FILENAME, LOCKFILE_METADATA_KEY} from '../constants.js';
 import * as fs from '../util/fs.js';
+import {getLockMetadata as getOpamLockMetadata} from '../resolvers/exotics/opam-resolver/opam-lockfile.js';
 
 const invariant = require('invariant');
 const path = require('path');
@@ -20,6 +22,28 @@ type Dependencies = {
   [key: string]: string,
 };
 
+// opam specific metadata of @opam/* packages, see opam-lockfile.js
+export type LockOpamMetadata = {
+  // opam version of the package, missing in entries written by older versions
+  version?: ?string,
+  // opam repository the package was resolved from
+  repository?: ?string,
+  // source archive and its strongest checksum as `kind=hex`
+  url?: ?string,
+  checksum?: ?string,
+  // checksum of the tarball packed from the source archive, overrides and patches
+  tarballChecksum?: ?string,
+  // build and install commands as JSON
+  build?: ?string,
+  install?: ?string,
+  buildsInSource?: ?boolean,
+  exportedEnv?: ?{[name: string]: {val: string, scope?: string}},
+  // patches as JSON in the order they are applied, files by name or as JSON
+  // when some of them aren't UTF-8
+  patches?: ?string,
+  files?: ?({[name: string]: string} | string),
+};
+
 export type LockManifest = {
   name: string,
   version: string,
@@ -30,6 +54,7 @@ export type LockManifest = {
   optionalDependencies: ?Dependencies,
   peerDependencies: ?Dependencies,
   dependencies: ?Dependencies,
+  opam?: ?LockOpamMetadata,
 };
 
 type MinimalLockManifest = {
@@ -41,6 +66,15 @@ type MinimalLockManifest = {
   permissions: ?{[key: string]: boolean},
   optionalDependencies: ?Dependencies,
   dependencies: ?Dependencies,
+  opam: ?LockOpamMetadata,
+};
+
+// lockfile wide metadata, stored under the reserved `__metadata` key
+export type LockfileMetadata = {
+  // commits of the git opam repositories packages were resolved from, by repository
+  opamRepositories?: {[name: string]: string},
+  // commit of the opam repository overrides, by remote
+  opamRepositoryOverride?: {[remote: string]: string},
 };
 
 export type LockfileObject = {
@@ -59,6 +93,37 @@ function keyForRemote(remote: PackageRemote): ?string {
   return remote.resolved || (remote.reference && remote.hash ? `${remote.reference}#${remote.hash}` : null);
 }
 
+function normalizeMetadata(metadata: LockfileMetadata): ?Object {
+  const normalized = {};
+  for (const key of Object.keys(metadata)) {
+    const value = blankObjectUndefined(metadata[key]);
+    if (value != null) {
+      normalized[key] = value;
+    }
+  }
+  return blankObjectUndefined(normalized);
+}
+
+/**
+ * Add lockfile wide metadata to the lockfile object before it is stringified.
+ */
+export function withMetadata(lockfile: LockfileObject, metadata: LockfileMetadata): Object {
+  const normalized = normalizeMetadata(metadata);
+  return normalized == null ? lockfile : {[LOCKFILE_METADATA_KEY]: normalized, ...lockfile};
+}
+
+export function isSameMetadata(a: LockfileMetadata, b: LockfileMetadata): boolean {
+  // stringify sorts keys so the order in which metadata was produced doesn't matter
+  return stringify(normalizeMetadata(a) || {}, true) === stringify(normalizeMetadata(b) || {}, true);
+}
+
+/**
+ * Check if two entries of the pattern are written to the lockfile the same way.
+ */
+export function isSameEntry(pattern: string, a: Object, b: Object): boolean {
+  return stringify(implodeEntry(pattern, a), true) === stringify(implodeEntry(pattern, b), true);
+}
+
 export function implodeEntry(pattern: string, obj: Object): MinimalLockManifest {
   const inferredName = getName(pattern);
   return {
@@ -71,6 +136,7 @@ export function implodeEntry(pattern: string, obj: Object): MinimalLockManifest
     optionalDependencies: blankObjectUndefined(obj.optionalDependencies),
     peerDependencies: blankObjectUndefined(obj.peerDependencies),
     permissions: blankObjectUndefined(obj.permissions),
+    opam: blankObjectUndefined(obj.opam),
   };
 }
 
@@ -86,11 +152,17 @@ export function explodeEntry(pattern: string, obj: Object): LockManifest {
 
 export default class Lockfile {
   constructor(
-    {cache, source, parseResultType}: {cache?: ?Object, source?: string, parseResultType?: ParseResultType} = {},
+    {
+      cache,
+      source,
+      parseResultType,
+      metadata,
+    }: {cache?: ?Object, source?: string, parseResultType?: ParseResultType, metadata?: ?LockfileMetadata} = {},
   ) {
     this.source = source || '';
     this.cache = cache;
     this.parseResultType = parseResultType;
+    this.metadata = metadata || {};
   }
 
   // source string if the `cache` was parsed
@@ -102,11 +174,18 @@ export default class Lockfile {
 
   parseResultType: ?ParseResultType;
 
-  static async fromDirectory(dir: string, reporter?: Reporter): Promise<Lockfile> {
+  metadata: LockfileMetadata;
+
+  static async fromDirectory(
+    dir: string,
+    reporter?: Reporter,
+    filename?: string = LOCKFILE_FILENAME,
+  ): Promise<Lockfile> {
     // read the manifest in this directory
-    const lockfileLoc = path.join(dir, LOCKFILE_FILENAME);
+    const lockfileLoc = path.join(dir, filename);
 
     let lockfile;
+    let metadata;
     let rawLockfile = '';
     let parseResult;
 
@@ -123,13 +202,22 @@ export default class Lockfile {
       }
 
       lockfile = parseResult.object;
+
+      // metadata isn't a package entry, keep it out of the way of the pattern lookups
+      metadata = lockfile[LOCKFILE_METADATA_KEY];
+      delete lockfile[LOCKFILE_METADATA_KEY];
     } else {
       if (reporter) {
         reporter.info(reporter.lang('noLockfileFound'));
       }
     }
 
-    return new Lockfile({cache: lockfile, source: rawLockfile, parseResultType: parseResult && parseResult.type});
+    return new Lockfile({
+      cache: lockfile,
+      source: rawLockfile,
+      parseResultType: parseResult && parseResult.type,
+      metadata,
+    });
   }
 
   getLocked(pattern: string): ?LockManifest {
@@ -197,6 +285,7 @@ export default class Lockfile {
         peerDependencies: pkg.peerDependencies,
         optionalDependencies: pkg.optionalDependencies,
         permissions: ref.permissions,
+        opam: getOpamLockMetadata(pkg),
       });
       lockfile[pattern] = obj;
 
@@ -99,8 +99,12 @@ function* tokenise(input: string): Iterator<Token> {
         val += currentChar;
 
         if (i > 0 && currentChar === '"') {
-          const isEscaped = input[i - 1] === '\\' && input[i - 2] !== '\\';
-          if (!isEscaped) {
+          // the quote is escaped if it's preceded by an odd number of backslashes
+          let backslashes = 0;
+          while (input[i - backslashes - 1] === '\\') {
+            backslashes++;
+          }
+          if (backslashes % 2 === 0) {
             break;
           }
         }
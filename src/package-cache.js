@@ -0,0 +1,368 @@
+/* @flow */
+
+import type Config from './config.js';
+import type {Manifest} from './types.js';
+import * as constants from './constants.js';
+import {registryNames} from './registries/index.js';
+import * as OpamChecksum from './resolvers/exotics/opam-resolver/opam-checksum.js';
+import * as crypto from './util/crypto.js';
+import * as fs from './util/fs.js';
+
+const gunzip = require('gunzip-maybe');
+const nodeCrypto = require('crypto');
+const nodeFs = require('fs');
+const path = require('path');
+
+/**
+ * Content-addressable storage for the files of cache entries.
+ *
+ * Cache entries stay regular directories which the linker copies from, but
+ * each of their files is a hardlink to `<cache>/.store/files/<hash>` so a file
+ * shared by several entries (e.g. by all the versions and uids of an opam
+ * package) takes disk space only once. The metadata of an entry maps its files
+ * to their hashes. Stored files are read-only so nothing which uses an entry
+ * in place (like the packages of a solution file) can change the files of
+ * other entries, the linker gives its copies write permission back. Packages
+ * which are built in their source directory
+ * (`esy.buildsInSource`) may be built straight from the cache, their files are
+ * never stored as a build would change the files of every entry sharing them.
+ *
+ * Installs record which entries they use in `<cache>/.store/roots/` so
+ * `cache gc` can remove entries no install has used for a while, and then the
+ * stored files which aren't linked from any entry anymore. `cache verify`
+ * checks entries against the hashes of their files and their tarballs.
+ */
+
+export type PackageFiles = {[relative: string]: string};
+
+type Root = {
+  lockfile: string,
+  usedAt: number,
+  // cache entries relative to the cache folder
+  entries: Array<string>,
+};
+
+export type GcResult = {
+  entries: Array<string>,
+  files: number,
+};
+
+export type EntryProblem =
+  | {type: 'metadata'}
+  | {type: 'tarball'}
+  | {type: 'missing' | 'modified', file: string, hash: string};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function getStoreFolder(config: Config): string {
+  return path.join(config.cacheFolder, constants.CACHE_STORE_FOLDER);
+}
+
+function getStoredPath(config: Config, hash: string): string {
+  return path.join(getStoreFolder(config), 'files', hash.slice(0, 2), hash.slice(2));
+}
+
+export function isCacheEntry(config: Config, dest: string): boolean {
+  return dest.startsWith(config.cacheFolder + path.sep);
+}
+
+/**
+ * Move the files of the cache entry into the store and replace them with
+ * hardlinks to it, the files are left as they are if hardlinks don't work or
+ * the package is built in source.
+ */
+export async function storeFiles(config: Config, dest: string, manifest: Manifest): Promise<PackageFiles> {
+  const files = {};
+  if (!isCacheEntry(config, dest) || isBuiltInSource(manifest)) {
+    return files;
+  }
+
+  for (const file of await fs.walk(dest, null, new Set([constants.METADATA_FILENAME]))) {
+    const stat = await fs.lstat(file.absolute);
+    if (!stat.isFile()) {
+      continue;
+    }
+    const hash = await hashEntryFile(file.absolute, stat.mode);
+    if (!await linkToStore(config, file.absolute, stat.mode, hash)) {
+      return {};
+    }
+    files[file.relative] = hash;
+  }
+
+  return files;
+}
+
+function isBuiltInSource(manifest: Manifest): boolean {
+  const esy = (manifest: Object).esy;
+  return esy != null && Boolean(esy.buildsInSource);
+}
+
+async function linkToStore(config: Config, filename: string, mode: number, hash: string): Promise<boolean> {
+  const storedPath = getStoredPath(config, hash);
+  await fs.mkdirp(path.dirname(storedPath));
+  try {
+    // the first entry with this file stores it, all the hardlinks share the
+    // mode so the file can't be written through any of them
+    await fs.chmod(filename, mode & 0o555); // eslint-disable-line no-bitwise
+    await fs.link(filename, storedPath);
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') {
+      await fs.chmod(filename, mode);
+      return false;
+    }
+  }
+
+  const tempPath = `${filename}.${process.pid}.store`;
+  try {
+    await fs.link(storedPath, tempPath);
+  } catch (err) {
+    // removed by `cache gc` in the meantime
+    if (err.code === 'ENOENT') {
+      return linkToStore(config, filename, mode, hash);
+    }
+    return false;
+  }
+  await fs.rename(tempPath, filename);
+  return true;
+}
+
+async function hashEntryFile(filename: string, mode: number): Promise<string> {
+  // the mode is shared by all hardlinks so files which only differ in it are
+  // stored separately
+  const isExecutable = (mode & 0o111) !== 0; // eslint-disable-line no-bitwise
+  const contentHash = await hashFile(filename, 'sha1');
+  return isExecutable ? `${contentHash}-x` : contentHash;
+}
+
+function hashFile(filename: string, algorithm: string): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const hash = nodeCrypto.createHash(algorithm);
+    nodeFs
+      .createReadStream(filename)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Hash the uncompressed contents of the tarball, unlike the compressed bytes
+ * they don't depend on the version of zlib which compressed them.
+ */
+export function hashTarballContents(filename: string, algorithm: string): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const hash = nodeCrypto.createHash(algorithm);
+    nodeFs
+      .createReadStream(filename)
+      .on('error', reject)
+      .pipe(gunzip())
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Record that the install of the lockfile uses these cache entries.
+ */
+export async function recordRoot(config: Config, lockfile: string, dests: Array<string>): Promise<void> {
+  const root: Root = {
+    lockfile,
+    usedAt: Date.now(),
+    entries: dests.filter(dest => isCacheEntry(config, dest)).map(dest => path.relative(config.cacheFolder, dest)),
+  };
+  const rootPath = path.join(getStoreFolder(config), 'roots', `${crypto.hash(lockfile, 'sha1')}.json`);
+  await fs.mkdirp(path.dirname(rootPath));
+  const tempPath = `${rootPath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(root));
+  await fs.rename(tempPath, rootPath);
+}
+
+async function readLiveEntries(config: Config, since: number): Promise<Set<string>> {
+  const live = new Set();
+  const rootsFolder = path.join(getStoreFolder(config), 'roots');
+  if (!await fs.exists(rootsFolder)) {
+    return live;
+  }
+
+  for (const name of await fs.readdir(rootsFolder)) {
+    const rootPath = path.join(rootsFolder, name);
+    let root: ?Root = null;
+    try {
+      root = await fs.readJson(rootPath);
+    } catch (_err) {
+      // written by an install which crashed, it records nothing
+    }
+    if (root == null || root.usedAt < since || !await fs.exists(root.lockfile)) {
+      await fs.unlink(rootPath);
+      continue;
+    }
+    for (const entry of root.entries) {
+      live.add(entry);
+    }
+  }
+
+  return live;
+}
+
+/**
+ * List all cache entries, scoped packages are in a directory of their scope.
+ */
+export async function readEntries(config: Config): Promise<Array<string>> {
+  const entries = [];
+  await readFolder(config, config.cacheFolder, (loc, hasMetadata) => {
+    if (hasMetadata) {
+      entries.push(loc);
+    }
+  });
+  return entries;
+}
+
+/**
+ * List directories of cache entries which have no metadata, they were left by
+ * fetches which didn't finish.
+ */
+export async function readOrphans(config: Config): Promise<Array<string>> {
+  const orphans = [];
+  await readFolder(config, config.cacheFolder, async (loc, hasMetadata) => {
+    const name = path.basename(loc);
+    // other folders of the cache, such as opam repositories, aren't entries
+    const isEntryName =
+      path.dirname(loc) !== config.cacheFolder || registryNames.some(registry => name.startsWith(`${registry}-`));
+    // locks of entries being fetched right now and the entries themselves
+    if (hasMetadata || !isEntryName || name.endsWith('.lock') || (await fs.exists(`${loc}.lock`))) {
+      return;
+    }
+    orphans.push(loc);
+  });
+  return orphans;
+}
+
+async function readFolder(
+  config: Config,
+  folder: string,
+  onEntry: (loc: string, hasMetadata: boolean) => Promise<void> | void,
+): Promise<void> {
+  for (const name of await fs.readdir(folder)) {
+    const loc = path.join(folder, name);
+    if (name[0] === '.' || !(await fs.lstat(loc)).isDirectory()) {
+      continue;
+    }
+    const hasMetadata = await fs.exists(path.join(loc, constants.METADATA_FILENAME));
+    if (!hasMetadata && folder === config.cacheFolder && name.includes('-@')) {
+      await readFolder(config, loc, onEntry);
+    } else {
+      await onEntry(loc, hasMetadata);
+    }
+  }
+}
+
+/**
+ * Check the cache entry against its metadata: the tarball against the checksum
+ * it was fetched with and the files against the hashes they were stored with.
+ */
+export async function verifyEntry(entry: string): Promise<Array<EntryProblem>> {
+  let metadata;
+  try {
+    metadata = await fs.readJson(path.join(entry, constants.METADATA_FILENAME));
+  } catch (_err) {
+    return [{type: 'metadata'}];
+  }
+
+  const problems = [];
+  const tarballPath = path.join(entry, constants.TARBALL_FILENAME);
+  if ((await fs.exists(tarballPath)) && !await isValidTarball(tarballPath, metadata)) {
+    problems.push({type: 'tarball'});
+  }
+
+  const files: PackageFiles = metadata.files || {};
+  for (const file of Object.keys(files)) {
+    const filename = path.join(entry, file);
+    const hash = files[file];
+    if (!await fs.exists(filename)) {
+      problems.push({type: 'missing', file, hash});
+    } else if ((await hashEntryFile(filename, (await fs.lstat(filename)).mode)) !== hash) {
+      problems.push({type: 'modified', file, hash});
+    }
+  }
+
+  return problems;
+}
+
+async function isValidTarball(tarballPath: string, metadata: Object): Promise<boolean> {
+  const {remote} = metadata;
+  if (remote != null && remote.type === 'opam' && remote.tarballChecksum) {
+    // packed by the opam fetcher which checksums the uncompressed tarball
+    let expected;
+    try {
+      expected = OpamChecksum.parse(remote.tarballChecksum);
+    } catch (_err) {
+      return true;
+    }
+    try {
+      return (await hashTarballContents(tarballPath, expected.kind)) === expected.contents;
+    } catch (_err) {
+      // can't be decompressed
+      return false;
+    }
+  }
+  if (remote != null && remote.type === 'tarball' && metadata.hash) {
+    // the tarball fetcher records the sha1 of the tarball
+    return (await hashFile(tarballPath, 'sha1')) === metadata.hash;
+  }
+  // nothing to check it against
+  return true;
+}
+
+/**
+ * Remove files from the store, a modified file of an entry is usually modified
+ * in the store too as they're the same file.
+ */
+export async function evictStoredFiles(config: Config, hashes: Array<string>): Promise<void> {
+  for (const hash of hashes) {
+    await fs.unlink(getStoredPath(config, hash));
+  }
+}
+
+/**
+ * Remove cache entries which weren't used by any install within the last
+ * `windowDays` days and the stored files which aren't used anymore.
+ */
+export async function gc(config: Config, windowDays: number): Promise<GcResult> {
+  const since = Date.now() - windowDays * DAY;
+  const live = await readLiveEntries(config, since);
+
+  const removed = [];
+  for (const entry of await readEntries(config)) {
+    if (live.has(path.relative(config.cacheFolder, entry))) {
+      continue;
+    }
+    // being fetched right now
+    if (await fs.exists(`${entry}.lock`)) {
+      continue;
+    }
+    // fetched recently by an install which didn't record it yet
+    const {mtime} = await fs.stat(path.join(entry, constants.METADATA_FILENAME));
+    if (+mtime >= since) {
+      continue;
+    }
+    await fs.unlink(entry);
+    removed.push(entry);
+  }
+
+  let files = 0;
+  const filesFolder = path.join(getStoreFolder(config), 'files');
+  if (await fs.exists(filesFolder)) {
+    for (const file of await fs.walk(filesFolder)) {
+      const stat = await fs.lstat(file.absolute);
+      // not linked from any entry
+      if (stat.isFile() && stat.nlink === 1) {
+        await fs.unlink(file.absolute);
+        files++;
+      }
+    }
+  }
+
+  return {entries: removed, files};
+}
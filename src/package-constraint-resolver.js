@@ -2,12 +2,56 @@
 
 import type {Reporter} from './reporters/index.js';
 import type Config from './config.js';
+import type Lockfile from './lockfile';
+import type {DependencyRequestPattern} from './types.js';
+import {MessageError} from './errors.js';
+import NpmRegistry from './registries/npm-registry.js';
+import {normalizePattern} from './util/normalize-pattern.js';
+import * as OpamRepository from './resolvers/exotics/opam-resolver/opam-repository.js';
+import * as OpamVersion from './resolvers/exotics/opam-resolver/opam-version.js';
+import {OPAM_SCOPE} from './resolvers/exotics/opam-resolver/config.js';
 
+const invariant = require('invariant');
 const semver = require('semver');
 
 // This isn't really a "proper" constraint resolver. We just return the highest semver
 // version in the versions passed that satisfies the input range. This vastly reduces
 // the complexity and is very efficient for package resolution.
+//
+// When the solver mode is enabled (`--solver` or `solver true` in .yarnrc) we
+// additionally run `solve()` before the resolution which considers all ranges
+// (including peer dependencies and hence the OCaml compiler constraint)
+// together and backtracks to find a single version of each package which
+// satisfies all of them.
+
+export type SolverRequirement = {
+  name: string,
+  range: string,
+  // package which introduced the requirement, null if it comes from the root manifest
+  from: ?string,
+  peer: boolean,
+};
+
+export type SolverCandidate = {
+  name: string,
+  version: string,
+  dependencies: {[name: string]: string},
+  peerDependencies: {[name: string]: string},
+  satisfies: (range: string) => boolean,
+};
+
+export type SolverResult =
+  | {type: 'solved', solution: Map<string, SolverCandidate>}
+  | {type: 'conflict', name: string, requirements: Array<SolverRequirement>};
+
+type SolverOptions = {
+  // which requirements are handled by the solver, others are left to the
+  // regular resolution process (think git, file or link dependencies)
+  isSolvable: (name: string, range: string) => boolean,
+  maxSteps?: number,
+};
+
+const SOLVER_MAX_STEPS = 100000;
 
 export default class PackageConstraintResolver {
   constructor(config: Config, reporter: Reporter) {
@@ -26,4 +70,316 @@ export default class PackageConstraintResolver {
       return Promise.resolve(semver.maxSatisfying(versions, range, this.config.looseSemver));
     }
   }
+
+  /**
+   * Find a single version for each package reachable from `deps` so that all
+   * ranges are satisfied at once. Versions recorded in the lockfile are tried
+   * first so the existing solution is kept if it's still valid.
+   */
+
+  async solve(deps: Array<DependencyRequestPattern>, lockfile: Lockfile): Promise<Map<string, string>> {
+    const isSolvable = (name, range) => this.isSolvable(name, range);
+
+    const requirements = [];
+    for (const dep of deps) {
+      const {name, range} = normalizePattern(dep.pattern);
+      if (isSolvable(name, range)) {
+        requirements.push({name, range, from: null, peer: false});
+      }
+    }
+
+    const lockedVersions = getLockedVersions(lockfile);
+    const getCandidates = async name => {
+      const candidates = await this.getCandidates(name);
+      const locked = lockedVersions.get(name);
+      if (locked == null) {
+        return candidates;
+      }
+      return candidates
+        .filter(candidate => locked.has(candidate.version))
+        .concat(candidates.filter(candidate => !locked.has(candidate.version)));
+    };
+
+    const result = await solveConstraints(requirements, getCandidates, {isSolvable});
+
+    if (result.type === 'conflict') {
+      const explanation = result.requirements.map(req => `  ${formatRequirement(req)}`).join('\n');
+      throw new MessageError(this.reporter.lang('solverNoSolution', result.name, explanation));
+    }
+
+    const solution = new Map();
+    for (const [name, candidate] of result.solution) {
+      solution.set(name, candidate.version);
+    }
+    return solution;
+  }
+
+  isSolvable(name: string, range: string): boolean {
+    if (isOpamPackageName(name)) {
+      return OpamVersion.isValidRange(range);
+    }
+    return range === 'latest' || semver.validRange(range, this.config.looseSemver) != null;
+  }
+
+  getCandidates(name: string): Promise<Array<SolverCandidate>> {
+    if (isOpamPackageName(name)) {
+      return this.getOpamCandidates(name);
+    } else {
+      return this.getNpmCandidates(name);
+    }
+  }
+
+  async getOpamCandidates(name: string): Promise<Array<SolverCandidate>> {
+    const repository = await OpamRepository.init(this.config);
+    const opamName = name.slice(`@${OPAM_SCOPE}/`.length);
+    const manifestCollection = await OpamRepository.maybeGetManifestCollection(repository, opamName);
+    if (manifestCollection == null) {
+      return [];
+    }
+    const manifests = OpamVersion.sortDescending(
+      Object.keys(manifestCollection.versions).map(version => manifestCollection.versions[version]),
+      manifest => manifest.opam.version,
+    );
+    return manifests.map(manifest => ({
+      name,
+      version: manifest.version,
+      dependencies: manifest.dependencies || {},
+      peerDependencies: manifest.peerDependencies || {},
+      satisfies: range => {
+        try {
+          const formula = OpamVersion.parseRange(range);
+          return OpamVersion.satisfies({version: manifest.version, opamVersion: manifest.opam.version}, formula);
+        } catch (err) {
+          return false;
+        }
+      },
+    }));
+  }
+
+  async getNpmCandidates(name: string): Promise<Array<SolverCandidate>> {
+    const body = await this.config.registries.npm.request(NpmRegistry.escapeName(name));
+    if (body == null || body.versions == null) {
+      return [];
+    }
+    const distTags = body['dist-tags'] || {};
+    const versions = Object.keys(body.versions).filter(version => semver.valid(version, this.config.looseSemver));
+    versions.sort(semver.rcompare);
+    return versions.map(version => {
+      const manifest = body.versions[version];
+      return {
+        name,
+        version,
+        dependencies: manifest.dependencies || {},
+        peerDependencies: manifest.peerDependencies || {},
+        satisfies: range => {
+          if (range in distTags) {
+            return distTags[range] === version;
+          }
+          return semver.satisfies(version, range, this.config.looseSemver);
+        },
+      };
+    });
+  }
+}
+
+/**
+ * Backtracking search for a set of candidates (one per package name) which
+ * satisfies all requirements. At each step we pick the package with the
+ * fewest remaining candidates, try its candidates in the order they were
+ * provided and backtrack as soon as a requirement can't be met.
+ *
+ * Peer requirements only constrain packages which are required by some other
+ * (non-peer) requirement.
+ */
+
+export async function solveConstraints(
+  rootRequirements: Array<SolverRequirement>,
+  getCandidates: (name: string) => Promise<Array<SolverCandidate>>,
+  options: SolverOptions,
+): Promise<SolverResult> {
+  const {isSolvable, maxSteps = SOLVER_MAX_STEPS} = options;
+
+  const candidatesCache: Map<string, Promise<Array<SolverCandidate>>> = new Map();
+  const loadCandidates = (name: string): Promise<Array<SolverCandidate>> => {
+    let candidates = candidatesCache.get(name);
+    if (candidates == null) {
+      candidates = getCandidates(name);
+      candidatesCache.set(name, candidates);
+    }
+    return candidates;
+  };
+
+  const conflicts: Map<string, {count: number, name: string, requirements: Array<SolverRequirement>}> = new Map();
+  const recordConflict = (name: string, requirements: Array<SolverRequirement>) => {
+    const key = [name, ...requirements.map(formatRequirement).sort()].join('\n');
+    const conflict = conflicts.get(key);
+    if (conflict != null) {
+      conflict.count += 1;
+    } else {
+      conflicts.set(key, {count: 1, name, requirements});
+    }
+  };
+
+  const introducedRequirements = (candidate: SolverCandidate): Array<SolverRequirement> => {
+    const from = `${candidate.name}@${candidate.version}`;
+    const requirements = [];
+    for (const name of Object.keys(candidate.dependencies)) {
+      const range = candidate.dependencies[name];
+      if (isSolvable(name, range)) {
+        requirements.push({name, range, from, peer: false});
+      }
+    }
+    for (const name of Object.keys(candidate.peerDependencies)) {
+      const range = candidate.peerDependencies[name];
+      if (isSolvable(name, range)) {
+        requirements.push({name, range, from, peer: true});
+      }
+    }
+    return requirements;
+  };
+
+  let steps = 0;
+
+  const search = async (
+    assignment: Map<string, SolverCandidate>,
+    requirements: Array<SolverRequirement>,
+  ): Promise<?Map<string, SolverCandidate>> => {
+    steps += 1;
+    if (steps > maxSteps) {
+      throw new MessageError(`Unable to solve dependency constraints in ${maxSteps} steps`);
+    }
+
+    const pending = [];
+    for (const req of requirements) {
+      if (!req.peer && !assignment.has(req.name) && pending.indexOf(req.name) === -1) {
+        pending.push(req.name);
+      }
+    }
+    if (pending.length === 0) {
+      return assignment;
+    }
+    pending.sort();
+
+    // pick the most constrained package first, this way we fail early
+    let next = null;
+    for (const name of pending) {
+      const reqs = requirements.filter(req => req.name === name);
+      const candidates = await loadCandidates(name);
+      const allowed = candidates.filter(candidate => reqs.every(req => candidate.satisfies(req.range)));
+      if (allowed.length === 0) {
+        recordConflict(name, reqs);
+        return null;
+      }
+      if (next == null || allowed.length < next.allowed.length) {
+        next = {name, allowed};
+      }
+    }
+
+    if (next == null) {
+      return null;
+    }
+
+    for (const candidate of next.allowed) {
+      const added = introducedRequirements(candidate);
+      const clash = added.find(req => {
+        const assigned = req.name === candidate.name ? candidate : assignment.get(req.name);
+        return assigned != null && !assigned.satisfies(req.range);
+      });
+      if (clash != null) {
+        recordConflict(clash.name, requirements.filter(req => req.name === clash.name).concat(clash));
+        continue;
+      }
+      const nextAssignment = new Map(assignment);
+      nextAssignment.set(next.name, candidate);
+      const solution = await search(nextAssignment, requirements.concat(added));
+      if (solution != null) {
+        return solution;
+      }
+    }
+
+    return null;
+  };
+
+  const solution = await search(new Map(), rootRequirements);
+  if (solution != null) {
+    return {type: 'solved', solution};
+  }
+
+  // Explain the failure with the most frequent conflict which can't be
+  // satisfied by any version at all, reduced to a minimal set of requirements.
+  const sortedConflicts = Array.from(conflicts.values()).sort((a, b) => b.count - a.count);
+  for (const conflict of sortedConflicts) {
+    const candidates = await loadCandidates(conflict.name);
+    const requirements = uniqueRequirements(conflict.requirements);
+    if (!isSatisfiable(candidates, requirements)) {
+      return {type: 'conflict', name: conflict.name, requirements: minimizeConflict(candidates, requirements)};
+    }
+  }
+
+  const [conflict] = sortedConflicts;
+  invariant(conflict != null, 'Expected a conflict to be recorded');
+  return {type: 'conflict', name: conflict.name, requirements: uniqueRequirements(conflict.requirements)};
+}
+
+/**
+ * Remove requirements from the conflict one by one while the rest of them
+ * still can't be satisfied.
+ */
+
+export function minimizeConflict(
+  candidates: Array<SolverCandidate>,
+  requirements: Array<SolverRequirement>,
+): Array<SolverRequirement> {
+  let core = requirements;
+  for (const req of requirements) {
+    const rest = core.filter(other => other !== req);
+    if (!isSatisfiable(candidates, rest)) {
+      core = rest;
+    }
+  }
+  return core;
+}
+
+function isSatisfiable(candidates: Array<SolverCandidate>, requirements: Array<SolverRequirement>): boolean {
+  return candidates.some(candidate => requirements.every(req => candidate.satisfies(req.range)));
+}
+
+function uniqueRequirements(requirements: Array<SolverRequirement>): Array<SolverRequirement> {
+  const seen = new Set();
+  return requirements.filter(req => {
+    const key = formatRequirement(req);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+export function formatRequirement(req: SolverRequirement): string {
+  const from = req.from == null ? 'root' : req.from;
+  const kind = req.peer ? 'peer dependency' : 'dependency';
+  return `${from} has ${kind} ${req.name}@${req.range}`;
+}
+
+function getLockedVersions(lockfile: Lockfile): Map<string, Set<string>> {
+  const lockedVersions = new Map();
+  const cache = lockfile.cache || {};
+  for (const pattern of Object.keys(cache)) {
+    const entry = lockfile.getLocked(pattern);
+    if (entry == null) {
+      continue;
+    }
+    let versions = lockedVersions.get(entry.name);
+    if (versions == null) {
+      versions = new Set();
+      lockedVersions.set(entry.name, versions);
+    }
+    versions.add(entry.version);
+  }
+  return lockedVersions;
+}
+
+function isOpamPackageName(name: string): boolean {
+  return name.startsWith(`@${OPAM_SCOPE}/`);
 }
@@ -1,16 +1,29 @@
 /* @flow */
 
-import type {FetchedMetadata, Manifest} from './types.js';
+import type {FetchedMetadata, Manifest, PackageRemote} from './types.js';
 import type {Fetchers} from './fetchers/index.js';
 import type PackageReference from './package-reference.js';
 import type Config from './config.js';
 import {MessageError} from './errors.js';
-import * as fetchers from './fetchers/index.js';
+import * as constants from './constants.js';
+import {getFetcher} from './fetchers/index.js';
+import * as fileLock from './util/file-lock.js';
 import * as fs from './util/fs.js';
 import * as promise from './util/promise.js';
 
-async function fetchCache(dest: string, fetcher: Fetchers, config: Config): Promise<FetchedMetadata> {
-  const {hash, package: pkg} = await config.readPackageMetadata(dest);
+const path = require('path');
+
+async function fetchCache(
+  dest: string,
+  fetcher: Fetchers,
+  config: Config,
+  remote: PackageRemote,
+): Promise<FetchedMetadata> {
+  const {hash, package: pkg, remote: cachedRemote} = await config.readPackageMetadata(dest);
+  // keep the checksum of the tarball packed by the fetcher so it gets into the lockfile
+  if (cachedRemote != null && cachedRemote.tarballChecksum && !remote.tarballChecksum) {
+    remote.tarballChecksum = cachedRemote.tarballChecksum;
+  }
   await fetcher.setupMirrorFromCache();
   return {
     package: pkg,
@@ -24,38 +37,75 @@ async function fetchOne(ref: PackageReference, config: Config): Promise<FetchedM
   const dest = config.generateHardModulePath(ref);
 
   const remote = ref.remote;
-  // Mock metedata for symlinked dependencies
-  if (remote.type === 'link') {
-    const mockPkg: Manifest = {_uid: '', name: '', version: '0.0.0'};
-    return Promise.resolve({resolved: null, hash: '', dest, package: mockPkg, cached: false});
-  }
-
-  const Fetcher = fetchers[remote.type];
+  const Fetcher = getFetcher(remote.type, config);
   if (!Fetcher) {
     throw new MessageError(config.reporter.lang('unknownFetcherFor', remote.type));
   }
 
   const fetcher = new Fetcher(dest, remote, config);
   if (await config.isValidModuleDest(dest)) {
-    return fetchCache(dest, fetcher, config);
+    return fetchCache(dest, fetcher, config, remote);
   }
 
-  // remove as the module may be invalid
-  await fs.unlink(dest);
+  // the cache is shared with other installs which might be fetching the same
+  // package right now
+  return fileLock.withLock(dest, async (held): Promise<FetchedMetadata> => {
+    if (await config.isValidModuleDest(dest)) {
+      return fetchCache(dest, fetcher, config, remote);
+    }
 
-  try {
-    return await fetcher.fetch({
-      name: ref.name,
-      version: ref.version,
-    });
-  } catch (err) {
+    // remove as the module may be invalid
+    await fs.unlink(dest);
+
+    try {
+      return await fetcher.fetch({
+        name: ref.name,
+        version: ref.version,
+      });
+    } catch (err) {
+      // the entry may be fetched by another process already
+      held.check();
+      try {
+        await fs.unlink(dest);
+      } catch (err2) {
+        // what do?
+      }
+      throw err;
+    }
+  });
+}
+
+/**
+ * Extract the cache entry again from its tarball, the entry is removed if that
+ * fails.
+ */
+export function refetch(dest: string, config: Config): Promise<FetchedMetadata> {
+  return fileLock.withLock(dest, async (held): Promise<FetchedMetadata> => {
+    const metadata = await fs.readJson(path.join(dest, constants.METADATA_FILENAME));
+    const Fetcher = getFetcher(metadata.remote.type, config);
+    if (!Fetcher) {
+      throw new MessageError(config.reporter.lang('unknownFetcherFor', metadata.remote.type));
+    }
+
+    for (const name of await fs.readdir(dest)) {
+      if (name !== constants.TARBALL_FILENAME) {
+        await fs.unlink(path.join(dest, name));
+      }
+    }
+
+    held.check();
+    const fetcher = new Fetcher(dest, metadata.remote, config);
     try {
+      return await fetcher.fetch({
+        name: metadata.manifest.name,
+        version: metadata.manifest.version,
+      });
+    } catch (err) {
+      held.check();
       await fs.unlink(dest);
-    } catch (err2) {
-      // what do?
+      throw err;
     }
-    throw err;
-  }
+  });
 }
 
 async function maybeFetchOne(ref: PackageReference, config: Config): Promise<?FetchedMetadata> {
@@ -99,7 +149,9 @@ export function fetch(pkgs: Array<Manifest>, config: Config): Promise<Array<Mani
         return pkg;
       }
 
-      const res = await maybeFetchOne(ref, config);
+      // linked packages aren't fetched, they keep the manifest they were resolved from so
+      // their dependencies end up in the lockfile
+      const res = ref.remote.type === 'link' ? null : await maybeFetchOne(ref, config);
       let newPkg;
 
       if (res) {
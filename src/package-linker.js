@@ -251,10 +251,8 @@ export default class PackageLinker {
     const possibleExtraneous: Set<string> = new Set();
     const scopedPaths: Set<string> = new Set();
 
-    const findExtraneousFiles = async basePath => {
-      for (const folder of this.config.registryFolders) {
-        const loc = path.join(basePath, folder);
-
+    const findExtraneousFiles = async (locs: Array<string>) => {
+      for (const loc of locs) {
         if (await fs.exists(loc)) {
           const files = await fs.readdir(loc);
 
@@ -276,10 +274,16 @@ export default class PackageLinker {
       }
     };
 
-    await findExtraneousFiles(this.config.lockfileFolder);
+    const getRegistryFolders = (basePath: string): Array<string> =>
+      this.config.registryFolders.map((folder): string => path.join(basePath, folder));
+
+    // an explicit modules folder (e.g. the one of a sandbox) replaces the registry folders of the project, the
+    // registry folders are left alone as they belong to another installation
+    const modulesFolder = this.config.modulesFolder;
+    await findExtraneousFiles(modulesFolder ? [modulesFolder] : getRegistryFolders(this.config.lockfileFolder));
     if (workspaceLayout) {
       for (const workspaceName of Object.keys(workspaceLayout.workspaces)) {
-        await findExtraneousFiles(workspaceLayout.workspaces[workspaceName].loc);
+        await findExtraneousFiles(getRegistryFolders(workspaceLayout.workspaces[workspaceName].loc));
       }
     }
 
@@ -354,6 +358,7 @@ export default class PackageLinker {
       artifactFiles,
 
       ignoreBasenames: [constants.METADATA_FILENAME, constants.TARBALL_FILENAME],
+      writable: true,
 
       onStart: (num: number) => {
         tick = this.reporter.progress(num);
@@ -2,6 +2,7 @@
 
 import type {Dependency, DependencyRequestPattern, Manifest} from './types.js';
 import type PackageResolver from './package-resolver.js';
+import {isDependencyOnOCaml} from './package-resolver.js';
 import type {Reporter} from './reporters/index.js';
 import type Config from './config.js';
 import type {Install} from './cli/commands/install';
@@ -22,6 +23,8 @@ import WorkspaceResolver from './resolvers/contextual/workspace-resolver.js';
 import {getExoticResolver} from './resolvers/index.js';
 import * as fs from './util/fs.js';
 import {normalizePattern} from './util/normalize-pattern.js';
+import {checkOutdated as checkOpamOutdated} from './resolvers/exotics/opam-resolver';
+import {OPAM_SCOPE} from './resolvers/exotics/opam-resolver/config.js';
 
 type ResolverRegistryNames = $Keys<typeof registryResolvers>;
 
@@ -71,11 +74,14 @@ export default class PackageRequest {
           resolved: shrunk.resolved,
           type: preferredRemoteType,
           reference: resolvedParts.url,
-          hash: resolvedParts.hash,
+          // opam packages keep the checksum of their source archive separately
+          hash: resolvedParts.hash || (shrunk.opam != null && shrunk.opam.checksum) || '',
+          tarballChecksum: shrunk.opam != null ? shrunk.opam.tarballChecksum : null,
           registry: shrunk.registry,
         },
         optionalDependencies: shrunk.optionalDependencies,
         dependencies: shrunk.dependencies,
+        opam: shrunk.opam,
       };
     } else {
       return null;
@@ -90,7 +96,7 @@ export default class PackageRequest {
   async findVersionOnRegistry(pattern: string): Promise<Manifest> {
     const {range, name} = await this.normalize(pattern);
 
-    const exoticResolver = getExoticResolver(range);
+    const exoticResolver = getExoticResolver(range, this.config);
     if (exoticResolver) {
       let data = await this.findExoticVersionInfo(exoticResolver, range);
 
@@ -125,7 +131,7 @@ export default class PackageRequest {
   }
 
   async normalizeRange(pattern: string): Promise<string> {
-    if (pattern.indexOf(':') > -1 || pattern.indexOf('@') > -1 || getExoticResolver(pattern)) {
+    if (pattern.indexOf(':') > -1 || pattern.indexOf('@') > -1 || getExoticResolver(pattern, this.config)) {
       return pattern;
     }
 
@@ -164,7 +170,7 @@ export default class PackageRequest {
    */
 
   findVersionInfo(): Promise<Manifest> {
-    const exoticResolver = getExoticResolver(this.pattern);
+    const exoticResolver = getExoticResolver(this.pattern, this.config);
     if (exoticResolver) {
       return this.findExoticVersionInfo(exoticResolver, this.pattern);
     } else if (WorkspaceResolver.isWorkspace(this.pattern, this.resolver.workspaceLayout)) {
@@ -362,6 +368,15 @@ export default class PackageRequest {
       );
     }
 
+    // opam packages are only considered if they are compatible with the OCaml
+    // version from the lockfile
+    const ocamlRequest = reqPatterns.find(isDependencyOnOCaml);
+    const ocamlLocked = ocamlRequest != null ? lockfile.getLocked(ocamlRequest.pattern) : null;
+    const ocamlVersion = ocamlLocked != null ? ocamlLocked.version : null;
+
+    // opam versions are not semver so opam packages are checked by the resolver
+    const isOpamDepOld: Map<Dependency, boolean> = new Map();
+
     const deps = await Promise.all(
       depReqPatterns.map(async ({pattern, hint, workspaceName, workspaceLoc}): Promise<Dependency> => {
         const locked = lockfile.getLocked(pattern);
@@ -376,7 +391,13 @@ export default class PackageRequest {
 
         const normalized = normalizePattern(pattern);
 
-        if (getExoticResolver(pattern) || getExoticResolver(normalized.range)) {
+        let isOpamOutdated = null;
+
+        if (name.startsWith(`@${OPAM_SCOPE}/`)) {
+          const outdated = await checkOpamOutdated(config, name, normalized.range, current, ocamlVersion);
+          ({latest, wanted, url} = outdated);
+          isOpamOutdated = outdated.isOutdated;
+        } else if (getExoticResolver(pattern, config) || getExoticResolver(normalized.range, config)) {
           latest = wanted = 'exotic';
           url = normalized.range;
         } else {
@@ -385,7 +406,7 @@ export default class PackageRequest {
           ({latest, wanted, url} = await registry.checkOutdated(config, name, normalized.range));
         }
 
-        return {
+        const dep = {
           name,
           current,
           wanted,
@@ -397,12 +418,22 @@ export default class PackageRequest {
           workspaceName: workspaceName || '',
           workspaceLoc: workspaceLoc || '',
         };
+        if (isOpamOutdated != null) {
+          isOpamDepOld.set(dep, isOpamOutdated);
+        }
+        return dep;
       }),
     );
 
     // Make sure to always output `exotic` versions to be compatible with npm
-    const isDepOld = ({current, latest, wanted}) =>
-      latest === 'exotic' || (latest !== 'exotic' && (semver.lt(current, wanted) || semver.lt(current, latest)));
+    const isDepOld = (dep: Dependency): boolean => {
+      const {current, latest, wanted} = dep;
+      const isOpamOutdated = isOpamDepOld.get(dep);
+      if (isOpamOutdated != null) {
+        return isOpamOutdated;
+      }
+      return latest === 'exotic' || (latest !== 'exotic' && (semver.lt(current, wanted) || semver.lt(current, latest)));
+    };
     const orderByName = (depA, depB) => depA.name.localeCompare(depB.name);
 
     return returnAllPackages ? deps.sort(orderByName) : deps.filter(isDepOld).sort(orderByName);
@@ -11,6 +11,7 @@ import {normalizePattern} from './util/normalize-pattern.js';
 import RequestManager from './util/request-manager.js';
 import BlockingQueue from './util/blocking-queue.js';
 import Lockfile from './lockfile';
+import type {LockManifest} from './lockfile';
 import map from './util/map.js';
 import WorkspaceLayout from './workspace-layout.js';
 import ResolutionMap from './resolution-map.js';
@@ -21,6 +22,7 @@ const semver = require('semver');
 export type ResolverOptions = {|
   isFlat?: boolean,
   isFrozen?: boolean,
+  useSolver?: boolean,
   workspaceLayout?: WorkspaceLayout,
 |};
 
@@ -38,11 +40,16 @@ export default class PackageResolver {
     this.lockfile = lockfile;
     this.config = config;
     this.delayedResolveQueue = [];
+    this.solution = null;
   }
 
   // version of ocaml to be used for dependency resolution
   ocamlVersion: ?string;
 
+  // versions picked by the constraint solver (package name -> version), null
+  // if the solver isn't used
+  solution: ?Map<string, string>;
+
   // whether the dependency graph will be flattened
   flat: boolean;
 
@@ -409,7 +416,7 @@ export default class PackageResolver {
       }
     }
 
-    if (manifest && getExoticResolver(version)) {
+    if (manifest && getExoticResolver(version, this.config)) {
       return this.exoticRangeMatch(patterns.map(this.getStrictResolvedPattern.bind(this)), manifest);
     }
 
@@ -438,7 +445,9 @@ export default class PackageResolver {
     const maxValidRange = semver.maxSatisfying(versionNumbers, range);
 
     if (!maxValidRange) {
-      return manifest && getExoticResolver(range) ? this.exoticRangeMatch(resolvedPatterns, manifest) : null;
+      return manifest && getExoticResolver(range, this.config)
+        ? this.exoticRangeMatch(resolvedPatterns, manifest)
+        : null;
     }
 
     const indexOfmaxValidRange = versionNumbers.indexOf(maxValidRange);
@@ -475,12 +484,23 @@ export default class PackageResolver {
     return !!(
       semver.validRange(range) &&
       semver.valid(version) &&
-      !getExoticResolver(range) &&
+      !getExoticResolver(range, this.config) &&
       hasVersion &&
       !semver.satisfies(version, range)
     );
   }
 
+  /**
+   * Determine if LockfileEntry disagrees with the version picked by the constraint solver
+   */
+  isLockfileEntryOutdatedBySolution(lockfileEntry: LockManifest): boolean {
+    if (this.solution == null) {
+      return false;
+    }
+    const solvedVersion = this.solution.get(lockfileEntry.name);
+    return solvedVersion != null && solvedVersion !== lockfileEntry.version;
+  }
+
   /**
    * TODO description
    */
@@ -509,7 +529,7 @@ export default class PackageResolver {
     if (lockfileEntry) {
       const {range, hasVersion} = normalizePattern(req.pattern);
 
-      const Resolver = getExoticResolver(req.pattern);
+      const Resolver = getExoticResolver(req.pattern, this.config);
       const exoticIsLockfileEntryOutdated = (
         Resolver != null &&
         typeof Resolver.isLockfileEntryOutdated === 'function'
@@ -531,6 +551,13 @@ export default class PackageResolver {
       fresh = true;
     }
 
+    // the solver might have picked another version than the one in lockfile
+    if (lockfileEntry && !fresh && this.isLockfileEntryOutdatedBySolution(lockfileEntry)) {
+      this.removePattern(req.pattern);
+      this.lockfile.removePattern(req.pattern);
+      fresh = true;
+    }
+
     const request = new PackageRequest(req, this);
     await request.find({fresh, frozen: this.frozen});
   }
@@ -541,11 +568,22 @@ export default class PackageResolver {
 
   async init(
     deps: DependencyRequestPatterns,
-    {isFlat, isFrozen, workspaceLayout}: ResolverOptions = {isFlat: false, isFrozen: false, workspaceLayout: undefined},
+    {isFlat, isFrozen, useSolver, workspaceLayout}: ResolverOptions = {
+      isFlat: false,
+      isFrozen: false,
+      useSolver: false,
+      workspaceLayout: undefined,
+    },
   ): Promise<void> {
     this.flat = Boolean(isFlat);
     this.frozen = Boolean(isFrozen);
     this.workspaceLayout = workspaceLayout;
+
+    if (useSolver) {
+      this.reporter.info(this.reporter.lang('solvingConstraints'));
+      this.solution = await this.config.constraintResolver.solve(deps, this.lockfile);
+    }
+
     const activity = (this.activity = this.reporter.activity());
 
     for (const req of deps) {
@@ -663,6 +701,6 @@ export default class PackageResolver {
   }
 }
 
-function isDependencyOnOCaml(dep: DependencyRequestPattern) {
+export function isDependencyOnOCaml(dep: DependencyRequestPattern): boolean {
   return dep.pattern.startsWith('ocaml@');
 }
@@ -0,0 +1,170 @@
+/* @flow */
+
+import type {Manifest} from './types.js';
+import type PackageResolver from './package-resolver.js';
+import type {Reporter} from './reporters/index.js';
+import type Config from './config.js';
+import * as constants from './constants.js';
+import * as fs from './util/fs.js';
+
+const invariant = require('invariant');
+const path = require('path');
+
+// bumped on incompatible changes of the solution file format
+export const SOLUTION_VERSION = 1;
+
+type Dependencies = {[name: string]: string};
+
+export type SolutionPackage = {
+  id: string,
+  name: string,
+  version: string,
+  // where the package is in the cache (or the linked directory)
+  source: string,
+  // ids of the packages the dependencies resolved to
+  dependencies: Dependencies,
+  peerDependencies: Dependencies,
+  // from the `esy` field of the manifest
+  build: mixed,
+  install: mixed,
+  buildsInSource: boolean,
+  exportedEnv: {[name: string]: mixed},
+};
+
+export type Solution = {
+  version: number,
+  root: {dependencies: Dependencies},
+  packages: {[id: string]: SolutionPackage},
+};
+
+/**
+ * Path of the solution file which is written instead of node_modules.
+ */
+export function getSolutionPath(config: Config): string {
+  const folder = config.modulesFolder || path.join(config.lockfileFolder, constants.NODE_MODULES_FOLDER);
+  return path.join(folder, constants.SOLUTION_FILENAME);
+}
+
+/**
+ * Id of the package in the solution, it's unique among the installed packages.
+ */
+export function getPackageId(pkg: Manifest): string {
+  return pkg._uid && pkg._uid !== pkg.version ? `${pkg.name}@${pkg.version}-${pkg._uid}` : `${pkg.name}@${pkg.version}`;
+}
+
+/**
+ * Solution describes the installed packages without laying them out on disk:
+ * each package is used right from the cache, where its files are read-only,
+ * and its dependencies point to the packages they resolved to. Tools which build packages (like esy) read it
+ * instead of walking a node_modules tree.
+ */
+export default class PackageSolution {
+  constructor(config: Config, resolver: PackageResolver) {
+    this.resolver = resolver;
+    this.reporter = config.reporter;
+    this.config = config;
+  }
+
+  reporter: Reporter;
+  resolver: PackageResolver;
+  config: Config;
+
+  async init(patterns: Array<string>, {ignoreOptional}: {ignoreOptional: ?boolean} = {}): Promise<void> {
+    const solution = this.getSolution(patterns, {ignoreOptional});
+    const filename = getSolutionPath(this.config);
+    await fs.mkdirp(path.dirname(filename));
+    await fs.writeFile(filename, JSON.stringify(solution, null, 2) + '\n');
+  }
+
+  getSolution(patterns: Array<string>, {ignoreOptional}: {ignoreOptional: ?boolean} = {}): Solution {
+    const isInstalled = (pkg: Manifest): boolean => {
+      const ref = pkg._reference;
+      invariant(ref, 'expected package reference');
+      return !ref.ignore && !ref.incompatible && !(ref.optional && ignoreOptional);
+    };
+
+    const root = {dependencies: {}};
+    const queue: Array<Manifest> = [];
+    for (const pattern of patterns) {
+      const pkg = this.resolver.getStrictResolvedPattern(pattern);
+      if (isInstalled(pkg) && root.dependencies[pkg.name] == null) {
+        root.dependencies[pkg.name] = getPackageId(pkg);
+        queue.push(pkg);
+      }
+    }
+
+    // packages installed by name, peer dependencies are resolved to them
+    const installed: Map<string, Set<string>> = new Map();
+    const packages: Map<string, {pkg: Manifest, solved: SolutionPackage}> = new Map();
+    while (queue.length > 0) {
+      const pkg = queue.shift();
+      const id = getPackageId(pkg);
+      if (packages.has(id)) {
+        continue;
+      }
+      const ref = pkg._reference;
+      invariant(ref, 'expected package reference');
+
+      const dependencies = {};
+      for (const pattern of ref.dependencies) {
+        const dep = this.resolver.getStrictResolvedPattern(pattern);
+        if (isInstalled(dep)) {
+          dependencies[dep.name] = getPackageId(dep);
+          queue.push(dep);
+        }
+      }
+
+      const esy = (pkg: any).esy || {};
+      packages.set(id, {
+        pkg,
+        solved: {
+          id,
+          name: pkg.name,
+          version: pkg.version,
+          source: this.getSource(pkg),
+          dependencies,
+          peerDependencies: {},
+          build: esy.build || null,
+          install: esy.install || null,
+          buildsInSource: Boolean(esy.buildsInSource),
+          exportedEnv: esy.exportedEnv || {},
+        },
+      });
+      const ids = installed.get(pkg.name) || new Set();
+      installed.set(pkg.name, ids.add(id));
+    }
+
+    // peer dependencies resolve to the package the project depends on or to
+    // the only installed version of the package
+    for (const {pkg, solved} of packages.values()) {
+      for (const name of Object.keys(pkg.peerDependencies || {})) {
+        const ids = installed.get(name);
+        if (root.dependencies[name] != null) {
+          solved.peerDependencies[name] = root.dependencies[name];
+        } else if (ids != null && ids.size === 1) {
+          solved.peerDependencies[name] = Array.from(ids)[0];
+        }
+      }
+    }
+
+    const sorted = {};
+    for (const id of Array.from(packages.keys()).sort()) {
+      const entry = packages.get(id);
+      invariant(entry, 'expected package');
+      sorted[id] = entry.solved;
+    }
+
+    return {version: SOLUTION_VERSION, root, packages: sorted};
+  }
+
+  getSource(pkg: Manifest): string {
+    const ref = pkg._reference;
+    invariant(ref, 'expected package reference');
+    const remote = pkg._remote || ref.remote;
+    // linked packages and workspaces aren't cached
+    if (remote.type === 'link' || remote.type === 'workspace') {
+      return remote.reference;
+    }
+    return this.config.generateHardModulePath(ref);
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Plugins add support for new kinds of dependency patterns (a company artifact
+ * store, Mercurial repositories and so on) without changes to the installer.
+ *
+ * A plugin is a module which exports a function. The function is called with
+ * the plugin API (base classes and errors, see `PluginAPI`) and returns:
+ *
+ *   {
+ *     resolvers: [HgResolver],
+ *     fetchers: {hg: HgFetcher},
+ *   }
+ *
+ * Resolvers extend `api.ExoticResolver` and implement:
+ *
+ *   - `static isVersion(pattern)` which tells if the resolver handles the
+ *     pattern, setting `static protocol = 'hg'` handles `hg:` patterns.
+ *   - `resolve()` which resolves to the manifest of the package, its
+ *     `_remote.type` must name a fetcher registered by a plugin.
+ *   - `static isLockfileEntryOutdated(resolver, lockfileEntry, range, hasVersion)`
+ *     (optional) which tells if the lockfile entry must be resolved again.
+ *
+ * Fetchers extend `api.BaseFetcher` (or `api.TarballFetcher`, `api.GitFetcher`)
+ * and implement `_fetch()` which puts the package into `this.dest`.
+ *
+ * Plugins are configured with the `installPlugins` array in the root manifest
+ * or with `install-plugins` (comma separated) in .yarnrc. Items are module
+ * names resolved from the project root like `require()` does or paths relative
+ * to it. Resolvers from plugins take precedence over the builtin ones.
+ *
+ * Plugins given by module name are usually dependencies of the project, they
+ * are skipped with a warning until they are installed so `install` can run.
+ *
+ * @flow
+ */
+
+import type Config from './config.js';
+import {MessageError, SecurityError} from './errors.js';
+import BaseFetcher from './fetchers/base-fetcher.js';
+import GitFetcher from './fetchers/git-fetcher.js';
+import TarballFetcher from './fetchers/tarball-fetcher.js';
+import {isBuiltinFetcher} from './fetchers/index.js';
+import ExoticResolver from './resolvers/exotics/exotic-resolver.js';
+
+const path = require('path');
+
+// .yarnrc option to configure a list of plugins
+export const PLUGINS_OPTION = 'install-plugins';
+
+export type PluginAPI = {
+  ExoticResolver: typeof ExoticResolver,
+  BaseFetcher: typeof BaseFetcher,
+  GitFetcher: typeof GitFetcher,
+  TarballFetcher: typeof TarballFetcher,
+  MessageError: typeof MessageError,
+  SecurityError: typeof SecurityError,
+};
+
+export type Plugin = {
+  resolvers?: Array<Class<ExoticResolver>>,
+  fetchers?: {[type: string]: Class<BaseFetcher>},
+};
+
+const api: PluginAPI = {
+  ExoticResolver,
+  BaseFetcher,
+  GitFetcher,
+  TarballFetcher,
+  MessageError,
+  SecurityError,
+};
+
+/**
+ * Load plugins configured for the project and register their resolvers and
+ * fetchers with the config.
+ */
+export async function loadPlugins(config: Config): Promise<void> {
+  const specs = await getPluginSpecs(config);
+  for (const spec of specs) {
+    const plugin = requirePlugin(config, spec);
+    if (plugin != null) {
+      registerPlugin(config, spec, plugin);
+    }
+  }
+}
+
+export async function getPluginSpecs(config: Config): Promise<Array<string>> {
+  let specs = null;
+
+  const manifest = await readRootManifest(config);
+  if (manifest != null && Array.isArray(manifest.installPlugins)) {
+    specs = manifest.installPlugins.map(String);
+  }
+
+  if (specs == null) {
+    const option = config.getOption(PLUGINS_OPTION);
+    if (Array.isArray(option)) {
+      specs = option.map(String);
+    } else if (typeof option === 'string') {
+      specs = option.split(',');
+    }
+  }
+
+  return (specs || []).map(spec => spec.trim()).filter(spec => spec !== '');
+}
+
+/**
+ * Load the plugin, resolves to null if the plugin given by module name isn't
+ * installed yet.
+ */
+function requirePlugin(config: Config, spec: string): ?Plugin {
+  const root = config.lockfileFolder || config.cwd;
+  const isPath = path.isAbsolute(spec) || spec.startsWith('./') || spec.startsWith('../');
+  // plugins live outside of the bundle so they must not be resolved by webpack
+  // $FlowFixMe: __non_webpack_require__ is only defined in the bundle
+  const load = typeof __non_webpack_require__ === 'function' ? __non_webpack_require__ : require;
+
+  let filename;
+  if (isPath) {
+    filename = path.resolve(root, spec);
+  } else {
+    try {
+      filename = resolveFrom(load, root, spec);
+    } catch (err) {
+      if (err.code !== 'MODULE_NOT_FOUND') {
+        throw new MessageError(config.reporter.lang('pluginLoadFailed', spec, err.message));
+      }
+      config.reporter.warn(config.reporter.lang('pluginNotInstalled', spec));
+      return null;
+    }
+  }
+
+  let factory;
+  try {
+    factory = load(filename);
+  } catch (err) {
+    throw new MessageError(config.reporter.lang('pluginLoadFailed', spec, err.message));
+  }
+
+  if (factory != null && typeof factory.default === 'function') {
+    factory = factory.default;
+  }
+  if (typeof factory !== 'function') {
+    throw new MessageError(config.reporter.lang('pluginInvalid', spec, 'expected module to export a function'));
+  }
+
+  const plugin = factory(api);
+  if (plugin == null || typeof plugin !== 'object') {
+    throw new MessageError(config.reporter.lang('pluginInvalid', spec, 'expected plugin function to return an object'));
+  }
+  return plugin;
+}
+
+function registerPlugin(config: Config, spec: string, plugin: Plugin) {
+  const {reporter} = config;
+
+  for (const Resolver of plugin.resolvers || []) {
+    if (typeof Resolver !== 'function' || typeof Resolver.isVersion !== 'function') {
+      throw new MessageError(reporter.lang('pluginInvalid', spec, 'resolvers must define static isVersion(pattern)'));
+    }
+    if (config.pluginResolvers.indexOf(Resolver) === -1) {
+      config.pluginResolvers.push(Resolver);
+    }
+  }
+
+  const fetchers = plugin.fetchers || {};
+  for (const type of Object.keys(fetchers)) {
+    if (isBuiltinFetcher(type)) {
+      throw new MessageError(reporter.lang('pluginInvalid', spec, `fetcher type ${type} is reserved`));
+    }
+    if (typeof fetchers[type] !== 'function') {
+      throw new MessageError(reporter.lang('pluginInvalid', spec, `fetcher ${type} must be a class`));
+    }
+    config.pluginFetchers.set(type, fetchers[type]);
+  }
+
+  reporter.verbose(reporter.lang('pluginLoaded', spec));
+}
+
+/**
+ * Resolve the module like `require()` from a module in `root` does.
+ */
+function resolveFrom(load: Function, root: string, spec: string): string {
+  // $FlowFixMe: there's no flow lib for the module builtin
+  const Module = require('module');
+  if (typeof Module.createRequire === 'function') {
+    return Module.createRequire(path.join(root, 'package.json')).resolve(spec);
+  }
+  return load.resolve(spec, {paths: [root]});
+}
+
+async function readRootManifest(config: Config): Promise<?Object> {
+  try {
+    return await config.readRootManifest();
+  } catch (_err) {
+    return null;
+  }
+}
@@ -9,6 +9,7 @@ const messages = {
   checkingManifest: 'Validating package.json',
   fetchingPackages: 'Fetching packages',
   linkingDependencies: 'Linking dependencies',
+  writingSolution: 'Writing solution file',
   rebuildingPackages: 'Rebuilding all packages',
   buildingFreshPackages: 'Building fresh packages',
   cleaningModules: 'Cleaning modules',
@@ -24,6 +25,17 @@ const messages = {
   clearedCache: 'Cleared cache.',
   couldntClearPackageFromCache: "Couldn't clear package $0 from cache",
   clearedPackageFromCache: 'Cleared package $0 from cache',
+  cacheGcRemovedEntry: 'Removed cache entry $0',
+  cacheGcDone: 'Removed $0 cache entries and $1 stored files which were not used within the last $2 days.',
+  cacheGcInvalidWindow: 'Invalid cache gc window $0, expected a number of days.',
+  cacheVerifyBadMetadata: 'Cache entry $0 has unreadable metadata.',
+  cacheVerifyBadTarball: "Tarball of cache entry $0 doesn't match its checksum.",
+  cacheVerifyMissingFile: 'File $1 of cache entry $0 is missing.',
+  cacheVerifyModifiedFile: 'File $1 of cache entry $0 was modified.',
+  cacheVerifyOrphaned: 'Cache entry $0 has no metadata, it was left by a fetch which did not finish.',
+  cacheVerifyReextracted: 'Extracted cache entry $0 again.',
+  cacheVerifyEvicted: 'Removed cache entry $0.',
+  cacheVerifyDone: 'Verified $0 cache entries, $1 of them are corrupt and $2 orphaned entries were found.',
   packWroteTarball: 'Wrote tarball to $0.',
 
   helpExamples: '  Examples:\n$0\n',
@@ -67,6 +79,8 @@ const messages = {
   couldntFindPackageInCache:
     "Couldn't find any versions for $0 that matches $1 in our cache (possible versions are $2). This is usually caused by a missing entry in the lockfile, running Yarn without the --offline flag may help fix this issue.",
   couldntFindVersionThatMatchesRange: "Couldn't find any versions for $0 that matches $1",
+  solvingConstraints: 'Solving dependency constraints',
+  solverNoSolution: "Couldn't find a consistent set of versions, no version of $0 satisfies all of:\n$1",
   chooseVersionFromList: 'Please choose a version of $0 from this list:',
   moduleNotInManifest: "This module isn't specified in a manifest.",
   unknownFolderOrTarball: "Passed folder/tarball doesn't exist,",
@@ -172,6 +186,12 @@ const messages = {
   linkUsing: 'Using linked module for $0.',
   linkDisusing: 'Removed linked module $0.',
   linkDisusingMessage: 'You will need to run `yarn` to re-install the package that was linked.',
+  linkStatusNone: 'No packages are linked with the `link:` protocol.',
+  linkStatusUnchanged: 'Up to date',
+  linkStatusChanged: 'Manifest changed',
+  linkStatusMissing: 'Origin missing',
+  linkStatusChangedMessage:
+    'Manifests of $0 linked package(s) changed since they were resolved, run `yarn install` to resolve them again.',
 
   createInvalidBin: 'Invalid bin entry found in package $0.',
   createMissingPackage:
@@ -236,6 +256,15 @@ const messages = {
 
   savedLockfile: 'Saved lockfile.',
   noRequiredLockfile: 'No lockfile in this directory. Run `yarn install` to generate one.',
+
+  sandboxesInvalid: 'The "sandboxes" field of the root manifest must be an object of sandboxes by name.',
+  sandboxInvalid: 'Sandbox $0 must be an object of dependencies and resolutions.',
+  sandboxInvalidName:
+    'Invalid sandbox name $0, sandbox names may only contain letters, digits, dashes and underscores.',
+  sandboxNotFound: "Sandbox $0 isn't declared in the root manifest.",
+  sandboxCurrent: 'Sandbox $0',
+  sandboxDefault: 'default',
+  sandboxesCheckFailed: 'Check failed for sandboxes $0.',
   noLockfileFound: 'No lockfile found.',
 
   invalidSemver: 'Invalid semver version',
@@ -273,6 +302,19 @@ const messages = {
   whyHoistedFrom: 'Hoisted from $0',
   whyDependedOn: '$0 depends on it',
   whySpecified: `Specified in $0`,
+  whyOpamOverrides: 'Overrides applied from $0',
+  whyOpamOverride: '$0 (matching $1) changes $2',
+  whyOpamOverrideNoChanges: '$0 (matching $1) changes nothing',
+  listOpamOCamlVersion:
+    'Versions of opam packages are picked for OCaml $0, run `why <package>` to see the newer versions that were skipped',
+  whyOpamOCamlVersion: 'Versions of opam packages are picked for OCaml $0',
+  whyOpamVersionLatest: 'Version $0 is the newest version available',
+  whyOpamVersionSkipped: 'Version $0 was chosen, newer versions were skipped',
+  whyOpamSkippedVersion: '$0: $1',
+  whyOpamSkipRange: 'does not satisfy $0',
+  whyOpamSkipResolution: 'does not satisfy $0 from the resolutions field',
+  whyOpamSkipOCaml: 'requires OCaml $0 but OCaml $1 is used',
+  whyOpamSkipLocked: 'the lockfile pins an older version, run upgrade to update it',
 
   uninstalledPackages: 'Uninstalled packages.',
   uninstallRegenerate: 'Regenerating lockfile and installing missing dependencies',
@@ -305,6 +347,10 @@ const messages = {
   publishing: 'Publishing',
 
   infoFail: 'Received invalid response from npm.',
+  infoOpamFail: 'Package $0 not found in opam repositories.',
+  opamPackageChanged: '$0 has changed in the opam repositories since it was locked (uid $1, now $2).',
+  opamOverrideConflict:
+    'Several overrides match $0: $1. They are applied in this order, the later ones take precedence.',
   malformedRegistryResponse: 'Received malformed response from registry for $0. The registry may be down.',
 
   cantRequestOffline: "Can't make a request in offline mode ($0)",
@@ -322,6 +368,12 @@ const messages = {
   retryOnInternalServerError: 'There appears to be trouble with our server. Retrying...',
 
   unknownFetcherFor: 'Unknown fetcher for $0',
+  pluginLoadFailed: 'Unable to load plugin $0: $1',
+  pluginInvalid: 'Invalid plugin $0: $1',
+  pluginLoaded: 'Loaded plugin $0',
+  pluginNotInstalled: 'Plugin $0 is not installed yet and is skipped, it is used once it is installed.',
+
+  apiInvalidState: 'Unable to run $0 when the project is $1, steps run in order: resolve, fetch, link.',
 
   refusingDownloadGitWithoutCommit: 'Refusing to download the git repo $0 over plain git without a commit hash',
   refusingDownloadHTTPWithoutCommit: 'Refusing to download the git repo $0 over HTTP without a commit hash',
@@ -338,6 +390,7 @@ const messages = {
   noIntegrityFile: "Couldn't find an integrity file",
   integrityFailedExpectedIsNotAJSON: 'Integrity check: integrity file is not a json',
   integrityCheckLinkedModulesDontMatch: "Integrity check: Linked modules don't match",
+  integrityLinkedManifestsDontMatch: 'Integrity check: Manifests of linked packages have changed',
   integrityFlagsDontMatch: "Integrity check: Flags don't match",
   integrityLockfilesDontMatch: "Integrity check: Lock files don't match",
   integrityFailedFilesMissing: 'Integrity check: Files are missing',
@@ -64,7 +64,7 @@ export default class ResolutionMap {
     const directories = parsePackagePath(globPattern);
     const name = directories.pop();
 
-    if (!semver.validRange(range) && !getExoticResolver(range)) {
+    if (!semver.validRange(range) && !getExoticResolver(range, this.config)) {
       this.reporter.warn(this.reporter.lang('invalidResolutionVersion', range));
       return null;
     }
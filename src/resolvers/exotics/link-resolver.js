@@ -4,6 +4,7 @@ import type {Manifest} from '../../types.js';
 import type {RegistryNames} from '../../registries/index.js';
 import type PackageRequest from '../../package-request.js';
 import ExoticResolver from './exotic-resolver.js';
+import {getLinkOrigin, readLinkedManifest} from './link-util.js';
 import * as util from '../../util/misc.js';
 import * as fs from '../../util/fs.js';
 
@@ -22,17 +23,14 @@ export default class LinkResolver extends ExoticResolver {
   static protocol = 'link';
 
   async resolve(): Promise<Manifest> {
-    let loc = this.loc;
-    if (!path.isAbsolute(loc)) {
-      loc = path.resolve(this.config.lockfileFolder, loc);
-    }
+    const loc = getLinkOrigin(this.config, this.loc);
 
     const name = path.basename(loc);
     const registry: RegistryNames = 'npm';
 
     const manifest: Manifest = !await fs.exists(loc)
       ? {_uid: '', name, version: '0.0.0', _registry: registry}
-      : await this.config.readManifest(loc, this.registry);
+      : await readLinkedManifest(this.config, loc, this.registry);
 
     manifest._remote = {
       type: 'link',
@@ -0,0 +1,93 @@
+/* @flow */
+
+import type Config from '../../config.js';
+import type {LockManifest} from '../../lockfile';
+import type {Manifest} from '../../types.js';
+import type {RegistryNames} from '../../registries/index.js';
+import {MessageError} from '../../errors.js';
+import {LINK_PROTOCOL_PREFIX} from './link-resolver.js';
+import {PROJECT_ROOT_MARKER} from '../../constants.js';
+import {cleanDependencies} from '../../util/normalize-manifest/validate.js';
+import {normalizePattern} from '../../util/normalize-pattern.js';
+import * as crypto from '../../util/crypto.js';
+import * as util from '../../util/misc.js';
+import * as fs from '../../util/fs.js';
+
+const path = require('path');
+
+export type LinkedManifestStatus = 'unchanged' | 'changed' | 'missing';
+
+export function isLinkPattern(pattern: string): boolean {
+  return normalizePattern(pattern).range.startsWith(LINK_PROTOCOL_PREFIX);
+}
+
+/**
+ * Get the origin of a linked package, relative origins are relative to the lockfile.
+ */
+export function getLinkOrigin(config: Config, range: string): string {
+  const loc = util.removePrefix(range, LINK_PROTOCOL_PREFIX);
+  return path.isAbsolute(loc) ? loc : path.resolve(config.lockfileFolder, loc);
+}
+
+/**
+ * Read the manifest of a linked package. It's not cached like other manifests
+ * as linked packages are edited while the same process installs them again.
+ */
+export async function readLinkedManifest(
+  config: Config,
+  origin: string,
+  priorityRegistry?: RegistryNames,
+): Promise<Manifest> {
+  const manifest = await config.maybeReadManifest(origin, priorityRegistry);
+  if (!manifest) {
+    throw new MessageError(config.reporter.lang('couldntFindPackagejson', origin), 'ENOENT');
+  }
+  return manifest;
+}
+
+/**
+ * Hash the manifests of the linked package, these are the files source links
+ * share with their origin so a change of the hash means the package has to be
+ * resolved again.
+ */
+export async function hashLinkedManifests(origin: string): Promise<string> {
+  let contents = '';
+  for (const filename of PROJECT_ROOT_MARKER) {
+    const loc = path.join(origin, filename);
+    if (await fs.exists(loc)) {
+      const manifest = await fs.readFile(loc);
+      contents += `${filename}\n${manifest}\n`;
+    }
+  }
+  return contents ? crypto.hash(contents, 'sha1') : '';
+}
+
+function isSameDependencies(a: ?{[name: string]: string}, b: ?{[name: string]: string}): boolean {
+  const aNames = Object.keys(a || {});
+  const bNames = Object.keys(b || {});
+  return aNames.length === bNames.length && aNames.every(name => (a || {})[name] === (b || {})[name]);
+}
+
+/**
+ * Compare the manifest at the origin of the linked package with the lockfile
+ * entry it was resolved to.
+ */
+export async function getLinkedManifestStatus(
+  config: Config,
+  origin: string,
+  lockfileEntry: LockManifest,
+): Promise<LinkedManifestStatus> {
+  if (!await fs.exists(origin)) {
+    return 'missing';
+  }
+
+  const manifest = await readLinkedManifest(config, origin);
+  // resolving drops the same dependencies before they end up in the lockfile
+  cleanDependencies(manifest, false, config.reporter, () => {});
+
+  const isSame =
+    manifest.version === lockfileEntry.version &&
+    isSameDependencies(manifest.dependencies, lockfileEntry.dependencies) &&
+    isSameDependencies(manifest.optionalDependencies, lockfileEntry.optionalDependencies);
+  return isSame ? 'unchanged' : 'changed';
+}
@@ -6,11 +6,24 @@ export const OPAM_REPOSITORY = process.env.ESY_OPAM_REPOSITORY
   ? process.env.ESY_OPAM_REPOSITORY
   : process.platform === 'win32' ? 'https://github.com/fdopen/opam-repository-mingw.git' : 'https://github.com/ocaml/opam-repository.git';
 
+// .yarnrc option to configure a list of opam repositories
+export const OPAM_REPOSITORIES_OPTION = 'opam-repositories';
+
 export const OPAM_REPOSITORY_OVERRIDE = process.env.ESY_OPAM_REPOSITORY_OVERRIDE
   ? process.env.ESY_OPAM_REPOSITORY_OVERRIDE
   : 'https://github.com/esy-ocaml/esy-opam-override.git';
 
 export const OPAM_REPOSITORY_URLS = 'https://opam.ocaml.org/urls.txt';
 
+// .yarnrc option to configure which source archive checksums are acceptable,
+// either `allow-md5` (default) or `require-strong`
+export const OPAM_CHECKSUM_POLICY_OPTION = 'opam-checksum-policy';
+
+// .yarnrc option to configure for how long (in seconds) the cached URL index is
+// used before it is revalidated
+export const OPAM_URLS_TTL_OPTION = 'opam-urls-ttl';
+
+export const OPAM_URLS_DEFAULT_TTL = 60 * 60 * 24;
+
 export const OPAM_REPOSITORY_OVERRIDE_CHECKOUT =
   process.env.ESY_OPAM_REPOSITORY_OVERRIDE_CHECKOUT;
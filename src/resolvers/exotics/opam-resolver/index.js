@@ -1,8 +1,6 @@
 /* @flow */
 
 const path = require('path');
-const semver = require('semver');
-const EsyOpam = require('@esy-ocaml/esy-opam');
 const invariant = require('invariant');
 const outdent = require('outdent');
 
@@ -12,12 +10,18 @@ import type Config from '../../../config';
 import type PackageRequest from '../../../package-request.js';
 import type PackageResolver from '../../../package-resolver.js';
 import type {LockManifest} from '../../../lockfile';
+import Lockfile from '../../../lockfile';
 import ExoticResolver from '.././exotic-resolver.js';
 import * as fs from '../../../util/fs.js';
 import * as child from '../../../util/child.js';
 import * as OpamRepositoryOverride from './opam-repository-override.js';
+import type {OpamOverrideProvenance} from './opam-repository-override.js';
 import * as OpamRepository from './opam-repository.js';
-import {cloneOrUpdateRepository, stripVersionPrelease} from './util.js';
+import * as OpamVersion from './opam-version.js';
+import * as OpamChecksum from './opam-checksum.js';
+import type {Checksum} from './opam-checksum.js';
+import * as OpamLockfile from './opam-lockfile.js';
+import {cloneOrUpdateRepository} from './util.js';
 import {OPAM_SCOPE} from './config.js';
 
 export type OpamManifestCollection = {
@@ -26,14 +30,17 @@ export type OpamManifestCollection = {
   },
 };
 
+// content of files which aren't UTF-8 is kept as latin1 so every byte survives
 type File = {
   name: string,
   content: string,
+  encoding?: 'latin1',
 };
 
 type Patch = {
   name: string,
   content: string,
+  encoding?: 'latin1',
 };
 
 export type OpamManifest = Manifest & {
@@ -41,13 +48,19 @@ export type OpamManifest = Manifest & {
     build: string | Array<string> | Array<Array<string>>,
     install: string | Array<string> | Array<Array<string>>,
     exportedEnv: {[name: string]: {val: string, scope?: 'global'}},
+    buildsInSource?: boolean,
   },
   opam: {
     url: ?string,
     version: string,
-    checksum: ?string,
+    // checksums of the source archive
+    checksums: Array<Checksum>,
     files: Array<File>,
     patches: Array<Patch>,
+    // opam repository the package comes from
+    repository: ?string,
+    // overrides from the overrides repository applied to the package
+    overrides: Array<OpamOverrideProvenance>,
   },
 };
 
@@ -71,7 +84,7 @@ export default class OpamResolver extends ExoticResolver {
     // rm leading @
     pattern = pattern[0] === '@' ? pattern.slice(1) : pattern;
     const [_name, constraint] = pattern.split('@');
-    return constraint == null || !!semver.validRange(constraint);
+    return constraint == null || OpamVersion.isValidRange(constraint);
   }
 
   /**
@@ -84,17 +97,24 @@ export default class OpamResolver extends ExoticResolver {
     hasVersion: boolean,
   ): boolean {
     const ocamlVersion = resolver.ocamlVersion;
+    const opamVersion = lockfileEntry.opam ? lockfileEntry.opam.version : null;
     const manifestCollection = {
       versions: {
         [lockfileEntry.version]: {
           ...lockfileEntry,
-          opam: {version: lockfileEntry.version},
+          opam: {version: opamVersion || lockfileEntry.version},
         },
       },
     };
     if (!isValidReference(lockfileEntry.resolved)) {
       return false;
     }
+    // opam formulas are checked against the opam version of the entry, entries
+    // written by older versions don't store it so we can only check if they
+    // are compatible with the OCaml compiler being used
+    if (opamVersion == null && OpamVersion.isOpamFormula(versionRange)) {
+      versionRange = '*';
+    }
     const isOutdated = !!// TODO: issue warning here
     (
       solveVersionConstraint(lockfileEntry.name, manifestCollection, {
@@ -117,6 +137,8 @@ export default class OpamResolver extends ExoticResolver {
 
     let manifest = await this.resolveManifest();
 
+    OpamRepositoryOverride.warnOnConflictingOverrides(this.config.reporter, manifest);
+
     // This is crafted to be compatible with how yarn stores tarballs for
     // packages in offline mirror. Also function below called parseReference()
     // parses this representation.
@@ -125,7 +147,7 @@ export default class OpamResolver extends ExoticResolver {
     manifest._remote = {
       type: 'opam',
       registry: 'npm',
-      hash: manifest.opam.checksum,
+      hash: OpamChecksum.formatStrongest(manifest.opam.checksums),
       reference: resolved,
       resolved,
     };
@@ -146,6 +168,20 @@ export default class OpamResolver extends ExoticResolver {
 
     const ocamlVersion = this.resolver.ocamlVersion;
 
+    // use version picked by the constraint solver if it satisfies the request
+    const solvedVersion =
+      this.resolver.solution != null ? this.resolver.solution.get(`@${OPAM_SCOPE}/${this.name}`) : null;
+    if (solvedVersion != null && manifestCollection.versions[solvedVersion] != null) {
+      const solved = solveVersionConstraint(
+        this.name,
+        {versions: {[solvedVersion]: manifestCollection.versions[solvedVersion]}},
+        {versionRange, ocamlVersion},
+      );
+      if (solved.type === 'found') {
+        return manifestCollection.versions[solved.version];
+      }
+    }
+
     const version = solveVersionConstraint(this.name, manifestCollection, {
       versionRange,
       ocamlVersion,
@@ -190,9 +226,153 @@ export async function lookupManifest(
   return manifest;
 }
 
-type MinimalManifest = {
+/**
+ * Find the manifest of the package in the lockfile by its resolution, so
+ * packages can be installed from the lockfile without the opam repositories.
+ */
+export async function lookupLockedManifest(resolved: string, config: Config): Promise<?OpamManifest> {
+  const entries = await config.getCache('opam-lockfile-entries', () => readLockfileEntries(config));
+  const entry = entries.get(resolved);
+  return entry != null ? OpamLockfile.getManifest(entry) : null;
+}
+
+async function readLockfileEntries(config: Config): Promise<Map<string, LockManifest>> {
+  const entries = new Map();
+  if (!config.lockfileFolder) {
+    return entries;
+  }
+  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, undefined, config.lockfileFilename);
+  for (const pattern of Object.keys(lockfile.cache || {})) {
+    const entry = lockfile.getLocked(pattern);
+    if (entry != null && entry.resolved != null) {
+      entries.set(entry.resolved, entry);
+    }
+  }
+  return entries;
+}
+
+export type OpamOutdated = {
+  wanted: string,
+  latest: string,
+  url: string,
+  isOutdated: boolean,
+};
+
+/**
+ * Find versions the package can be upgraded to: `wanted` is the newest version
+ * which satisfies the range and `latest` is the newest version available. Only
+ * versions compatible with the OCaml version being used are considered and
+ * versions are ordered as opam orders them.
+ */
+export async function checkOutdated(
+  config: Config,
+  name: string,
+  range: string,
+  current: string,
+  ocamlVersion: ?string,
+): Promise<OpamOutdated> {
+  const repository = await OpamRepository.init(config);
+  const manifestCollection = await OpamRepository.getManifestCollection(
+    repository,
+    name.slice(`@${OPAM_SCOPE}/`.length),
+  );
+
+  const findVersion = (versionRange: string): string => {
+    const solution = solveVersionConstraint(name, manifestCollection, {versionRange, ocamlVersion});
+    return solution.type === 'found' ? solution.version : current;
+  };
+  const wanted = findVersion(range === '' || range === 'latest' ? '*' : range);
+  const latest = findVersion('*');
+
+  const getOpamVersion = version => {
+    const manifest = manifestCollection.versions[version];
+    return manifest != null ? manifest.opam.version : null;
+  };
+  const currentOpamVersion = getOpamVersion(current);
+  const isNewer = version => {
+    const opamVersion = getOpamVersion(version);
+    if (currentOpamVersion == null || opamVersion == null) {
+      return version !== current;
+    }
+    return OpamVersion.compare(currentOpamVersion, opamVersion) < 0;
+  };
+
+  const latestManifest = manifestCollection.versions[latest];
+  return {
+    wanted,
+    latest,
+    url: (latestManifest != null && latestManifest.opam.url) || '',
+    isOutdated: isNewer(wanted) || isNewer(latest),
+  };
+}
+
+export type OpamSkipReason =
+  | {type: 'range' | 'resolution', range: string}
+  | {type: 'ocaml', range: string, ocamlVersion: string};
+
+export type OpamVersionSelection = {
+  version: string,
+  // versions newer than the chosen one (newest first) and why they were skipped,
+  // versions without reasons were skipped because the lockfile pins the package
+  skipped: Array<{version: string, reasons: Array<OpamSkipReason>}>,
+};
+
+/**
+ * Explain why the version of the package was chosen: find versions newer than
+ * the chosen one and the constraints which rule each of them out. Ranges are
+ * the ones the package was requested with, `resolution` marks ranges which
+ * come from the `resolutions` field of the root manifest.
+ */
+export async function explainVersion(
+  config: Config,
+  name: string,
   version: string,
-  peerDependencies: {[name: string]: string},
+  constraints: {ranges: Array<{range: string, resolution: boolean}>, ocamlVersion: ?string},
+): Promise<OpamVersionSelection> {
+  const repository = await OpamRepository.init(config);
+  const manifestCollection = await OpamRepository.getManifestCollection(
+    repository,
+    name.slice(`@${OPAM_SCOPE}/`.length),
+  );
+  const chosen = manifestCollection.versions[version];
+  if (chosen == null) {
+    return {version, skipped: []};
+  }
+
+  const {ocamlVersion} = constraints;
+  const newer = Object.keys(manifestCollection.versions).filter(
+    candidate => OpamVersion.compare(chosen.opam.version, manifestCollection.versions[candidate].opam.version) < 0,
+  );
+
+  const skipped = [];
+  for (const candidate of OpamVersion.sortDescending(newer, v => manifestCollection.versions[v].opam.version)) {
+    const manifest = manifestCollection.versions[candidate];
+    const reasons = [];
+
+    for (const {range, resolution} of constraints.ranges) {
+      const versionRange = range === '' || range === 'latest' ? '*' : range;
+      const formula = OpamVersion.parseRange(versionRange);
+      if (!OpamVersion.satisfies({version: candidate, opamVersion: manifest.opam.version}, formula)) {
+        reasons.push({type: resolution ? 'resolution' : 'range', range: versionRange});
+      }
+    }
+
+    // same check as solveVersionConstraint() does
+    const ocamlDependency = (manifest.peerDependencies || {}).ocaml || '*';
+    if (ocamlVersion != null && !OpamVersion.satisfiesSemver(ocamlVersion, ocamlDependency)) {
+      reasons.push({type: 'ocaml', range: ocamlDependency.trim(), ocamlVersion});
+    }
+
+    skipped.push({version: candidate, reasons});
+  }
+
+  return {version, skipped};
+}
+
+type MinimalManifest = {
+  +version: string,
+  +peerDependencies?: ?{[name: string]: string},
+  +opam: {+version: string},
 };
 
 type Solution =
@@ -205,35 +385,24 @@ function solveVersionConstraint<M: MinimalManifest>(
   manifestCollection: {versions: {[version: string]: M}},
   constraint: {versionRange: string, ocamlVersion: ?string},
 ): Solution {
-  function findVersion(versions, versionRange) {
-    const versionsParsed = versions.map(version => {
-      const v = semver.parse(version);
-      invariant(v != null, `Invalid version: @${OPAM_SCOPE}/${name}@${version}`);
-      // This is needed so `semver.satisfies()` will accept this for `*`
-      // constraint.
-      (v: any)._prereleaseHidden = v.prerelease;
-      // $FlowFixMe: ...
-      v.opamVersion = manifestCollection.versions[version].opam.version;
-      v.prerelease = [];
-      return v;
-    });
+  const {versionRange, ocamlVersion} = constraint;
 
-    (versionsParsed: any).sort((a, b) => {
-      return -1 * EsyOpam.versionCompare(a.opamVersion, b.opamVersion);
-    });
+  const formula = OpamVersion.parseRange(versionRange);
 
-    for (let i = 0; i < versionsParsed.length; i++) {
-      const v = versionsParsed[i];
-      if (semver.satisfies((v: any), versionRange)) {
-        return {type: 'found', version: v.raw};
+  function findVersion(versions) {
+    const sortedVersions = OpamVersion.sortDescending(
+      versions,
+      version => manifestCollection.versions[version].opam.version,
+    );
+    for (const version of sortedVersions) {
+      const opamVersion = manifestCollection.versions[version].opam.version;
+      if (OpamVersion.satisfies({version, opamVersion}, formula)) {
+        return {type: 'found', version};
       }
     }
-
     return null;
   }
 
-  const {versionRange, ocamlVersion} = constraint;
-
   const allVersions = Object.keys(manifestCollection.versions);
 
   let versions = allVersions;
@@ -251,20 +420,20 @@ function solveVersionConstraint<M: MinimalManifest>(
       // "peerDependencies")
       const peerDependencies = manifest.peerDependencies || {};
       const ocamlDependency = peerDependencies.ocaml || '*';
-      if (semver.satisfies(ocamlVersion, ocamlDependency)) {
+      if (OpamVersion.satisfiesSemver(ocamlVersion, ocamlDependency)) {
         versionsAvailableForOCamlVersion.push(version);
       }
     }
     versions = versionsAvailableForOCamlVersion;
   }
 
-  const solution = findVersion(versions, versionRange);
+  const solution = findVersion(versions);
   if (solution != null) {
     return solution;
   }
 
   if (ocamlVersion != null) {
-    const solutionWithoutOCamlconstraint = findVersion(allVersions, versionRange);
+    const solutionWithoutOCamlconstraint = findVersion(allVersions);
     if (solutionWithoutOCamlconstraint != null) {
       return {type: 'no-version-found-for-ocaml-constraint'};
     } else {
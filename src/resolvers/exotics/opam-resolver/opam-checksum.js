@@ -0,0 +1,95 @@
+/**
+ * Checksums of opam source archives.
+ *
+ * opam packages list checksums as `kind=hex` strings (`md5=...`, `sha256=...`
+ * or `sha512=...`), older packages and overrides use a bare md5 hex string.
+ *
+ * @flow
+ */
+
+import type Config from '../../../config.js';
+import {MessageError} from '../../../errors.js';
+import {OPAM_CHECKSUM_POLICY_OPTION} from './config.js';
+
+export type ChecksumKind = 'md5' | 'sha256' | 'sha512';
+
+export type Checksum = {
+  kind: ChecksumKind,
+  contents: string,
+};
+
+// allow-md5: md5 is accepted when it is the only checksum available
+// require-strong: packages without sha256 or sha512 checksum are rejected
+export type ChecksumPolicy = 'allow-md5' | 'require-strong';
+
+// ordered from the weakest to the strongest
+const KINDS: Array<ChecksumKind> = ['md5', 'sha256', 'sha512'];
+
+const HEX_LENGTH: {[kind: ChecksumKind]: number} = {md5: 32, sha256: 64, sha512: 128};
+
+export function parse(value: string): Checksum {
+  const trimmed = value.trim();
+  const idx = trimmed.indexOf('=');
+  const contents = (idx === -1 ? trimmed : trimmed.slice(idx + 1)).toLowerCase();
+  const kind = idx === -1 ? KINDS.find(kind => HEX_LENGTH[kind] === contents.length) : trimmed.slice(0, idx);
+  if (kind !== 'md5' && kind !== 'sha256' && kind !== 'sha512') {
+    throw new MessageError(`Unsupported checksum: ${value}`);
+  }
+  if (contents.length !== HEX_LENGTH[kind] || !/^[a-f0-9]+$/.test(contents)) {
+    throw new MessageError(`Invalid ${kind} checksum: ${value}`);
+  }
+  return {kind, contents};
+}
+
+/**
+ * Parse checksums as they come from opam files or overrides: a single checksum
+ * or a list of checksums either as strings or as `{kind, contents}` objects.
+ */
+export function parseList(value: mixed): Array<Checksum> {
+  if (value == null || value === '') {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : [value];
+  return items.map(item => {
+    if (item != null && typeof item === 'object') {
+      return parse(`${String(item.kind)}=${String(item.contents)}`);
+    }
+    return parse(String(item));
+  });
+}
+
+export function format(checksum: Checksum): string {
+  return `${checksum.kind}=${checksum.contents}`;
+}
+
+export function strongest(checksums: Array<Checksum>): ?Checksum {
+  let result = null;
+  for (const checksum of checksums) {
+    if (result == null || KINDS.indexOf(checksum.kind) > KINDS.indexOf(result.kind)) {
+      result = checksum;
+    }
+  }
+  return result;
+}
+
+export function formatStrongest(checksums: Array<Checksum>): ?string {
+  const checksum = strongest(checksums);
+  return checksum != null ? format(checksum) : null;
+}
+
+export function isStrong(checksums: Array<Checksum>): boolean {
+  return checksums.some(checksum => checksum.kind !== 'md5');
+}
+
+export function getPolicy(config: Config): ChecksumPolicy {
+  const policy = config.getOption(OPAM_CHECKSUM_POLICY_OPTION);
+  if (policy == null || policy === '' || policy === 'allow-md5') {
+    return 'allow-md5';
+  } else if (policy === 'require-strong') {
+    return 'require-strong';
+  } else {
+    throw new MessageError(
+      `Invalid ${OPAM_CHECKSUM_POLICY_OPTION} setting: ${String(policy)}, expected allow-md5 or require-strong`,
+    );
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * Persistent index of parsed opam files.
+ *
+ * Parsing and rendering opam files with esy-opam is the slowest part of
+ * resolving opam packages, so results are stored per package in
+ * `<cache>/opam-index/<repository>/<package>.json`:
+ *
+ *   {
+ *     version, renderer,
+ *     // commit of the git repository the entries were checked against
+ *     commit: ?string,
+ *     versions: {[spec]: {hash, manifest, url, files}},
+ *   }
+ *
+ * If the repository is still checked out at the same commit the entries are
+ * used without reading the package directory at all. Otherwise the files of
+ * each version are read and hashed and only versions whose files changed are
+ * parsed again; if there are many of them they're parsed in a pool of worker
+ * processes.
+ *
+ * @flow
+ */
+
+import * as crypto from '../../../util/crypto.js';
+import * as fs from '../../../util/fs.js';
+import * as OpamWorker from './opam-worker.js';
+
+const childProcess = require('child_process');
+const os = require('os');
+const path = require('path');
+
+// bump whenever the format of the index changes
+export const INDEX_VERSION = 2;
+
+// version of esy-opam, entries rendered by other versions are parsed again
+const RENDERER_VERSION = require('@esy-ocaml/esy-opam/package.json').version;
+
+// forking workers isn't worth it for a few files
+const WORKER_THRESHOLD = 16;
+const MAX_WORKERS = 4;
+
+// next to this file in lib/ and copied next to the bundle in dist/lib/
+const WORKER_PATH = path.join(__dirname, 'opam-worker.js');
+
+// files which aren't UTF-8 are read as latin1, which maps every byte to one
+// character, so patches among them are applied byte for byte
+export type IndexedFile = {name: string, content: string, encoding?: 'latin1'};
+
+export type IndexedVersion = {
+  // name of the version directory, `<name>.<opam version>`
+  spec: string,
+  // hash of the opam and url files and of the files directory
+  hash: string,
+  manifest: Object,
+  url: ?{url: string, checksum: mixed},
+  // contents of the files directory
+  files: Array<IndexedFile>,
+};
+
+type ParseJob = {
+  name: string,
+  opamVersion: string,
+  // contents of the opam and url files
+  opam: string,
+  url: ?string,
+};
+
+type ParseResult = {
+  manifest: Object,
+  url: ?{url: string, checksum: mixed},
+};
+
+type PackageIndex = {
+  version: number,
+  renderer: string,
+  commit: ?string,
+  versions: {[spec: string]: IndexedVersion},
+};
+
+type Source = {
+  name: string,
+  checkoutPath: string,
+  commit: ?string,
+};
+
+/**
+ * Read all versions of the package from the repository, with the index in
+ * `indexFolder` or without any if it's null.
+ */
+export async function readPackage(
+  indexFolder: ?string,
+  source: Source,
+  name: string,
+  packageDir: string,
+): Promise<Array<IndexedVersion>> {
+  const indexPath = indexFolder != null ? getIndexPath(indexFolder, source, name) : null;
+  const index = indexPath != null ? await readIndex(indexPath) : null;
+
+  if (index != null && source.commit != null && index.commit === source.commit) {
+    return Object.keys(index.versions).sort().map(spec => index.versions[spec]);
+  }
+
+  const cached = index != null ? index.versions : {};
+  const specs = (await fs.readdir(packageDir)).sort();
+  const contents = await Promise.all(specs.map(spec => readVersion(packageDir, spec)));
+
+  const jobs = [];
+  const stale = [];
+  for (const content of contents) {
+    const entry = cached[content.spec];
+    if (entry == null || entry.hash !== content.hash) {
+      const [, ...versionParts] = content.spec.split('.');
+      jobs.push({name, opamVersion: versionParts.join('.'), opam: content.opam, url: content.url});
+      stale.push(content);
+    }
+  }
+  const results = await parseAll(jobs);
+
+  const versions = {};
+  for (const content of contents) {
+    versions[content.spec] = cached[content.spec];
+  }
+  stale.forEach((content, idx) => {
+    const {manifest, url} = results[idx];
+    versions[content.spec] = {spec: content.spec, hash: content.hash, manifest, url, files: content.files};
+  });
+
+  if (indexPath != null && (stale.length > 0 || index == null || index.commit !== source.commit)) {
+    await writeIndex(indexPath, {version: INDEX_VERSION, renderer: RENDERER_VERSION, commit: source.commit, versions});
+  }
+
+  return specs.map(spec => versions[spec]);
+}
+
+function getIndexPath(indexFolder: string, source: Source, name: string): string {
+  return path.join(indexFolder, crypto.hash(source.checkoutPath, 'sha1'), `${name}.json`);
+}
+
+async function readIndex(indexPath: string): Promise<?PackageIndex> {
+  try {
+    const index = JSON.parse(await fs.readFile(indexPath));
+    if (index.version !== INDEX_VERSION || index.renderer !== RENDERER_VERSION) {
+      return null;
+    }
+    return index;
+  } catch (_err) {
+    // missing or broken index, it's rebuilt
+    return null;
+  }
+}
+
+async function writeIndex(indexPath: string, index: PackageIndex): Promise<void> {
+  await fs.mkdirp(path.dirname(indexPath));
+  const tempPath = `${indexPath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(index));
+  await fs.rename(tempPath, indexPath);
+}
+
+async function readVersion(
+  packageDir: string,
+  spec: string,
+): Promise<{spec: string, hash: string, opam: string, url: ?string, files: Array<IndexedFile>}> {
+  const opam = await fs.readFile(path.join(packageDir, spec, 'opam'));
+  const urlFilename = path.join(packageDir, spec, 'url');
+  const url = (await fs.exists(urlFilename)) ? await fs.readFile(urlFilename) : null;
+
+  const files = [];
+  const filesDir = path.join(packageDir, spec, 'files');
+  if (await fs.exists(filesDir)) {
+    for (const name of (await fs.readdir(filesDir)).sort()) {
+      files.push(readIndexedFile(name, await fs.readFileBuffer(path.join(filesDir, name))));
+    }
+  }
+
+  const hash = crypto.hash(JSON.stringify([opam, url, files]), 'sha1');
+  return {spec, hash, opam, url, files};
+}
+
+function readIndexedFile(name: string, data: Buffer): IndexedFile {
+  const content = data.toString('utf8');
+  if (Buffer.from(content, 'utf8').equals(data)) {
+    return {name, content: fs.normalizeOS(content)};
+  }
+  return {name, content: fs.normalizeOS(data.toString('latin1')), encoding: 'latin1'};
+}
+
+function parseAll(jobs: Array<ParseJob>): Promise<Array<ParseResult>> {
+  if (jobs.length < WORKER_THRESHOLD) {
+    return Promise.resolve(jobs.map(OpamWorker.parse));
+  }
+  const size = Math.min(os.cpus().length, MAX_WORKERS, Math.ceil(jobs.length / WORKER_THRESHOLD));
+  return parseInWorkers(jobs, size);
+}
+
+/**
+ * Parse opam files in a pool of worker processes, results are in the order of
+ * jobs.
+ */
+export function parseInWorkers(jobs: Array<ParseJob>, size: number): Promise<Array<ParseResult>> {
+  return new Promise((resolve, reject) => {
+    const results: Array<ParseResult> = new Array(jobs.length);
+    const workers = [];
+    let next = 0;
+    let pending = jobs.length;
+    let failed = false;
+
+    const finish = (err: ?Error) => {
+      if (failed) {
+        return;
+      }
+      if (err != null) {
+        failed = true;
+      }
+      if (err != null || pending === 0) {
+        for (const worker of workers) {
+          worker.kill();
+        }
+      }
+      if (err != null) {
+        reject(err);
+      } else if (pending === 0) {
+        resolve(results);
+      }
+    };
+
+    const dispatch = worker => {
+      if (next < jobs.length) {
+        const id = next++;
+        worker.send({id, job: jobs[id]});
+      }
+    };
+
+    if (jobs.length === 0) {
+      resolve(results);
+      return;
+    }
+
+    for (let i = 0; i < Math.max(1, Math.min(size, jobs.length)); i++) {
+      const worker = childProcess.fork(WORKER_PATH, [], {stdio: ['ignore', 'ignore', 'inherit', 'ipc']});
+      workers.push(worker);
+      worker.on('message', message => {
+        if (message.error != null) {
+          const {name, opamVersion} = jobs[message.id];
+          finish(new Error(`Unable to parse opam file of ${name}.${opamVersion}: ${message.error}`));
+          return;
+        }
+        results[message.id] = message.result;
+        pending--;
+        if (pending === 0) {
+          finish(null);
+        } else {
+          dispatch(worker);
+        }
+      });
+      worker.on('error', err => finish(err));
+      worker.on('exit', code => {
+        if (pending > 0) {
+          finish(new Error(`opam worker exited with code ${code}`));
+        }
+      });
+      dispatch(worker);
+    }
+  });
+}
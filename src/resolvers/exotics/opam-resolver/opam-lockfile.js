@@ -0,0 +1,163 @@
+/**
+ * opam data of @opam/* packages stored in the lockfile.
+ *
+ * Lockfile entries carry everything needed to create the package: the source
+ * archive and its checksum, patches and files, build and install commands and
+ * the exported environment. Installs from the lockfile then need neither the
+ * opam repositories nor the overrides repository nor the archive index.
+ *
+ * The lockfile format has no arrays so commands and patches, which are applied
+ * in the order they are declared, are stored as JSON strings, files are stored
+ * by name unless some of them aren't UTF-8, their encoding is then kept by
+ * storing the files as a JSON string too.
+ *
+ * @flow
+ */
+
+import type {LockManifest, LockOpamMetadata} from '../../../lockfile';
+import type {Manifest} from '../../../types.js';
+import type {OpamManifest} from './index.js';
+import {MessageError} from '../../../errors.js';
+import * as OpamChecksum from './opam-checksum.js';
+
+type Contents = Array<{name: string, content: string, encoding?: 'latin1'}>;
+
+/**
+ * Produce opam metadata of the lockfile entry of the package.
+ */
+export function getLockMetadata(pkg: Manifest): ?LockOpamMetadata {
+  // only @opam/* packages have this field
+  const opam = (pkg: any).opam;
+  if (opam == null) {
+    return undefined;
+  }
+
+  let metadata: LockOpamMetadata;
+  if (!Array.isArray(opam.checksums)) {
+    // package was restored from the lockfile
+    metadata = {...opam};
+  } else {
+    const esy = (pkg: any).esy || {};
+    metadata = {
+      version: opam.version,
+      repository: opam.repository || undefined,
+      url: opam.url || undefined,
+      checksum: opam.checksums.length > 0 ? OpamChecksum.formatStrongest(opam.checksums) : undefined,
+      build: encodeList(esy.build),
+      install: encodeList(esy.install),
+      buildsInSource: esy.buildsInSource || undefined,
+      exportedEnv: nonEmpty(esy.exportedEnv),
+      patches: encodeList(opam.patches),
+      files: encodeContents(opam.files),
+    };
+  }
+
+  const remote = pkg._remote;
+  if (remote != null && remote.tarballChecksum) {
+    return {...metadata, tarballChecksum: remote.tarballChecksum};
+  }
+  return metadata;
+}
+
+/**
+ * Create the manifest of the package from its lockfile entry, returns null for
+ * entries written by older versions which don't have all the data.
+ */
+export function getManifest(entry: LockManifest): ?OpamManifest {
+  const opam = entry.opam;
+  if (opam == null || opam.version == null) {
+    return null;
+  }
+  const label = `${entry.name}@${entry.version}`;
+
+  const manifest: Object = {
+    name: entry.name,
+    version: entry.version,
+    _uid: entry.uid,
+    dependencies: entry.dependencies || {},
+    peerDependencies: entry.peerDependencies || {},
+    optionalDependencies: entry.optionalDependencies || {},
+    esy: {
+      build: decodeList(opam.build, 'commands', label),
+      install: decodeList(opam.install, 'commands', label),
+      exportedEnv: opam.exportedEnv || {},
+    },
+    opam: {
+      url: opam.url || null,
+      version: opam.version,
+      checksums: opam.checksum ? [OpamChecksum.parse(opam.checksum)] : [],
+      files: decodeContents(opam.files, label),
+      patches: decodeList(opam.patches, 'patches', label),
+      repository: opam.repository || null,
+      overrides: [],
+    },
+  };
+  if (opam.buildsInSource) {
+    manifest.esy.buildsInSource = true;
+  }
+  return manifest;
+}
+
+/**
+ * Strip the manifest down to the data stored in the lockfile so the package
+ * is the same whether it's created from the opam repository or the lockfile.
+ */
+export function normalizeManifest(manifest: OpamManifest): OpamManifest {
+  const normalized = getManifest({
+    name: manifest.name,
+    version: manifest.version,
+    uid: manifest._uid,
+    resolved: null,
+    registry: 'npm',
+    permissions: null,
+    dependencies: manifest.dependencies,
+    peerDependencies: manifest.peerDependencies,
+    optionalDependencies: manifest.optionalDependencies,
+    opam: getLockMetadata(manifest),
+  });
+  return normalized || manifest;
+}
+
+function encodeList(list: mixed): ?string {
+  if (list == null || (Array.isArray(list) && list.length === 0)) {
+    return undefined;
+  }
+  return JSON.stringify(list);
+}
+
+function decodeList(list: ?string, what: string, label: string): Array<any> {
+  if (list == null) {
+    return [];
+  }
+  try {
+    return JSON.parse(list);
+  } catch (err) {
+    throw new MessageError(`Invalid ${what} of ${label} in the lockfile: ${err.message}`);
+  }
+}
+
+function encodeContents(contents: ?Contents): ?({[name: string]: string} | string) {
+  if (contents == null || contents.length === 0) {
+    return undefined;
+  }
+  if (contents.some(file => file.encoding != null)) {
+    return JSON.stringify(contents);
+  }
+  const encoded = {};
+  for (const {name, content} of contents) {
+    encoded[name] = content;
+  }
+  return encoded;
+}
+
+function decodeContents(contents: ?({[name: string]: string} | string), label: string): Contents {
+  if (typeof contents === 'string') {
+    return decodeList(contents, 'files', label);
+  }
+  const byName = contents || {};
+  return Object.keys(byName).sort().map(name => ({name, content: byName[name]}));
+}
+
+function nonEmpty(object: ?Object): ?Object {
+  return object != null && Object.keys(object).length > 0 ? object : undefined;
+}
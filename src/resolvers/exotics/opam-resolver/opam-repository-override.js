@@ -2,15 +2,17 @@
 
 const path = require('path');
 const invariant = require('invariant');
-const semver = require('semver');
 const EsyOpam = require('@esy-ocaml/esy-opam');
 const yaml = require('js-yaml');
 
 import type {OpamManifest} from './index.js';
 import type Config from '../../../config';
+import type {Reporter} from '../../../reporters/index.js';
 import * as fs from '../../../util/fs.js';
 import * as child from '../../../util/child.js';
-import {cloneOrUpdateRepository, stripVersionPrelease} from './util.js';
+import {cloneOrUpdateRepository} from './util.js';
+import * as OpamVersion from './opam-version.js';
+import * as OpamChecksum from './opam-checksum.js';
 import {
   OPAM_REPOSITORY_OVERRIDE,
   OPAM_REPOSITORY_OVERRIDE_CHECKOUT,
@@ -18,11 +20,16 @@ import {
 } from './config.js';
 
 export type OpamRepositoryOverride = {
+  remote: string,
   checkoutPath: string,
+  // commit of the checkout, unknown when an existing checkout is used
+  commit: ?string,
   overrides: Map<string, Map<string, OpamPackageOverride>>,
 };
 
 export type OpamPackageOverride = {
+  // directory of the override in the overrides repository
+  spec: string,
   build?: Array<Array<string>>,
   install?: Array<Array<string>>,
   dependencies?: {[name: string]: string},
@@ -32,24 +39,36 @@ export type OpamPackageOverride = {
   },
   opam: {
     url: string,
-    checksum: string,
-    files: Array<{name: string, content: string}>,
-    patches: Array<{name: string, content: string}>,
+    // normalized from `checksum` which is either a single checksum or a list
+    checksums: Array<OpamChecksum.Checksum>,
+    files: Array<{name: string, content: string, encoding?: 'latin1'}>,
+    patches: Array<{name: string, content: string, encoding?: 'latin1'}>,
   },
 };
 
+// which override was applied to the package and what it changed
+export type OpamOverrideProvenance = {
+  // directory of the override in the overrides repository
+  spec: string,
+  versionRange: string,
+  // changed manifest fields, like `esy.build` or `dependencies.@opam/foo`
+  fields: Array<string>,
+};
+
 const MATCH_ALL_VERSIONS = 'x.x.x';
 
-let _initializing: ?Promise<OpamRepositoryOverride> = null;
+type InitParams = {
+  // commit to check out, the tip of the branch is used otherwise
+  commit?: ?string,
+  // update to the tip of the branch even if it was checked out before
+  update?: boolean,
+};
 
 /**
  * Initialize opam overrides
  */
-export function init(config: Config): Promise<OpamRepositoryOverride> {
-  if (_initializing == null) {
-    _initializing = initImpl(config);
-  }
-  return _initializing;
+export function init(config: Config, params?: InitParams = {}): Promise<OpamRepositoryOverride> {
+  return config.getCache('opam-repository-override', () => initImpl(config, params));
 }
 
 export function applyOverride(
@@ -65,7 +84,7 @@ export function applyOverride(
   }
 
   for (const [versionRange, override] of packageOverrides.entries()) {
-    if (semver.satisfies(stripVersionPrelease(manifest.version), versionRange)) {
+    if (OpamVersion.satisfiesSemver(manifest.version, versionRange)) {
       manifest = {...manifest};
       const {esy, opam} = manifest;
 
@@ -81,9 +100,14 @@ export function applyOverride(
       manifest.opam = {
         ...opam,
         url: override.opam.url || opam.url,
-        checksum: override.opam.checksum || opam.checksum,
+        checksums: override.opam.checksums.length > 0 ? override.opam.checksums : opam.checksums,
         files: opam.files.concat(override.opam.files),
         patches: opam.patches.concat(override.opam.patches),
+        overrides: opam.overrides.concat({
+          spec: override.spec,
+          versionRange,
+          fields: getOverriddenFields(override),
+        }),
       };
       manifest.dependencies = {
         ...manifest.dependencies,
@@ -99,27 +123,82 @@ export function applyOverride(
   return manifest;
 }
 
-async function initImpl(config) {
-  const checkoutPath = await cloneOverridesRepo(config);
+/**
+ * Warn if more than one override matched the version of the package. Overrides
+ * are applied in order so the later ones take precedence.
+ */
+export function warnOnConflictingOverrides(reporter: Reporter, manifest: OpamManifest) {
+  const {overrides} = manifest.opam;
+  if (overrides.length > 1) {
+    reporter.warn(
+      reporter.lang(
+        'opamOverrideConflict',
+        `${manifest.name}@${manifest.version}`,
+        overrides.map(override => override.spec).join(', '),
+      ),
+    );
+  }
+}
+
+function getOverriddenFields(override: OpamPackageOverride): Array<string> {
+  const fields = [];
+  if (override.build) {
+    fields.push('esy.build');
+  }
+  if (override.install) {
+    fields.push('esy.install');
+  }
+  for (const name of Object.keys(override.exportedEnv)) {
+    fields.push(`esy.exportedEnv.${name}`);
+  }
+  if (override.opam.url) {
+    fields.push('opam.url');
+  }
+  if (override.opam.checksums.length > 0) {
+    fields.push('opam.checksums');
+  }
+  for (const file of override.opam.files) {
+    fields.push(`opam.files.${file.name}`);
+  }
+  for (const patch of override.opam.patches) {
+    fields.push(`opam.patches.${patch.name}`);
+  }
+  for (const name of Object.keys(override.dependencies || {})) {
+    fields.push(`dependencies.${name}`);
+  }
+  for (const name of Object.keys(override.peerDependencies || {})) {
+    fields.push(`peerDependencies.${name}`);
+  }
+  return fields;
+}
+
+async function initImpl(config, params: InitParams) {
+  const {path: checkoutPath, commit} = await cloneOverridesRepo(config, params);
 
   const overridesPath = path.join(checkoutPath, 'packages');
   const overridesPathSet = await fs.readdir(overridesPath);
 
   const overrides = new Map();
 
-  await Promise.all(
-    overridesPathSet.map(async spec => {
-      const override = await readOverride(path.join(overridesPath, spec));
-      if (override == null) {
-        return;
-      }
-      const {packageName, versionRange} = parseOverrideSpec(spec);
-      const packageOverrides = mapSetDefault(overrides, packageName, mkMap);
-      packageOverrides.set(versionRange, override);
-    }),
-  );
+  const overrideList = await Promise.all(overridesPathSet.map(spec => readOverride(path.join(overridesPath, spec))));
 
-  return {checkoutPath, overrides};
+  // overrides are applied in the order of the map so keep it stable
+  for (const override of overrideList.sort(compareOverrides)) {
+    if (override == null) {
+      continue;
+    }
+    const {packageName, versionRange} = parseOverrideSpec(override.spec);
+    const packageOverrides = mapSetDefault(overrides, packageName, mkMap);
+    packageOverrides.set(versionRange, override);
+  }
+
+  return {remote: OPAM_REPOSITORY_OVERRIDE, checkoutPath, commit, overrides};
+}
+
+function compareOverrides(a: ?OpamPackageOverride, b: ?OpamPackageOverride): number {
+  const specA = a != null ? a.spec : '';
+  const specB = b != null ? b.spec : '';
+  return specA < specB ? -1 : specA > specB ? 1 : 0;
 }
 
 function parseOverrideSpec(spec: string) {
@@ -139,21 +218,24 @@ async function readOverride(root: string): ?Promise<?OpamPackageOverride> {
   if (await fs.exists(yamlPath)) {
     const data = await fs.readFile(yamlPath);
     const override = yaml.safeLoad(data, {filename: yamlPath});
-    normalizeOverride(override);
+    normalizeOverride(override, path.basename(root));
     return override;
   } else if (await fs.exists(jsonPath)) {
     const data = await fs.readFile(jsonPath);
     const override = JSON.parse(data);
-    normalizeOverride(override);
+    normalizeOverride(override, path.basename(root));
     return override;
   } else {
     return null;
   }
 }
 
-function normalizeOverride(override) {
+function normalizeOverride(override, spec) {
+  override.spec = spec;
   override.exportedEnv = override.exportedEnv || {};
   override.opam = override.opam || {};
+  override.opam.checksums = OpamChecksum.parseList(override.opam.checksum);
+  delete override.opam.checksum;
   override.opam.files = override.opam.files || [];
   override.opam.patches = override.opam.patches || [];
 }
@@ -171,9 +253,9 @@ function mapSetDefault(map, k, mkDefault) {
   }
 }
 
-async function cloneOverridesRepo(config) {
+function cloneOverridesRepo(config, params: InitParams): Promise<{path: string, +commit: ?string}> {
   if (OPAM_REPOSITORY_OVERRIDE_CHECKOUT != null) {
-    return OPAM_REPOSITORY_OVERRIDE_CHECKOUT;
+    return Promise.resolve({path: OPAM_REPOSITORY_OVERRIDE_CHECKOUT, commit: null});
   }
   const checkoutPath = path.join(config.cacheFolder, 'esy-opam-override');
   const onClone = () => {
@@ -182,13 +264,17 @@ async function cloneOverridesRepo(config) {
   const onUpdate = () => {
     config.reporter.info('Updating OPAM repository overrides...');
   };
-  await cloneOrUpdateRepository(OPAM_REPOSITORY_OVERRIDE, checkoutPath, {
+  const onWait = () => {
+    config.reporter.info('Waiting for another process to update OPAM repository overrides...');
+  };
+  return cloneOrUpdateRepository(OPAM_REPOSITORY_OVERRIDE, checkoutPath, {
     onClone,
     onUpdate,
+    onWait,
     branch: String(config.esyMetadataVersion || '4'),
-    forceUpdate: false,
+    forceUpdate: Boolean(params.update),
+    commit: params.commit,
     offline: config.offline,
     preferOffline: config.preferOffline,
   });
-  return checkoutPath;
 }
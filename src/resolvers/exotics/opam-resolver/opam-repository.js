@@ -1,82 +1,335 @@
 /* @flow */
 
 const path = require('path');
-const EsyOpam = require('@esy-ocaml/esy-opam');
 
 import type Config from '../../../config';
+import type {LockfileMetadata, LockfileObject} from '../../../lockfile';
+import Lockfile from '../../../lockfile';
 import * as crypto from '../../../util/crypto.js';
 import * as fs from '../../../util/fs.js';
 import {cloneOrUpdateRepository} from './util.js';
-import {OPAM_REPOSITORY, OPAM_SCOPE} from './config.js';
-import type {OpamManifest} from './index.js';
+import {MessageError} from '../../../errors.js';
+import {normalizePattern} from '../../../util/normalize-pattern.js';
+import {OPAM_REPOSITORY, OPAM_REPOSITORIES_OPTION, OPAM_REPOSITORY_OVERRIDE, OPAM_SCOPE} from './config.js';
+import type {OpamManifest, OpamManifestCollection} from './index.js';
 import * as OpamRepositoryOverride from './opam-repository-override.js';
 import * as OpamUrls from './opam-urls.js';
+import * as OpamVersion from './opam-version.js';
+import * as OpamChecksum from './opam-checksum.js';
+import * as OpamUid from './opam-uid.js';
+import * as OpamIndex from './opam-index.js';
+import type {IndexedVersion} from './opam-index.js';
+
+export type OpamRepositorySource = {
+  // repository as it was configured (git URL or local path)
+  name: string,
+  type: 'git' | 'local',
+  // git remote or local directory
+  location: string,
+  branch: string,
+  checkoutPath: string,
+  // directory the packages are read from, for git repositories it's the
+  // checkout of the commit which is only known after init
+  packagesPath: string,
+  // whether this is the official opam repository and hence prepared tarballs
+  // from opam.ocaml.org can be used
+  isDefault: boolean,
+  // commit checked out, only known for git repositories after init
+  commit: ?string,
+};
 
 type OpamRepository = {
   urlIndex: OpamUrls.URLIndex,
-  checkoutPath: string,
+  // ordered by priority, the first one has the highest priority
+  sources: Array<OpamRepositorySource>,
   override: OpamRepositoryOverride.OpamRepositoryOverride,
+  checksumPolicy: OpamChecksum.ChecksumPolicy,
+  // where parsed opam files are cached, null to parse them on each run
+  indexFolder?: ?string,
+};
+
+type InitParams = {
+  // ignore commits recorded in the lockfile and update repositories to the
+  // tip of their branches
+  update?: boolean,
 };
 
-let _initializing: ?Promise<OpamRepository> = null;
+const CACHE_KEY = 'opam-repository';
 
 /**
- * Initialize opam overrides
+ * Initialize opam repositories
+ *
+ * Git repositories are checked out at commits recorded in the lockfile so
+ * installs are reproducible, repositories which aren't recorded there yet are
+ * checked out at the tip of their branches.
+ *
+ * Repositories are initialized once per run so to update them this should be
+ * called with `update` before anything else initializes them.
  */
-export function init(config: Config): Promise<OpamRepository> {
-  if (_initializing == null) {
-    _initializing = initImpl(config);
+export function init(config: Config, params?: InitParams = {}): Promise<OpamRepository> {
+  return config.getCache(CACHE_KEY, () => initImpl(config, params));
+}
+
+/**
+ * Produce lockfile metadata with commits of opam repositories used to resolve
+ * packages. If repositories weren't needed in this run then commits which were
+ * previously recorded are kept.
+ */
+export async function getLockfileMetadata(
+  config: Config,
+  lockfile: LockfileObject,
+  previous: LockfileMetadata,
+): Promise<LockfileMetadata> {
+  const metadata = {...previous};
+  delete metadata.opamRepositories;
+  delete metadata.opamRepositoryOverride;
+
+  const hasOpamPackages = Object.keys(lockfile).some(pattern =>
+    normalizePattern(pattern).name.startsWith(`@${OPAM_SCOPE}/`),
+  );
+  if (!hasOpamPackages) {
+    return metadata;
+  }
+
+  if (config.cache[CACHE_KEY] == null) {
+    return {
+      ...metadata,
+      opamRepositories: previous.opamRepositories,
+      opamRepositoryOverride: previous.opamRepositoryOverride,
+    };
   }
-  return _initializing;
+
+  const repository = await init(config);
+
+  const opamRepositories = {};
+  for (const source of repository.sources) {
+    if (source.commit != null) {
+      opamRepositories[source.name] = source.commit;
+    }
+  }
+
+  const {override} = repository;
+  const opamRepositoryOverride =
+    override.commit != null ? {[override.remote]: override.commit} : previous.opamRepositoryOverride;
+
+  return {...metadata, opamRepositories, opamRepositoryOverride};
 }
 
+/**
+ * Collect versions of the package from all repositories. If the same version is
+ * available in several repositories then the one from the repository with the
+ * highest priority (the one listed first) is used, versions which are only
+ * available in repositories with lower priority are still available.
+ */
 export async function getManifestCollection(
   repository: OpamRepository,
   packageName: string,
-) {
-  const packageDir = path.join(repository.checkoutPath, 'packages', packageName);
-  if (!await fs.exists(packageDir)) {
+): Promise<OpamManifestCollection> {
+  const manifestCollection = await maybeGetManifestCollection(repository, packageName);
+  if (manifestCollection == null) {
     throw new Error(`No package found in opam repository: @${OPAM_SCOPE}/${packageName}`);
   }
+  return manifestCollection;
+}
 
-  const manifestCollection = await convertOpamToManifestCollection(
-    repository,
-    packageName,
-    packageDir,
-  );
+/**
+ * Same as `getManifestCollection` but resolves to null if none of the
+ * repositories has the package.
+ */
+export async function maybeGetManifestCollection(
+  repository: OpamRepository,
+  packageName: string,
+): Promise<?OpamManifestCollection> {
+  const manifestCollection = {name: packageName, versions: {}};
+  let found = false;
 
-  return manifestCollection;
+  for (const source of repository.sources) {
+    const packageDir = path.join(source.packagesPath, packageName);
+    if (!await fs.exists(packageDir)) {
+      continue;
+    }
+    found = true;
+
+    const sourceCollection = await convertOpamToManifestCollection(repository, source, packageName, packageDir);
+
+    for (const version of Object.keys(sourceCollection.versions)) {
+      if (manifestCollection.versions[version] == null) {
+        manifestCollection.versions[version] = sourceCollection.versions[version];
+      }
+    }
+  }
+
+  return found ? manifestCollection : null;
 }
 
-async function initImpl(config: Config) {
-  const checkoutPath = path.join(config.cacheFolder, 'opam-repository');
-  const onClone = () => {
-    config.reporter.info(`Fetching OPAM repository: ${OPAM_REPOSITORY}...`);
-  };
-  const onUpdate = () => {
-    config.reporter.info(`Updating OPAM repository: ${OPAM_REPOSITORY}...`);
+/**
+ * Get the list of configured opam repositories.
+ *
+ * Repositories are configured with `opamRepositories` array in the root
+ * manifest or with `opam-repositories` (comma separated) in .yarnrc, the first
+ * repository has the highest priority. Each item is either a git URL
+ * (optionally with `#branch`), a local directory or a `file:` path, relative
+ * paths are resolved against the project root. Without configuration the
+ * official opam repository is used.
+ */
+export async function getRepositorySources(config: Config): Promise<Array<OpamRepositorySource>> {
+  let specs = null;
+
+  const manifest = await readRootManifest(config);
+  if (manifest != null && Array.isArray(manifest.opamRepositories)) {
+    specs = manifest.opamRepositories.map(String);
+  }
+
+  if (specs == null) {
+    const option = config.getOption(OPAM_REPOSITORIES_OPTION);
+    if (Array.isArray(option)) {
+      specs = option.map(String);
+    } else if (typeof option === 'string') {
+      specs = option.split(',');
+    }
+  }
+
+  if (specs == null) {
+    specs = [OPAM_REPOSITORY];
+  }
+
+  specs = specs.map(spec => spec.trim()).filter(spec => spec !== '');
+
+  const sources = [];
+  for (const spec of specs) {
+    if (sources.some(source => source.name === spec)) {
+      continue;
+    }
+    sources.push(parseRepositorySpec(config, spec));
+  }
+  return sources;
+}
+
+export function parseRepositorySpec(config: Config, spec: string): OpamRepositorySource {
+  const isDefault = spec === OPAM_REPOSITORY;
+
+  if (spec.startsWith('file:') || isLocalPath(spec)) {
+    const location = path.resolve(
+      config.lockfileFolder || config.cwd,
+      spec.startsWith('file:') ? spec.slice('file:'.length) : spec,
+    );
+    return {
+      name: spec,
+      type: 'local',
+      location,
+      branch: '',
+      checkoutPath: location,
+      packagesPath: path.join(location, 'packages'),
+      isDefault,
+      commit: null,
+    };
+  }
+
+  const hashIdx = spec.lastIndexOf('#');
+  const location = hashIdx === -1 ? spec : spec.slice(0, hashIdx);
+  const branch = hashIdx === -1 ? 'master' : spec.slice(hashIdx + 1);
+  // keep the checkout of the default repository where it always was
+  const checkoutPath = isDefault
+    ? path.join(config.cacheFolder, 'opam-repository')
+    : path.join(config.cacheFolder, `opam-repository-${crypto.hash(spec)}`);
+  return {
+    name: spec,
+    type: 'git',
+    location,
+    branch,
+    checkoutPath,
+    packagesPath: path.join(checkoutPath, 'packages'),
+    isDefault,
+    commit: null,
   };
+}
+
+async function initImpl(config: Config, params: InitParams) {
+  const sources = await getRepositorySources(config);
+  const pins = params.update ? {} : await readLockfileMetadata(config);
+  const opamRepositories = pins.opamRepositories || {};
+  const opamRepositoryOverride = pins.opamRepositoryOverride || {};
   const [_, override, urlIndex] = await Promise.all([
-    cloneOrUpdateRepository(OPAM_REPOSITORY, checkoutPath, {
-      onClone,
-      onUpdate,
-      forceUpdate: false,
-      offline: config.offline,
-      preferOffline: config.preferOffline,
+    Promise.all(sources.map(source => initRepositorySource(config, source, opamRepositories[source.name], params))),
+    OpamRepositoryOverride.init(config, {
+      commit: opamRepositoryOverride[OPAM_REPOSITORY_OVERRIDE],
+      update: params.update,
     }),
-    OpamRepositoryOverride.init(config),
     OpamUrls.fetchIndex(config),
   ]);
-  return {urlIndex, checkoutPath, override};
+  return {
+    urlIndex,
+    sources,
+    override,
+    checksumPolicy: OpamChecksum.getPolicy(config),
+    indexFolder: path.join(config.cacheFolder, 'opam-index'),
+  };
 }
 
-async function convertOpamToManifest(repository, name, spec, packageDir) {
-  const [_, ...versionParts] = spec.split('.');
+async function readLockfileMetadata(config: Config): Promise<LockfileMetadata> {
+  if (!config.lockfileFolder) {
+    return {};
+  }
+  const lockfile = await Lockfile.fromDirectory(config.lockfileFolder, undefined, config.lockfileFilename);
+  return lockfile.metadata;
+}
+
+async function initRepositorySource(
+  config: Config,
+  source: OpamRepositorySource,
+  commit: ?string,
+  params: InitParams,
+): Promise<void> {
+  if (source.type === 'local') {
+    if (!await fs.exists(source.packagesPath)) {
+      throw new MessageError(
+        `Invalid opam repository ${source.name}: ${source.checkoutPath} has no packages directory`,
+      );
+    }
+    return;
+  }
+  const onClone = () => {
+    config.reporter.info(`Fetching OPAM repository: ${source.name}...`);
+  };
+  const onUpdate = () => {
+    config.reporter.info(`Updating OPAM repository: ${source.name}...`);
+  };
+  const onWait = () => {
+    config.reporter.info(`Waiting for another process to update OPAM repository: ${source.name}...`);
+  };
+  const checkout = await cloneOrUpdateRepository(source.location, source.checkoutPath, {
+    onClone,
+    onUpdate,
+    onWait,
+    branch: source.branch,
+    forceUpdate: Boolean(params.update),
+    offline: config.offline,
+    preferOffline: config.preferOffline,
+    commit,
+  });
+  source.packagesPath = path.join(checkout.path, 'packages');
+  source.commit = checkout.commit;
+}
+
+async function readRootManifest(config: Config): Promise<?Object> {
+  try {
+    return await config.readRootManifest();
+  } catch (_err) {
+    return null;
+  }
+}
+
+function isLocalPath(spec: string): boolean {
+  return path.isAbsolute(spec) || spec.startsWith('./') || spec.startsWith('../') || spec === '.' || spec === '..';
+}
+
+async function convertOpamToManifest(repository, source, name, indexed: IndexedVersion) {
+  const [_, ...versionParts] = indexed.spec.split('.');
   const opamVersion = versionParts.join('.');
-  const opamFilename = path.join(packageDir, spec, 'opam');
-  const opamFile = EsyOpam.parseOpam(await fs.readFile(opamFilename));
-  let manifest: OpamManifest = (EsyOpam.renderOpam(name, opamVersion, opamFile): any);
+  // the indexed manifest is shared, changes must not leak into it
+  let manifest: OpamManifest = JSON.parse(JSON.stringify(indexed.manifest));
   normalizeManifest(manifest);
+  manifest.opam.repository = source.name;
 
   const overridenManifest = OpamRepositoryOverride.applyOverride(
     repository.override,
@@ -84,14 +337,15 @@ async function convertOpamToManifest(repository, name, spec, packageDir) {
   );
 
   // If there's no override available — we can try to use prepared tarballs from
-  // opam archive which already has patches applied.
-  if (overridenManifest == null) {
+  // opam archive which already has patches applied. Those are only available
+  // for the official opam repository and only have md5 checksums.
+  if (overridenManifest == null && source.isDefault && repository.checksumPolicy === 'allow-md5') {
     const urlRecord = await OpamUrls.resolve(repository.urlIndex, name, opamVersion);
     if (urlRecord != null) {
       manifest.opam.url = urlRecord.url;
-      manifest.opam.checksum = urlRecord.checksum;
+      manifest.opam.checksums = [{kind: 'md5', contents: urlRecord.checksum}];
       manifest.opam.version = opamVersion;
-      manifest._uid = crypto.hash(JSON.stringify(manifest));
+      manifest._uid = OpamUid.computeUid(manifest);
       return manifest;
     }
   }
@@ -101,66 +355,54 @@ async function convertOpamToManifest(repository, name, spec, packageDir) {
   }
 
   manifest.opam.version = opamVersion;
-  manifest._uid = crypto.hash(JSON.stringify(manifest));
-
-  const urlFilename = path.join(packageDir, spec, 'url');
-
-  if (manifest.opam.url == null && (await fs.exists(urlFilename))) {
-    const urlData = await fs.readFile(urlFilename);
-    if (urlData != null) {
-      const opamUrl = EsyOpam.parseOpamUrl(urlData);
-      const url = EsyOpam.renderOpamUrl(opamUrl);
-      let checksum = url.checksum.filter(h => h.kind === 'md5')[0];
-      checksum = checksum ? checksum.contents : null;
-      manifest.opam.url = url.url;
-      manifest.opam.checksum = checksum;
-    }
+
+  if (manifest.opam.url == null && indexed.url != null) {
+    const url = indexed.url;
+    manifest.opam.url = url.url;
+    manifest.opam.checksums = OpamChecksum.parseList(url.checksum);
 
     const patchFilenames: Array<string> = (manifest: any)._esy_opam_patches;
     if (patchFilenames) {
       manifest.opam.patches = manifest.opam.patches.concat(
-        await Promise.all(
-          patchFilenames.map(async basename => {
-            const filename = path.join(packageDir, spec, 'files', basename);
-            const content = await fs.readFile(filename);
-            return {name: basename, content};
-          }),
-        ),
+        patchFilenames.map(basename => {
+          const file = indexed.files.find(file => file.name === basename);
+          if (file == null) {
+            throw new MessageError(`Missing patch ${basename} of ${name}.${opamVersion} in ${source.name}`);
+          }
+          return file;
+        }),
       );
     }
   }
 
-  manifest.opam.files = manifest.opam.files.concat(
-    await readPackageFiles(packageDir, spec),
-  );
+  manifest.opam.files = manifest.opam.files.concat(indexed.files);
+  manifest._uid = OpamUid.computeUid(manifest);
 
   return manifest;
 }
 
-async function readPackageFiles(packageDir, spec) {
-  const filesDir = path.join(packageDir, spec, 'files');
-  if (await fs.exists(filesDir)) {
-    const files = await fs.readdir(filesDir);
-    return Promise.all(
-      files.map(async name => {
-        const filename = path.join(filesDir, name);
-        const content = await fs.readFile(filename);
-        return {name, content};
-      }),
-    );
-  }
-  return [];
-}
-
-async function convertOpamToManifestCollection(repository, name, packageDir) {
-  const versionDirList = await fs.readdir(packageDir);
+async function convertOpamToManifestCollection(repository, source, name, packageDir) {
+  const indexedVersions = await OpamIndex.readPackage(repository.indexFolder, source, name, packageDir);
   const manifestList = await Promise.all(
-    versionDirList.map(versionDir =>
-      convertOpamToManifest(repository, name, versionDir, packageDir),
-    ),
+    indexedVersions.map(indexed => convertOpamToManifest(repository, source, name, indexed)),
   );
   const manifestCollection = {name, versions: {}};
-  for (const manifest of manifestList) {
+  // different opam versions can be rendered into the same semver version
+  // (`0.9.8` and `0.9.8.1` for example), the newest one keeps it and the older
+  // ones are tagged with their opam version so all of them stay available
+  for (const manifest of OpamVersion.sortDescending(manifestList, manifest => manifest.opam.version)) {
+    if (manifestCollection.versions[manifest.version] != null) {
+      const version = OpamVersion.tagWithOpamVersion(manifest.version, manifest.opam.version);
+      const existing = manifestCollection.versions[version];
+      if (existing != null) {
+        throw new MessageError(
+          `Versions ${existing.opam.version} and ${manifest.opam.version} of @${OPAM_SCOPE}/${name} ` +
+            `in ${source.name} can't be told apart`,
+        );
+      }
+      manifest.version = version;
+      manifest._uid = OpamUid.computeUid(manifest);
+    }
     manifestCollection.versions[manifest.version] = manifest;
   }
   return manifestCollection;
@@ -171,7 +413,9 @@ function normalizeManifest(manifest) {
   manifest.esy.exportedEnv = manifest.esy.exportedEnv || {};
   manifest.opam = manifest.opam || {};
   manifest.opam.url = manifest.opam.url || null;
-  manifest.opam.checksum = manifest.opam.checksum || null;
+  manifest.opam.checksums = OpamChecksum.parseList(manifest.opam.checksums);
+  manifest.opam.repository = manifest.opam.repository || null;
   manifest.opam.files = manifest.opam.files || [];
   manifest.opam.patches = manifest.opam.patches || [];
+  manifest.opam.overrides = manifest.opam.overrides || [];
 }
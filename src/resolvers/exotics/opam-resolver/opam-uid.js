@@ -0,0 +1,77 @@
+/**
+ * Identity (`_uid`) of packages converted from opam.
+ *
+ * The uid is the sha1 of a canonical JSON serialization of the fields which
+ * define what gets installed:
+ *
+ *   - `name`, `version` and `opam.version`
+ *   - `opam.url` and `opam.checksums` (sorted)
+ *   - `opam.patches` (in the order they are applied) and `opam.files` (sorted
+ *     by name)
+ *   - `esy.build`, `esy.install`, `esy.buildsInSource` and `esy.exportedEnv`
+ *   - `dependencies`, `peerDependencies` and `optionalDependencies`
+ *
+ * Object keys are sorted and missing fields are serialized as `null`, so the
+ * uid doesn't depend on key order or on the cosmetic fields of the manifest
+ * which differ between versions of the opam renderer and of the overrides
+ * repository.
+ *
+ * Older versions used the md5 of the whole manifest (32 hex characters) which
+ * can't be reproduced, lockfile entries with such uids are kept as they are
+ * (see `isLegacyUid()`).
+ *
+ * @flow
+ */
+
+import type {OpamManifest} from './index.js';
+import * as crypto from '../../../util/crypto.js';
+import * as OpamChecksum from './opam-checksum.js';
+
+const LEGACY_UID_RE = /^[0-9a-f]{32}$/;
+
+export function computeUid(manifest: OpamManifest): string {
+  return crypto.hash(canonicalize(getIdentityFields(manifest)), 'sha1');
+}
+
+/**
+ * Tell if the uid was computed by older versions from the whole manifest.
+ */
+export function isLegacyUid(uid: string): boolean {
+  return LEGACY_UID_RE.test(uid);
+}
+
+function getIdentityFields(manifest: OpamManifest): Object {
+  const {esy, opam} = manifest;
+  const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+  return {
+    name: manifest.name,
+    version: manifest.version,
+    opamVersion: opam.version,
+    url: opam.url,
+    checksums: opam.checksums.map(OpamChecksum.format).sort(),
+    patches: opam.patches,
+    files: opam.files.slice().sort(byName),
+    build: esy.build,
+    install: esy.install,
+    buildsInSource: esy.buildsInSource,
+    exportedEnv: esy.exportedEnv,
+    dependencies: manifest.dependencies,
+    peerDependencies: manifest.peerDependencies,
+    optionalDependencies: manifest.optionalDependencies,
+  };
+}
+
+export function canonicalize(value: mixed): string {
+  if (value === undefined || value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const object = value;
+    const entries = Object.keys(object).sort().map(key => `${JSON.stringify(key)}:${canonicalize(object[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
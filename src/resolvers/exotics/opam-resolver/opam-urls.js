@@ -6,13 +6,23 @@
  */
 
 import * as path from 'path';
-import {OPAM_REPOSITORY_URLS} from './config.js';
+import {OPAM_REPOSITORY_URLS, OPAM_URLS_DEFAULT_TTL, OPAM_URLS_TTL_OPTION} from './config.js';
+import {NETWORK_TIMEOUT} from '../../../constants.js';
 import * as fs from '../../../util/fs.js';
+import * as network from '../../../util/network.js';
 import _request from 'request';
 import type Config from '../../../config.js';
 
+// bump whenever the format of the cached index changes
+export const CACHE_VERSION = 2;
+
 export type URLIndex = {
-  cacheKey: string,
+  version: number,
+  // when the index was fetched or last revalidated, in ms since epoch
+  fetchedAt: number,
+  // validators of urls.txt response, used to make conditional requests
+  etag: ?string,
+  lastModified: ?string,
   archives: {
     [opamName: string]: {
       [opamVersion: string]: {
@@ -51,31 +61,118 @@ function request(options) {
   });
 }
 
+/**
+ * Get the URL index.
+ *
+ * The cached index is used as is while it's younger than the TTL (configured
+ * with `opam-urls-ttl` in .yarnrc) or when running with --offline or
+ * --prefer-offline, otherwise it is revalidated with a conditional request.
+ */
 export async function fetchIndex(config: Config): Promise<URLIndex> {
-  async function _fetchAndCache() {
+  const cachePath = path.join(config.cacheFolder, 'opam-urls');
+  const cached = await readCachedIndex(config, cachePath);
+  const isOffline = config.offline || network.isOffline();
+
+  if (cached != null) {
+    if (isOffline || config.preferOffline || Date.now() - cached.fetchedAt < getTTL(config)) {
+      return cached;
+    }
+  } else if (isOffline) {
+    // the index is only an optimization, we can still use sources from opam
+    // repository without it
+    config.reporter.warn('OPAM URL index is not available offline, prepared tarballs from opam.ocaml.org are not used');
+    return emptyIndex();
+  }
+
+  try {
+    return await fetchAndCache(config, cachePath, cached);
+  } catch (err) {
+    if (cached == null) {
+      throw err;
+    }
+    config.reporter.warn(`Unable to update OPAM URL index, using the cached one: ${err.message}`);
+    return cached;
+  }
+}
+
+async function fetchAndCache(config: Config, cachePath: string, cached: ?URLIndex): Promise<URLIndex> {
+  const headers = {};
+  if (cached != null) {
+    if (cached.etag != null) {
+      headers['If-None-Match'] = cached.etag;
+    }
+    if (cached.lastModified != null) {
+      headers['If-Modified-Since'] = cached.lastModified;
+    }
+  } else {
     config.reporter.info('Fetching OPAM URL index...');
-    const {response, body} = await request({method: 'GET', uri: OPAM_REPOSITORY_URLS});
-    const archives = parseArchives(body);
-    const index: URLIndex = {
-      cacheKey: responseToIndexCacheKey(response),
-      archives,
+  }
+
+  const {response, body} = await request({
+    method: 'GET',
+    uri: OPAM_REPOSITORY_URLS,
+    headers,
+    timeout: NETWORK_TIMEOUT,
+  });
+
+  let index;
+  if (cached != null && response.statusCode === 304) {
+    index = {...cached, fetchedAt: Date.now()};
+  } else if (response.statusCode === 200) {
+    index = {
+      version: CACHE_VERSION,
+      fetchedAt: Date.now(),
+      etag: response.headers['etag'] || null,
+      lastModified: response.headers['last-modified'] || null,
+      archives: parseArchives(body),
     };
-    const data = JSON.stringify(index);
-    await fs.writeFile(cachePath, data);
-    return index;
+  } else {
+    throw new Error(`Request to ${OPAM_REPOSITORY_URLS} failed with status ${response.statusCode}`);
   }
-  const cachePath = path.join(config.cacheFolder, 'opam-urls');
+
+  // write to a temporary file first so a concurrent or an interrupted run
+  // never sees a partially written index
+  const tempPath = `${cachePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(index));
+  await fs.rename(tempPath, cachePath);
+  return index;
+}
+
+async function readCachedIndex(config: Config, cachePath: string): Promise<?URLIndex> {
   if (!await fs.exists(cachePath)) {
-    return _fetchAndCache();
-  } else {
-    const index: URLIndex = await fs.readJson(cachePath);
-    const {response} = await request({method: 'HEAD', uri: OPAM_REPOSITORY_URLS});
-    if (responseToIndexCacheKey(response) !== index.cacheKey) {
-      return _fetchAndCache();
-    } else {
+    return null;
+  }
+  try {
+    const index = JSON.parse(await fs.readFile(cachePath));
+    if (isValidIndex(index)) {
       return index;
     }
+  } catch (_err) {
+    // fallthrough and rebuild the index
   }
+  config.reporter.verbose(`Ignoring stale or corrupt OPAM URL index at ${cachePath}`);
+  return null;
+}
+
+function isValidIndex(index: Object): boolean {
+  return (
+    index != null &&
+    typeof index === 'object' &&
+    index.version === CACHE_VERSION &&
+    typeof index.fetchedAt === 'number' &&
+    index.archives != null &&
+    typeof index.archives === 'object'
+  );
+}
+
+function emptyIndex(): URLIndex {
+  return {version: CACHE_VERSION, fetchedAt: 0, etag: null, lastModified: null, archives: {}};
+}
+
+function getTTL(config: Config): number {
+  const option = config.getOption(OPAM_URLS_TTL_OPTION);
+  const ttl = option != null && option !== '' ? Number(option) : NaN;
+  return (isNaN(ttl) || ttl < 0 ? OPAM_URLS_DEFAULT_TTL : ttl) * 1000;
 }
 
 export function parseArchives(data: string) {
@@ -105,7 +202,3 @@ export function parseArchives(data: string) {
   }
   return archives;
 }
-
-function responseToIndexCacheKey(response) {
-  return response.headers['last-modified'] + '__' + response.headers['content-length'];
-}
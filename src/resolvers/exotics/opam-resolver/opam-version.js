@@ -0,0 +1,271 @@
+/**
+ * Opam version ordering and version constraint formulas.
+ *
+ * Opam versions don't follow semver (think `v0.11.0`, `1.2+beta` or
+ * `4.02.3+flambda`) so we order them with opam's own comparison function and
+ * support opam-style formulas such as `>= "1.0" & < "2.0" | = "3.0"` in
+ * `@opam/*` dependency ranges. Plain semver ranges are still accepted and are
+ * matched against the semver-compatible version esy-opam renders for each
+ * package.
+ *
+ * @flow
+ */
+
+const semver = require('semver');
+const EsyOpam = require('@esy-ocaml/esy-opam');
+
+import {MessageError} from '../../../errors.js';
+
+export type Relop = '=' | '!=' | '<' | '<=' | '>' | '>=';
+
+export type VersionFormula =
+  | {type: 'any'}
+  | {type: 'semver', range: string}
+  | {type: 'constraint', op: Relop, version: string}
+  | {type: 'not', formula: VersionFormula}
+  | {type: 'and', left: VersionFormula, right: VersionFormula}
+  | {type: 'or', left: VersionFormula, right: VersionFormula};
+
+/**
+ * Versions of the package we are matching formulas against.
+ */
+export type Version = {
+  // version as it is in opam repository
+  opamVersion: string,
+  // semver-compatible version as rendered by esy-opam
+  version: string,
+};
+
+export function compare(a: string, b: string): number {
+  return EsyOpam.versionCompare(a, b);
+}
+
+/**
+ * Sort versions in descending (newest first) opam order.
+ */
+export function sortDescending<T>(items: Array<T>, getOpamVersion: (item: T) => string): Array<T> {
+  return items.slice().sort((a, b) => -1 * compare(getOpamVersion(a), getOpamVersion(b)));
+}
+
+/**
+ * Semver version which is told apart from `version` by the opam version as a
+ * prerelease tag, for opam versions which esy-opam renders into the same
+ * semver version (`0.9.8` and `0.9.8.1` for example).
+ */
+export function tagWithOpamVersion(version: string, opamVersion: string): string {
+  const parsed = semver.parse(version);
+  if (parsed == null) {
+    throw new MessageError(`Invalid version ${version} of opam version ${opamVersion}`);
+  }
+  const tag = `opam-${opamVersion.replace(/[^0-9A-Za-z-]/g, '-')}`;
+  const prerelease = parsed.prerelease.concat(tag).join('.');
+  const build = parsed.build.length > 0 ? `+${parsed.build.join('.')}` : '';
+  return `${parsed.major}.${parsed.minor}.${parsed.patch}-${prerelease}${build}`;
+}
+
+/**
+ * Check if range uses opam formula syntax rather than semver range syntax.
+ */
+export function isOpamFormula(range: string): boolean {
+  return (
+    range.indexOf('"') > -1 || range.indexOf('&') > -1 || range.indexOf('!=') > -1 || /(^|[^|])\|([^|]|$)/.test(range)
+  );
+}
+
+export function isValidRange(range: string): boolean {
+  try {
+    parseRange(range);
+    return true;
+  } catch (_err) {
+    return false;
+  }
+}
+
+/**
+ * Parse either a semver range or an opam formula.
+ */
+export function parseRange(range: string): VersionFormula {
+  const trimmed = range.trim();
+  if (trimmed === '' || trimmed === '*' || trimmed === 'latest') {
+    return {type: 'any'};
+  }
+  if (isOpamFormula(trimmed)) {
+    return parseFormula(trimmed);
+  }
+  if (semver.validRange(trimmed) == null) {
+    throw new MessageError(`Invalid opam version constraint: ${range}`);
+  }
+  return {type: 'semver', range: trimmed};
+}
+
+export function satisfies(version: Version, formula: VersionFormula): boolean {
+  switch (formula.type) {
+    case 'any':
+      return true;
+    case 'semver':
+      return satisfiesSemver(version.version, formula.range);
+    case 'constraint':
+      return satisfiesRelop(compare(version.opamVersion, formula.version), formula.op);
+    case 'not':
+      return !satisfies(version, formula.formula);
+    case 'and':
+      return satisfies(version, formula.left) && satisfies(version, formula.right);
+    case 'or':
+      return satisfies(version, formula.left) || satisfies(version, formula.right);
+    default:
+      throw new Error(`Unknown version formula: ${formula.type}`);
+  }
+}
+
+/**
+ * Match a semver-compatible version against a semver range ignoring
+ * prereleases (esy-opam renders `1.2+beta` as `1.2.0-beta` which would
+ * otherwise be rejected by every range without a prerelease tag).
+ *
+ * Versions which aren't valid semver never match anything but `*`.
+ */
+export function satisfiesSemver(version: string, range: string): boolean {
+  const trimmed = range.trim();
+  if (trimmed === '' || trimmed === '*') {
+    return true;
+  }
+  const v = semver.parse(version);
+  if (v == null || semver.validRange(trimmed) == null) {
+    return false;
+  }
+  v.prerelease = [];
+  // $FlowFixMe: update semver typings
+  return semver.satisfies(v.format(), trimmed);
+}
+
+function satisfiesRelop(cmp: number, op: Relop): boolean {
+  switch (op) {
+    case '=':
+      return cmp === 0;
+    case '!=':
+      return cmp !== 0;
+    case '<':
+      return cmp < 0;
+    case '<=':
+      return cmp <= 0;
+    case '>':
+      return cmp > 0;
+    case '>=':
+      return cmp >= 0;
+    default:
+      throw new Error(`Unknown version operator: ${op}`);
+  }
+}
+
+type Token = {type: 'relop', value: Relop} | {type: 'punct', value: string} | {type: 'version', value: string};
+
+function tokenize(input: string): Array<Token> {
+  const tokens = [];
+  let idx = 0;
+  while (idx < input.length) {
+    const c = input[idx];
+    if (/\s/.test(c)) {
+      idx += 1;
+    } else if (c === '"') {
+      const end = input.indexOf('"', idx + 1);
+      if (end === -1) {
+        throw new MessageError(`Invalid opam version constraint: ${input} (unterminated string)`);
+      }
+      tokens.push({type: 'version', value: input.slice(idx + 1, end)});
+      idx = end + 1;
+    } else if (c === '&' || c === '(' || c === ')') {
+      tokens.push({type: 'punct', value: c});
+      idx += 1;
+    } else if (c === '|') {
+      // be forgiving and treat `||` the same as opam's `|`
+      tokens.push({type: 'punct', value: '|'});
+      idx += input[idx + 1] === '|' ? 2 : 1;
+    } else if (input.startsWith('!=', idx) || input.startsWith('<=', idx) || input.startsWith('>=', idx)) {
+      tokens.push({type: 'relop', value: (input.slice(idx, idx + 2): any)});
+      idx += 2;
+    } else if (c === '=' || c === '<' || c === '>') {
+      tokens.push({type: 'relop', value: (c: any)});
+      idx += 1;
+    } else if (c === '!') {
+      tokens.push({type: 'punct', value: '!'});
+      idx += 1;
+    } else {
+      const m = /^[^\s"&|()!=<>]+/.exec(input.slice(idx));
+      if (m == null) {
+        throw new MessageError(`Invalid opam version constraint: ${input} (at "${input.slice(idx)}")`);
+      }
+      tokens.push({type: 'version', value: m[0]});
+      idx += m[0].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse opam version formula:
+ *
+ *   formula  ::= conj ('|' conj)*
+ *   conj     ::= atom ('&' atom)*
+ *   atom     ::= '(' formula ')' | '!' atom | relop version | version
+ *
+ * A bare version means `= version`.
+ */
+export function parseFormula(input: string): VersionFormula {
+  const tokens = tokenize(input);
+  let pos = 0;
+
+  const error = (reason: string) => new MessageError(`Invalid opam version constraint: ${input} (${reason})`);
+
+  const peek = () => tokens[pos];
+
+  const parseAtom = (): VersionFormula => {
+    const token = tokens[pos++];
+    if (token == null) {
+      throw error('unexpected end of input');
+    }
+    if (token.type === 'punct' && token.value === '(') {
+      const formula = parseDisjunction();
+      const close = tokens[pos++];
+      if (close == null || close.type !== 'punct' || close.value !== ')') {
+        throw error('expected ")"');
+      }
+      return formula;
+    } else if (token.type === 'punct' && token.value === '!') {
+      return {type: 'not', formula: parseAtom()};
+    } else if (token.type === 'relop') {
+      const version = tokens[pos++];
+      if (version == null || version.type !== 'version') {
+        throw error(`expected version after "${token.value}"`);
+      }
+      return {type: 'constraint', op: token.value, version: version.value};
+    } else if (token.type === 'version') {
+      return {type: 'constraint', op: '=', version: token.value};
+    } else {
+      throw error(`unexpected "${token.value}"`);
+    }
+  };
+
+  const parseConjunction = (): VersionFormula => {
+    let left = parseAtom();
+    for (let token = peek(); token != null && token.type === 'punct' && token.value === '&'; token = peek()) {
+      pos++;
+      left = {type: 'and', left, right: parseAtom()};
+    }
+    return left;
+  };
+
+  const parseDisjunction = (): VersionFormula => {
+    let left = parseConjunction();
+    for (let token = peek(); token != null && token.type === 'punct' && token.value === '|'; token = peek()) {
+      pos++;
+      left = {type: 'or', left, right: parseConjunction()};
+    }
+    return left;
+  };
+
+  const formula = parseDisjunction();
+  if (pos < tokens.length) {
+    throw error(`unexpected "${tokens[pos].value}"`);
+  }
+  return formula;
+}
@@ -0,0 +1,33 @@
+/**
+ * Parse and render opam files with esy-opam.
+ *
+ * This is also the entry point of worker processes which parse opam files in
+ * parallel (see opam-index.js) so it's kept as plain CommonJS which runs
+ * without being compiled and has no type annotations, see `ParseJob` and
+ * `ParseResult` in opam-index.js. Workers receive `{id, job}` messages and
+ * reply with `{id, result}` or `{id, error}`.
+ *
+ * @noflow
+ */
+
+const EsyOpam = require('@esy-ocaml/esy-opam');
+
+const parse = job => {
+  const manifest = EsyOpam.renderOpam(job.name, job.opamVersion, EsyOpam.parseOpam(job.opam));
+  const url = job.url != null ? EsyOpam.renderOpamUrl(EsyOpam.parseOpamUrl(job.url)) : null;
+  return {manifest, url};
+};
+
+module.exports = {parse};
+
+if (require.main === module && process.send != null) {
+  process.on('message', message => {
+    let reply;
+    try {
+      reply = {id: message.id, result: parse(message.job)};
+    } catch (err) {
+      reply = {id: message.id, error: String(err && err.message ? err.message : err)};
+    }
+    process.send(reply);
+  });
+}
@@ -1,90 +1,415 @@
 /* @flow */
 
-const invariant = require('invariant');
 const path = require('path');
-const semver = require('semver');
 
 import {MessageError} from '../../../errors.js';
 import * as network from '../../../util/network.js';
 import * as fs from '../../../util/fs.js';
 import * as child from '../../../util/child.js';
+import * as fileLock from '../../../util/file-lock.js';
+
+// checkouts of commits which weren't used by any install for this long are
+// removed, no install reads the repository for that long
+const UNUSED_COMMIT_TTL = 24 * 60 * 60 * 1000;
+
+// number of files checked out by one git command
+const CHECKOUT_BATCH_SIZE = 500;
 
 type Params = {
   branch?: string,
   onClone?: () => void,
   onUpdate?: () => void,
+  // another process is syncing the same checkout, we wait for it to finish
+  onWait?: () => void,
 
   offline?: boolean,
   preferOffline?: boolean,
 
   forceUpdate?: boolean,
+
+  // check out this exact commit instead of the tip of the branch
+  commit?: ?string,
 };
 
-export async function cloneOrUpdateRepository(
+export type Checkout = {
+  // directory with the files of the commit, it never changes
+  path: string,
+  commit: string,
+};
+
+/**
+ * Clone the repository into `checkoutPath` or bring the checkout up to date.
+ *
+ * Checkouts are shared by all installs using the same cache folder so the sync
+ * runs with `<checkoutPath>.lock` held. Fresh clones are made into a temporary
+ * directory which replaces the checkout only once the clone succeeded, so an
+ * interrupted clone never leaves a half written checkout behind. Updates fetch
+ * the branch with its full history and reset the checkout to it which works
+ * after the remote was force-pushed too; if the checkout turns out to be
+ * broken it's cloned again.
+ *
+ * The checkout is only ever used with the lock held, installs read the files
+ * of the commit they use from its own directory next to the checkout (see
+ * `checkoutCommit()`) which is resolved once and never changes, so syncs of
+ * other processes can't pull the files from under them. Checkouts of commits
+ * which weren't used for a day are removed.
+ */
+export function cloneOrUpdateRepository(
   remotePath: string,
   checkoutPath: string,
   params?: Params = {},
-) {
-  const {
-    onClone,
-    onUpdate,
-    branch = 'master',
-    forceUpdate = true,
-    offline,
-    preferOffline,
-  } = params;
-  const isOffline = network.isOffline();
+): Promise<Checkout> {
+  return fileLock.withLock(
+    checkoutPath,
+    async held => {
+      await removeLeftovers(checkoutPath);
+      held.check();
+      const checkout = await syncRepository(remotePath, checkoutPath, params);
+      held.check();
+      await removeUnusedCommits(checkoutPath);
+      return checkout;
+    },
+    {onWait: params.onWait},
+  );
+}
 
-  if (await fs.exists(checkoutPath)) {
-    const curBranch = await defaultOnFailure(gitCurrentBranchName(checkoutPath), null);
-    if (curBranch != branch) {
-      await fs.unlink(checkoutPath);
-      return cloneOrUpdateRepository(remotePath, checkoutPath, params);
-    }
+async function syncRepository(remotePath: string, checkoutPath: string, params: Params): Promise<Checkout> {
+  const {onClone, onUpdate, branch = 'master', forceUpdate = true, preferOffline, commit} = params;
+  const isOffline = Boolean(params.offline) || network.isOffline();
 
-    if ((preferOffline || isOffline) && !forceUpdate) {
-      return;
+  if (commit != null) {
+    if (!await fs.exists(getCommitPath(checkoutPath, commit))) {
+      await fetchCommit(remotePath, checkoutPath, commit, params);
     }
+    return {path: await checkoutCommit(checkoutPath, commit), commit};
+  }
 
-    if (isOffline && forceUpdate) {
-      throw new Error(`unable to update ${remotePath} repository while offline`);
+  if (!await isValidCheckout(checkoutPath)) {
+    if (isOffline) {
+      throw new Error(`unable to clone ${remotePath} repository while offline`);
     }
+    if (onClone != null) {
+      onClone();
+    }
+    await cloneAndSwap(remotePath, checkoutPath, branch);
+    return checkoutHead(checkoutPath);
+  }
 
-    const localCommit = await gitReadMaster(checkoutPath, branch);
-    const remoteCommit = await gitReadMaster(remotePath, branch);
-    const updateIsNeeded = localCommit !== remoteCommit;
+  let curBranch = await defaultOnFailure(gitCurrentBranchName(checkoutPath), null);
+  if (curBranch !== branch) {
+    // checkout is on another branch, switch to the branch if it was fetched
+    // already
+    await defaultOnFailure(child.spawn('git', ['checkout', '-q', '-f', branch], {cwd: checkoutPath}), null);
+    curBranch = await defaultOnFailure(gitCurrentBranchName(checkoutPath), null);
+  }
 
-    if (updateIsNeeded) {
-      if (onUpdate != null) {
-        onUpdate();
-      }
-      await child.spawn(
-        'git',
-        ['pull', '--depth', '5', '-f', remotePath, `${branch}:${branch}`],
-        {
-          cwd: checkoutPath,
-        },
-      );
-    }
-  } else {
+  if (curBranch === branch && (preferOffline || isOffline) && !forceUpdate) {
+    return checkoutHead(checkoutPath);
+  }
+
+  if (isOffline) {
+    throw new Error(`unable to update ${remotePath} repository while offline`);
+  }
+
+  const remoteCommit = await gitReadMaster(remotePath, branch);
+  if (curBranch === branch && (await gitReadHead(checkoutPath)) === remoteCommit) {
+    return checkoutHead(checkoutPath);
+  }
+
+  if (onUpdate != null) {
+    onUpdate();
+  }
+  const updated = await defaultOnFailure(fetchBranch(remotePath, checkoutPath, branch), false);
+  if (updated === false) {
+    // the checkout is broken in a way isValidCheckout() doesn't detect
+    await cloneAndSwap(remotePath, checkoutPath, branch);
+  }
+  return checkoutHead(checkoutPath);
+}
+
+async function checkoutHead(checkoutPath: string): Promise<Checkout> {
+  const commit = await gitReadHead(checkoutPath);
+  return {path: await checkoutCommit(checkoutPath, commit), commit};
+}
+
+/**
+ * Make sure the clone has the exact commit of the repository, it's fetched if
+ * the (shallow) clone doesn't have it yet. The files of the checkout are left
+ * as they are.
+ */
+async function fetchCommit(remotePath: string, checkoutPath: string, commit: string, params: Params): Promise<void> {
+  const {onClone, onUpdate, branch = 'master'} = params;
+  const isOffline = Boolean(params.offline) || network.isOffline();
+
+  if (!await isValidCheckout(checkoutPath)) {
     if (isOffline) {
       throw new Error(`unable to clone ${remotePath} repository while offline`);
     }
-
     if (onClone != null) {
       onClone();
     }
+    await cloneAndSwap(remotePath, checkoutPath, branch);
+  }
+
+  if (!await gitHasCommit(checkoutPath, commit)) {
+    if (isOffline) {
+      throw new Error(`unable to fetch commit ${commit} of ${remotePath} repository while offline`);
+    }
+    if (onUpdate != null) {
+      onUpdate();
+    }
+    // not every git server allows fetching a commit by its id, fetch the whole
+    // history of the branch then
+    const fetched = await defaultOnFailure(
+      child.spawn('git', ['fetch', '-q', '--depth', '1', remotePath, commit], {cwd: checkoutPath}),
+      null,
+    );
+    if (fetched == null) {
+      const isShallow = await fs.exists(path.join(checkoutPath, '.git', 'shallow'));
+      await child.spawn('git', ['fetch', '-q', ...(isShallow ? ['--unshallow'] : []), remotePath, branch], {
+        cwd: checkoutPath,
+      });
+    }
+    if (!await gitHasCommit(checkoutPath, commit)) {
+      throw new MessageError(
+        `Commit ${commit} of ${remotePath} repository recorded in the lockfile is not available, ` +
+          `run the opam-update command to update the lockfile to the latest commit`,
+      );
+    }
+  }
+}
+
+/**
+ * Check out the commit into its own directory, it's made in a temporary
+ * directory first and never changes once it's there so it can be read
+ * without the lock held. Its mtime tells when it was used last.
+ *
+ * Only the files which changed since the commit used last are checked out,
+ * the others are hardlinked from its directory as they never change.
+ */
+async function checkoutCommit(checkoutPath: string, commit: string): Promise<string> {
+  const commitPath = getCommitPath(checkoutPath, commit);
+  if (await fs.exists(commitPath)) {
+    const now = new Date();
+    await fs.utimes(commitPath, now, now);
+    return commitPath;
+  }
+
+  const tempPath = `${commitPath}.tmp-${process.pid}`;
+  await fs.unlink(tempPath);
+  await fs.mkdirp(path.dirname(tempPath));
+  const base = await findLastUsedCommit(checkoutPath);
+  const checkedOut =
+    base != null && (await defaultOnFailure(checkoutChanges(checkoutPath, base, commit, tempPath), false));
+  if (!checkedOut) {
+    await fs.unlink(tempPath);
+    await checkoutAll(checkoutPath, commit, tempPath);
+  }
+  await fs.rename(tempPath, commitPath);
+  return commitPath;
+}
+
+async function checkoutAll(checkoutPath: string, commit: string, dest: string): Promise<void> {
+  await child.spawn('git', ['worktree', 'add', '--detach', dest, commit], {cwd: checkoutPath});
+  // only the files are needed, the directory isn't a worktree of the clone
+  // anymore as the clone may be replaced
+  await fs.unlink(path.join(dest, '.git'));
+  await child.spawn('git', ['worktree', 'prune'], {cwd: checkoutPath});
+}
+
+/**
+ * Make `dest` a checkout of `commit` from the checkout of `base` by linking
+ * its files and checking out the ones which differ. Fails if the clone doesn't
+ * have `base` anymore (e.g. it was cloned again).
+ */
+async function checkoutChanges(checkoutPath: string, base: string, commit: string, dest: string): Promise<true> {
+  const diff = await child.spawn('git', ['diff', '--name-status', '--no-renames', '-z', base, commit], {
+    cwd: checkoutPath,
+  });
+  await linkFiles(getCommitPath(checkoutPath, base), dest);
+
+  const parts = diff.split('\0');
+  const changed = [];
+  for (let i = 0; i + 1 < parts.length; i += 2) {
+    const [status, filename] = [parts[i], parts[i + 1]];
+    // linked files are shared with the other commit so they're replaced, never written to
+    await fs.unlink(path.join(dest, filename));
+    if (status === 'D') {
+      await removeEmptyParents(dest, filename);
+    } else {
+      changed.push(filename);
+    }
+  }
+
+  // a separate index keeps the one of the clone as it is
+  const env = {...process.env, GIT_INDEX_FILE: `${dest}.index`};
+  await child.spawn('git', ['read-tree', commit], {cwd: checkoutPath, env});
+  for (let i = 0; i < changed.length; i += CHECKOUT_BATCH_SIZE) {
+    const batch = changed.slice(i, i + CHECKOUT_BATCH_SIZE);
+    await child.spawn('git', ['checkout-index', `--prefix=${dest}/`, '--', ...batch], {cwd: checkoutPath, env});
+  }
+  await fs.unlink(`${dest}.index`);
+  return true;
+}
+
+async function linkFiles(src: string, dest: string): Promise<void> {
+  await fs.mkdirp(dest);
+  for (const file of await fs.walk(src)) {
+    const target = path.join(dest, file.relative);
+    const stat = await fs.lstat(file.absolute);
+    if (stat.isDirectory()) {
+      await fs.mkdirp(target);
+    } else if (stat.isSymbolicLink()) {
+      await fs.symlink(path.resolve(path.dirname(target), await fs.readlink(file.absolute)), target);
+    } else {
+      await fs.link(file.absolute, target);
+    }
+  }
+}
+
+async function removeEmptyParents(root: string, filename: string): Promise<void> {
+  let dirname = path.dirname(filename);
+  while (dirname !== '.' && (await fs.readdir(path.join(root, dirname))).length === 0) {
+    await fs.unlink(path.join(root, dirname));
+    dirname = path.dirname(dirname);
+  }
+}
+
+async function findLastUsedCommit(checkoutPath: string): Promise<?string> {
+  const commitsPath = `${checkoutPath}.commits`;
+  if (!await fs.exists(commitsPath)) {
+    return null;
+  }
+  let last = null;
+  let lastUsedAt = 0;
+  for (const name of await fs.readdir(commitsPath)) {
+    if (name.includes('.tmp-')) {
+      continue;
+    }
+    const usedAt = (await fs.stat(path.join(commitsPath, name))).mtime.getTime();
+    if (usedAt > lastUsedAt) {
+      last = name;
+      lastUsedAt = usedAt;
+    }
+  }
+  return last;
+}
+
+function getCommitPath(checkoutPath: string, commit: string): string {
+  return path.join(`${checkoutPath}.commits`, commit);
+}
+
+/**
+ * Remove checkouts of commits which weren't used for a while, with the lock
+ * held as that's when they're marked as used.
+ */
+async function removeUnusedCommits(checkoutPath: string): Promise<void> {
+  const commitsPath = `${checkoutPath}.commits`;
+  const since = Date.now() - UNUSED_COMMIT_TTL;
+  for (const name of await fs.readdir(commitsPath)) {
+    const commitPath = path.join(commitsPath, name);
+    if ((await fs.stat(commitPath)).mtime.getTime() < since) {
+      await fs.unlink(commitPath);
+    }
+  }
+}
 
-    await child.spawn('git', [
-      'clone',
-      '--branch',
-      branch,
-      '--depth',
-      '5',
+/**
+ * Fetch the branch and reset the checkout to it, checkouts made by shallow
+ * clones are unshallowed on the way.
+ */
+async function fetchBranch(remotePath: string, checkoutPath: string, branch: string): Promise<true> {
+  const isShallow = await fs.exists(path.join(checkoutPath, '.git', 'shallow'));
+  await child.spawn(
+    'git',
+    [
+      'fetch',
+      '-q',
+      '-f',
+      ...(isShallow ? ['--unshallow'] : []),
       remotePath,
-      checkoutPath,
-    ]);
+      `+refs/heads/${branch}:refs/remotes/origin/${branch}`,
+    ],
+    {cwd: checkoutPath},
+  );
+  await child.spawn('git', ['checkout', '-q', '-f', '-B', branch, `refs/remotes/origin/${branch}`], {
+    cwd: checkoutPath,
+  });
+  await child.spawn('git', ['clean', '-q', '-f', '-d'], {cwd: checkoutPath});
+  return true;
+}
+
+/**
+ * Clone the repository next to the checkout and replace the checkout with it.
+ */
+async function cloneAndSwap(remotePath: string, checkoutPath: string, branch: string): Promise<void> {
+  const tempPath = `${checkoutPath}.tmp-${process.pid}`;
+  const oldPath = `${checkoutPath}.old-${process.pid}`;
+
+  await fs.unlink(tempPath);
+  try {
+    await child.spawn('git', ['clone', '-q', '--branch', branch, remotePath, tempPath]);
+  } catch (err) {
+    await fs.unlink(tempPath);
+    throw err;
   }
+
+  if (await fs.exists(checkoutPath)) {
+    await fs.rename(checkoutPath, oldPath);
+  }
+  await fs.rename(tempPath, checkoutPath);
+  await fs.unlink(oldPath);
+}
+
+/**
+ * Remove temporary clones, replaced checkouts and temporary checkouts of
+ * commits of interrupted syncs, it's safe to do with the lock held.
+ */
+async function removeLeftovers(checkoutPath: string): Promise<void> {
+  const dirname = path.dirname(checkoutPath);
+  const prefixes = [`${path.basename(checkoutPath)}.tmp-`, `${path.basename(checkoutPath)}.old-`];
+  for (const name of await fs.readdir(dirname)) {
+    if (prefixes.some(prefix => name.startsWith(prefix))) {
+      await fs.unlink(path.join(dirname, name));
+    }
+  }
+
+  const commitsPath = `${checkoutPath}.commits`;
+  if (await fs.exists(commitsPath)) {
+    for (const name of await fs.readdir(commitsPath)) {
+      if (name.includes('.tmp-')) {
+        await fs.unlink(path.join(commitsPath, name));
+      }
+    }
+  }
+}
+
+/**
+ * Check that the checkout is a git repository with HEAD pointing to a commit
+ * which is there, interrupted clones and fetches fail this.
+ */
+async function isValidCheckout(checkoutPath: string): Promise<boolean> {
+  if (!await fs.exists(path.join(checkoutPath, '.git'))) {
+    return false;
+  }
+  const tree = await defaultOnFailure(
+    child.spawn('git', ['rev-parse', '-q', '--verify', 'HEAD^{tree}'], {cwd: checkoutPath}),
+    null,
+  );
+  return tree != null;
+}
+
+export async function gitReadHead(repo: string): Promise<string> {
+  const data = await child.spawn('git', ['rev-parse', 'HEAD'], {cwd: repo});
+  return data.trim();
+}
+
+async function gitHasCommit(repo: string, commit: string): Promise<boolean> {
+  const result = await defaultOnFailure(
+    child.spawn('git', ['cat-file', '-e', `${commit}^{commit}`], {cwd: repo}),
+    false,
+  );
+  return result !== false;
 }
 
 export async function gitReadMaster(repo: string, branch?: string = 'master') {
@@ -100,15 +425,7 @@ export async function gitCurrentBranchName(repo: string) {
   return branchName;
 }
 
-export function stripVersionPrelease(version: string): string {
-  const v = semver.parse(version);
-  invariant(v != null, `Invalid version: ${version}`);
-  v.prerelease = [];
-  // $FlowFixMe: update semver typings
-  return v.format();
-}
-
-async function defaultOnFailure(promise, defaultValue) {
+async function defaultOnFailure<T, D>(promise: Promise<T>, defaultValue: D): Promise<T | D> {
   try {
     return await promise;
   } catch (_err) {
@@ -1,5 +1,6 @@
 /* @flow */
 
+import type Config from '../config.js';
 import BaseResolver from './base-resolver.js';
 
 import RegistryNpm from './registries/npm-resolver.js';
@@ -34,7 +35,13 @@ const exotics: Set<Class<$Subtype<BaseResolver>>> = new Set([
   ExoticOpam,
 ]);
 
-export function getExoticResolver(pattern: string): ?Class<$Subtype<BaseResolver>> {
+export function getExoticResolver(pattern: string, config?: ?Config): ?Class<$Subtype<BaseResolver>> {
+  // resolvers registered by plugins of the project are checked before the builtin ones
+  for (const Resolver of config ? config.pluginResolvers : []) {
+    if (Resolver.isVersion(pattern)) {
+      return Resolver;
+    }
+  }
   for (const Resolver of exotics) {
     if (Resolver.isVersion(pattern)) {
       return Resolver;
@@ -14,6 +14,7 @@ const inquirer = require('inquirer');
 const tty = require('tty');
 const invariant = require('invariant');
 const path = require('path');
+const semver = require('semver');
 
 const NPM_REGISTRY = /http[s]:\/\/registry.npmjs.org/g;
 const NPM_REGISTRY_ID = 'npm';
@@ -41,6 +42,13 @@ export default class NpmResolver extends RegistryResolver {
       range = body['dist-tags'][range];
     }
 
+    // use version picked by the constraint solver if it satisfies the request
+    const solution = request ? request.resolver.solution : null;
+    const solvedVersion = solution ? solution.get(body.name) : null;
+    if (solvedVersion && body.versions[solvedVersion] && semver.satisfies(solvedVersion, range, config.looseSemver)) {
+      return body.versions[solvedVersion];
+    }
+
     const satisfied = await config.resolveConstraints(Object.keys(body.versions), range);
     if (satisfied) {
       return body.versions[satisfied];
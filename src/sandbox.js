@@ -0,0 +1,121 @@
+/* @flow */
+
+import type Config from './config.js';
+import type {Reporter} from './reporters/index.js';
+import {MessageError} from './errors.js';
+import * as constants from './constants.js';
+
+const path = require('path');
+
+/**
+ * Named sandboxes of a project.
+ *
+ * The root manifest can declare sandboxes which install the same sources with
+ * other dependencies, e.g. with another OCaml compiler or to build for JS:
+ *
+ *   "sandboxes": {
+ *     "js": {
+ *       "dependencies": {"@opam/js_of_ocaml": "*", "@opam/lwt_unix": null},
+ *       "resolutions": {"ocaml": "4.2.3"}
+ *     }
+ *   }
+ *
+ * Dependencies of a sandbox are added to the ones of the root manifest or
+ * override them, `null` removes a dependency. Resolutions are merged the same
+ * way. Each sandbox is resolved into its own lockfile `esy.<name>.lock` and
+ * installed into `_sandboxes/<name>/node_modules`.
+ */
+
+type SandboxManifest = {
+  dependencies?: {[name: string]: ?string},
+  devDependencies?: {[name: string]: ?string},
+  optionalDependencies?: {[name: string]: ?string},
+  resolutions?: {[pattern: string]: ?string},
+};
+
+const OVERRIDABLE_KEYS = ['dependencies', 'devDependencies', 'optionalDependencies', 'resolutions'];
+
+// sandbox names end up in file names
+const SANDBOX_NAME = /^[a-zA-Z0-9][a-zA-Z0-9_-]*$/;
+
+export function isValidSandboxName(name: string): boolean {
+  return SANDBOX_NAME.test(name);
+}
+
+export function getLockfileFilename(sandbox: ?string): string {
+  if (sandbox == null) {
+    return constants.LOCKFILE_FILENAME;
+  }
+  const ext = path.extname(constants.LOCKFILE_FILENAME);
+  return `${path.basename(constants.LOCKFILE_FILENAME, ext)}.${sandbox}${ext}`;
+}
+
+export function getModulesFolder(lockfileFolder: string, sandbox: string): string {
+  return path.join(lockfileFolder, constants.SANDBOXES_FOLDER, sandbox, constants.NODE_MODULES_FOLDER);
+}
+
+function getSandboxes(manifest: Object, reporter: Reporter): {[name: string]: SandboxManifest} {
+  const sandboxes = manifest.sandboxes || {};
+  if (typeof sandboxes !== 'object' || Array.isArray(sandboxes)) {
+    throw new MessageError(reporter.lang('sandboxesInvalid'));
+  }
+  for (const name of Object.keys(sandboxes)) {
+    if (!isValidSandboxName(name)) {
+      throw new MessageError(reporter.lang('sandboxInvalidName', name));
+    }
+    const sandbox = sandboxes[name];
+    if (sandbox == null || typeof sandbox !== 'object' || Array.isArray(sandbox)) {
+      throw new MessageError(reporter.lang('sandboxInvalid', name));
+    }
+  }
+  return sandboxes;
+}
+
+/**
+ * Get the names of the sandboxes the root manifest declares.
+ */
+export function getSandboxNames(manifest: Object, reporter: Reporter): Array<string> {
+  return Object.keys(getSandboxes(manifest, reporter)).sort();
+}
+
+/**
+ * Apply the dependencies and resolutions of the sandbox to the root manifest.
+ */
+export function applySandbox(manifest: Object, name: string, reporter: Reporter) {
+  const sandbox = getSandboxes(manifest, reporter)[name];
+  if (sandbox == null) {
+    throw new MessageError(reporter.lang('sandboxNotFound', name));
+  }
+
+  for (const key of OVERRIDABLE_KEYS) {
+    const overrides = sandbox[key];
+    if (overrides == null) {
+      continue;
+    }
+    const merged = {...manifest[key]};
+    for (const depName of Object.keys(overrides)) {
+      if (overrides[depName] == null) {
+        delete merged[depName];
+      } else {
+        merged[depName] = overrides[depName];
+      }
+    }
+    manifest[key] = merged;
+  }
+}
+
+/**
+ * Run `fn` with the config of the default sandbox of the project and then with
+ * the configs of each of its named sandboxes.
+ */
+export async function forEachSandbox(
+  config: Config,
+  reporter: Reporter,
+  fn: (config: Config) => Promise<void>,
+): Promise<void> {
+  const names = getSandboxNames(await config.readRootManifest(), reporter);
+  for (const name of [null, ...names]) {
+    reporter.info(reporter.lang('sandboxCurrent', name == null ? reporter.lang('sandboxDefault') : name));
+    await fn(await config.forSandbox(name));
+  }
+}
@@ -41,6 +41,8 @@ export type PackageRemote = {
   resolved?: ?string,
   hash: ?string,
   packageName?: string,
+  // checksum of the tarball packed by the fetcher (opam packages)
+  tarballChecksum?: ?string,
 };
 
 // `dependencies` field in package info
@@ -0,0 +1,299 @@
+/* @flow */
+/* global stream$Duplex */
+
+import {MessageError, SecurityError} from '../errors.js';
+import * as fs from './fs.js';
+
+const childProcess = require('child_process');
+const nodeFs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const tarFs = require('tar-fs');
+const DecompressZip = require('decompress-zip');
+
+export type ArchiveFormat = 'gzip' | 'bzip2' | 'xz' | 'zip' | 'tar';
+
+// tar archives have `ustar` magic in the header of the first entry
+const TAR_MAGIC_OFFSET = 257;
+const HEADER_SIZE = 512;
+
+const MAGIC: Array<[ArchiveFormat, Array<number>]> = [
+  ['gzip', [0x1f, 0x8b]],
+  ['bzip2', [0x42, 0x5a, 0x68]],
+  ['xz', [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]],
+  ['zip', [0x50, 0x4b, 0x03, 0x04]],
+  // empty zip archive
+  ['zip', [0x50, 0x4b, 0x05, 0x06]],
+];
+
+/**
+ * Detect archive format by the magic bytes at the beginning of the file.
+ */
+export function detectFormat(header: Buffer): ?ArchiveFormat {
+  for (const [format, magic] of MAGIC) {
+    if (header.length >= magic.length && magic.every((byte, idx) => header[idx] === byte)) {
+      return format;
+    }
+  }
+  if (header.toString('ascii', TAR_MAGIC_OFFSET, TAR_MAGIC_OFFSET + 5) === 'ustar') {
+    return 'tar';
+  }
+  return null;
+}
+
+export function readHeader(filename: string): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    nodeFs
+      .createReadStream(filename, {start: 0, end: HEADER_SIZE - 1})
+      .on('data', chunk => chunks.push(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Extract archive into the directory.
+ *
+ * Resolves with the directory which holds the extracted contents: if the
+ * archive has a single top-level directory (as source archives usually do)
+ * then it is that directory, otherwise it's `dest` itself.
+ */
+export async function extractArchive(filename: string, dest: string): Promise<string> {
+  const format = detectFormat(await readHeader(filename));
+  if (format == null) {
+    throw new MessageError(`Unable to extract ${filename}: unknown archive format`);
+  }
+
+  await fs.mkdirp(dest);
+  if (format === 'zip') {
+    await extractZip(filename, dest);
+  } else {
+    await extractTar(filename, dest, format);
+  }
+
+  const entries = await fs.readdir(dest);
+  if (entries.length === 1) {
+    const root = path.join(dest, entries[0]);
+    if ((await fs.lstat(root)).isDirectory()) {
+      return root;
+    }
+  }
+  return dest;
+}
+
+function createDecompressor(format: ArchiveFormat): ?stream$Duplex {
+  switch (format) {
+    case 'gzip':
+      return zlib.createGunzip();
+    case 'bzip2':
+      return require('unbzip2-stream')();
+    case 'xz': {
+      // without lzma-native the archive is read with the xz command instead
+      const lzmaNative = loadLzmaNative();
+      return lzmaNative != null ? lzmaNative.createDecompressor() : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * lzma-native is a native addon and an optional dependency which is missing
+ * when it couldn't be built (e.g. on Node < 10), xz archives are decompressed
+ * with the `xz` command then.
+ */
+function loadLzmaNative(): ?Object {
+  try {
+    return require('lzma-native');
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Read the decompressed contents of the xz archive from the `xz` command.
+ */
+function readWithXzCommand(filename: string, onError: (state: string) => (error: Error) => void): stream$Readable {
+  const xz = childProcess.spawn('xz', ['--decompress', '--stdout', filename], {stdio: ['ignore', 'pipe', 'pipe']});
+  let stderr = '';
+  xz.stderr.on('data', chunk => {
+    stderr += chunk.toString();
+  });
+  xz.on('error', err => {
+    const error =
+      err.code === 'ENOENT'
+        ? new MessageError(`Unable to extract ${filename}: xz archives need either lzma-native or the xz command`)
+        : err;
+    onError('decompressing')(error);
+  });
+  xz.on('close', code => {
+    if (code !== 0) {
+      onError('decompressing')(new Error(`xz exited with code ${code}: ${stderr.trim()}`));
+    }
+  });
+  return xz.stdout;
+}
+
+function extractTar(filename: string, dest: string, format: ArchiveFormat): Promise<void> {
+  return new Promise((resolve, reject) => {
+    let violation = null;
+    // symlinks extracted so far with their targets, by their path in the archive
+    const symlinks: Map<string, string> = new Map();
+
+    const untar = tarFs.extract(dest, {
+      ignore: (name, header) => {
+        const error =
+          checkEntry(dest, header.name, header.type, header.linkname) ||
+          checkSymlinkTraversal(symlinks, header.name, header.type, header.linkname);
+        if (error != null) {
+          violation = violation || error;
+          return true;
+        }
+        if (header.type === 'symlink') {
+          symlinks.set(normalizeEntryName(header.name), header.linkname);
+        }
+        return false;
+      },
+      dmode: 0o755, // all dirs should be readable
+      fmode: 0o644, // all files should be readable
+      chown: false, // don't chown. just leave as it is
+    });
+
+    const onError = state => error => {
+      error.message = `${error.message} (${state} ${filename})`;
+      reject(error);
+    };
+
+    let stream;
+    if (format === 'xz' && loadLzmaNative() == null) {
+      stream = readWithXzCommand(filename, onError);
+    } else {
+      stream = nodeFs.createReadStream(filename).on('error', onError('reading'));
+      const decompressor = createDecompressor(format);
+      if (decompressor != null) {
+        stream = stream.pipe(decompressor).on('error', onError('decompressing'));
+      }
+    }
+    stream.pipe(untar).on('error', onError('extracting')).on('finish', () => {
+      // a symlink may point through symlinks which come later in the archive
+      for (const [name, linkname] of symlinks) {
+        violation = violation || checkSymlinkTraversal(symlinks, name, 'symlink', linkname);
+      }
+      if (violation != null) {
+        reject(violation);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+function extractZip(filename: string, dest: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    let violation = null;
+    let seenError = false;
+
+    const unzipper = new DecompressZip(filename);
+    unzipper.on('error', err => {
+      if (!seenError) {
+        seenError = true;
+        reject(err);
+      }
+    });
+    unzipper.on('extract', () => {
+      if (violation != null) {
+        reject(violation);
+      } else {
+        resolve();
+      }
+    });
+
+    unzipper.extract({
+      path: dest,
+      // symlinks aren't created but replaced with copies of the files they
+      // point to once all the files are extracted so no path can go through a
+      // symlink, decompress-zip rejects symlinks pointing outside of the archive
+      follow: true,
+      filter: file => {
+        const error = checkEntry(dest, file.path, 'file', null);
+        if (error != null) {
+          violation = violation || error;
+          return false;
+        }
+        return true;
+      },
+    });
+  });
+}
+
+/**
+ * Check that the entry (and the link target) doesn't go through any of the
+ * symlinks of the archive: a symlink which points inside of the destination
+ * on its own can point outside of it when combined with other symlinks, like
+ * `a -> .` and `a/b -> ..`.
+ */
+function checkSymlinkTraversal(
+  symlinks: Map<string, string>,
+  name: string,
+  type: string,
+  linkname: ?string,
+): ?SecurityError {
+  const components = normalizeEntryName(name).split('/');
+  if (passesThroughSymlink(symlinks, components)) {
+    return new SecurityError(`Archive entry ${name} points outside of the destination directory through a symlink`);
+  }
+  if ((type === 'symlink' || type === 'link') && linkname != null) {
+    // symlinks are relative to the entry, hardlinks are relative to the archive root
+    const base = type === 'symlink' ? components.slice(0, -1) : [];
+    if (passesThroughSymlink(symlinks, base.concat(linkname.split('/')))) {
+      return new SecurityError(`Archive entry ${name} links to ${linkname} through a symlink of the archive`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Tell if the path goes through a symlink, the last component of the path may
+ * be a symlink itself as its target is checked on its own.
+ */
+function passesThroughSymlink(symlinks: Map<string, string>, components: Array<string>): boolean {
+  const meaningful = components.filter(component => component !== '' && component !== '.');
+  const current = [];
+  for (let i = 0; i < meaningful.length; i++) {
+    if (meaningful[i] === '..') {
+      current.pop();
+    } else {
+      current.push(meaningful[i]);
+    }
+    if (i < meaningful.length - 1 && symlinks.has(current.join('/'))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function normalizeEntryName(name: string): string {
+  return name.split('/').filter(component => component !== '' && component !== '.').join('/');
+}
+
+/**
+ * Check that the entry (and the link target) stays within the destination.
+ */
+function checkEntry(dest: string, name: string, type: string, linkname: ?string): ?SecurityError {
+  const root = path.resolve(dest);
+  const isInside = target => target === root || target.startsWith(root + path.sep);
+
+  const target = path.resolve(root, name);
+  if (path.isAbsolute(name) || !isInside(target)) {
+    return new SecurityError(`Archive entry ${name} points outside of the destination directory`);
+  }
+  if ((type === 'symlink' || type === 'link') && linkname != null) {
+    // symlinks are relative to the entry, hardlinks are relative to the archive root
+    const linkTarget = type === 'symlink' ? path.resolve(path.dirname(target), linkname) : path.resolve(root, linkname);
+    if (path.isAbsolute(linkname) || !isInside(linkTarget)) {
+      return new SecurityError(`Archive entry ${name} links to ${linkname} outside of the destination directory`);
+    }
+  }
+  return null;
+}
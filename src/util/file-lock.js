@@ -0,0 +1,119 @@
+/* @flow */
+
+import lockfile from 'proper-lockfile';
+import * as fs from './fs.js';
+
+const path = require('path');
+
+// the holder of a lock keeps updating its mtime, a lock which wasn't updated for
+// this long was left by a process which died and is taken over
+const STALE = 30000;
+
+// wait for as long as the lock is held, it can't be held forever as it becomes
+// stale once its holder is gone
+const RETRIES = {forever: true, factor: 1, minTimeout: 200, maxTimeout: 1000};
+
+type LockOptions = {
+  // called once if the lock is held by someone else and we have to wait for it
+  onWait?: () => void,
+  // called if the lock couldn't be kept fresh and may have been taken over by
+  // another process, throws by default
+  onCompromised?: (err: Error) => void,
+  // how long the lock can go without being updated before it's stale
+  stale?: number,
+};
+
+export type HeldLock = {
+  // throws if the lock was compromised
+  check: () => void,
+};
+
+/**
+ * Acquire a lock on `filename` which is respected by all processes, it's held
+ * by creating the `<filename>.lock` directory. `filename` itself doesn't need
+ * to exist.
+ * @return {Promise.<Function>} A Promise that resolves when the lock is acquired, with the function that
+ * must be called to release the lock, which resolves once the lock is removed.
+ */
+export async function lock(filename: string, opts?: LockOptions = {}): Promise<() => Promise<void>> {
+  await fs.mkdirp(path.dirname(filename));
+  try {
+    return await acquire(filename, 0, opts);
+  } catch (err) {
+    if (err.code !== 'ELOCKED') {
+      throw err;
+    }
+  }
+  if (opts.onWait != null) {
+    opts.onWait();
+  }
+  return acquire(filename, RETRIES, opts);
+}
+
+/**
+ * Run `fn` with the lock on `filename` held.
+ *
+ * The lock may be compromised while `fn` runs (e.g. its directory was removed
+ * or it couldn't be updated in time so another process may have taken it
+ * over). `fn` should call `held.check()` before each step which changes shared
+ * state, it throws the `ECOMPROMISED` error then. The returned promise settles
+ * only once `fn` did, and rejects with that error if the lock was compromised
+ * as the result of `fn` can't be trusted anymore.
+ */
+export async function withLock<T>(
+  filename: string,
+  fn: (held: HeldLock) => Promise<T>,
+  opts?: LockOptions = {},
+): Promise<T> {
+  let compromised: ?Error = null;
+  const held = {
+    check() {
+      if (compromised != null) {
+        throw compromised;
+      }
+    },
+  };
+
+  const release = await lock(filename, {
+    ...opts,
+    onCompromised: (err: Error) => {
+      compromised = err;
+    },
+  });
+  try {
+    let result;
+    try {
+      result = await fn(held);
+    } catch (err) {
+      held.check();
+      throw err;
+    }
+    held.check();
+    return result;
+  } finally {
+    await release();
+  }
+}
+
+function acquire(filename: string, retries: number | Object, opts: LockOptions): Promise<() => Promise<void>> {
+  const onCompromised =
+    opts.onCompromised ||
+    ((err: Error) => {
+      throw err;
+    });
+  return new Promise((resolve, reject) => {
+    lockfile.lock(
+      filename,
+      {realpath: false, stale: opts.stale || STALE, retries},
+      onCompromised,
+      (err: ?Error, release: (cb: () => void) => void) => {
+        if (err) {
+          reject(err);
+        } else {
+          // failing to remove the lock isn't an error, it becomes stale eventually
+          resolve(() => new Promise(resolve => release(() => resolve())));
+        }
+      },
+    );
+  });
+}
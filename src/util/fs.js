@@ -54,6 +54,7 @@ export const chmod: (path: string, mode: number | string) => Promise<void> = pro
   fs.chmod,
 );
 export const link: (src: string, dst: string) => Promise<fs.Stats> = promisify(fs.link);
+export const utimes: (path: string, atime: Date | number, mtime: Date | number) => Promise<void> = promisify(fs.utimes);
 export const glob: (path: string, options?: Object) => Promise<Array<string>> = promisify(
   globModule,
 );
@@ -128,6 +129,7 @@ type CopyFileAction = {
   atime: number,
   mtime: number,
   mode: number,
+  writable: boolean,
 };
 
 type LinkFileAction = {
@@ -154,6 +156,8 @@ type CopyOptions = {
   possibleExtraneous: Set<string>,
   ignoreBasenames: Array<string>,
   artifactFiles: Array<string>,
+  // give the copies write permission, files in the cache store are read-only
+  writable: boolean,
 };
 
 type FailedFolderQuery = {
@@ -418,6 +422,7 @@ async function buildActionsForCopy(
         atime: srcStat.atime,
         mtime: srcStat.mtime,
         mode: srcStat.mode,
+        writable: events.writable,
       });
       onDone();
     } else {
@@ -630,6 +635,10 @@ const safeCopyFile = async function(
   try {
     await unlink(data.dest);
     await copyFile(data.src, data.dest, 0, data);
+    const isWritable = (data.mode & 0o200) !== 0; // eslint-disable-line no-bitwise
+    if (data.writable && !isWritable) {
+      await chmod(data.dest, (data.mode & 0o777) | 0o200); // eslint-disable-line no-bitwise
+    }
   } finally {
     cleanup();
   }
@@ -644,6 +653,7 @@ export async function copyBulk(
     possibleExtraneous: Set<string>,
     ignoreBasenames?: Array<string>,
     artifactFiles?: Array<string>,
+    writable?: boolean,
   },
 ): Promise<void> {
   const events: CopyOptions = {
@@ -652,6 +662,7 @@ export async function copyBulk(
     possibleExtraneous: _events ? _events.possibleExtraneous : new Set(),
     ignoreBasenames: (_events && _events.ignoreBasenames) || [],
     artifactFiles: (_events && _events.artifactFiles) || [],
+    writable: Boolean(_events && _events.writable),
   };
 
   const actions: CopyActions = await buildActionsForCopy(
@@ -727,6 +738,7 @@ export async function hardlinkBulk(
     possibleExtraneous: _events ? _events.possibleExtraneous : new Set(),
     artifactFiles: (_events && _events.artifactFiles) || [],
     ignoreBasenames: [],
+    writable: false,
   };
 
   const actions: CopyActions = await buildActionsForHardlink(
@@ -0,0 +1,382 @@
+/* @flow */
+
+import {PatchError} from '../errors.js';
+import * as fs from './fs.js';
+
+const invariant = require('invariant');
+const path = require('path');
+
+type HunkLine = {
+  type: ' ' | '-' | '+',
+  text: string,
+};
+
+export type Hunk = {
+  oldStart: number,
+  oldCount: number,
+  newStart: number,
+  newCount: number,
+  lines: Array<HunkLine>,
+  // `\ No newline at end of file` after the last line of the old/new side
+  oldNoNewline: boolean,
+  newNoNewline: boolean,
+  // hunk as it is in the patch, used to report rejected hunks
+  text: string,
+};
+
+export type FilePatch = {
+  // null for /dev/null, when the file is created or deleted
+  oldName: ?string,
+  newName: ?string,
+  hunks: Array<Hunk>,
+};
+
+export type PatchOptions = {
+  // number of leading path components to strip from file names, like `patch -p`
+  strip?: number,
+  // max number of context lines at the beginning and at the end of a hunk which
+  // are ignored if the hunk doesn't apply cleanly, like `patch --fuzz`
+  fuzz?: number,
+};
+
+const DEFAULT_STRIP = 1;
+const DEFAULT_FUZZ = 2;
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Apply unified diff to the files in the directory.
+ *
+ * Files are only written once all the hunks applied successfully so a failed
+ * patch doesn't leave the directory half patched.
+ *
+ * Files are patched as bytes so sources which aren't UTF-8 (Latin-1 is common
+ * in OCaml sources) are preserved. The patch is matched against them byte for
+ * byte too, a string patch in its UTF-8 encoding, so patches which aren't
+ * UTF-8 have to be passed as a Buffer.
+ */
+export async function applyPatch(dir: string, patch: string | Buffer, options?: PatchOptions = {}): Promise<void> {
+  const strip = options.strip == null ? DEFAULT_STRIP : options.strip;
+  const fuzz = options.fuzz == null ? DEFAULT_FUZZ : options.fuzz;
+
+  // new content of the patched files, null for deleted files
+  const patched: Map<string, ?string> = new Map();
+
+  const readContent = async (filename: string): Promise<?string> => {
+    if (patched.has(filename)) {
+      return patched.get(filename);
+    }
+    if (await fs.exists(filename)) {
+      return (await fs.readFileBuffer(filename)).toString('latin1');
+    }
+    return null;
+  };
+
+  // one character per byte, the same way the contents of patched files are decoded
+  const binaryPatch = (typeof patch === 'string' ? Buffer.from(patch, 'utf8') : patch).toString('latin1');
+  for (const file of parsePatch(binaryPatch)) {
+    // names and hunks as they are reported are text
+    const oldName = file.oldName != null ? fromBinary(file.oldName) : null;
+    const newName = file.newName != null ? fromBinary(file.newName) : null;
+    const hunks = file.hunks.map(hunk => ({...hunk, text: fromBinary(hunk.text)}));
+
+    if (oldName == null && newName == null) {
+      throw new PatchError('Both old and new file names are /dev/null');
+    } else if (oldName == null) {
+      invariant(newName != null, 'expected new file name');
+      const filename = resolveFileName(dir, newName, strip);
+      const created = applyHunks('', hunks, {filename: newName, fuzz: 0});
+      const existing = await readContent(filename);
+      if (existing != null && existing !== '') {
+        if (existing === created) {
+          throw new PatchError(`Reversed (or previously applied) patch detected: ${newName} already exists`, newName);
+        }
+        throw new PatchError(`Cannot create ${newName}: file already exists`, newName);
+      }
+      patched.set(filename, created);
+    } else if (newName == null) {
+      const filename = resolveFileName(dir, oldName, strip);
+      const existing = await readContent(filename);
+      if (existing == null) {
+        throw new PatchError(`Reversed (or previously applied) patch detected: ${oldName} doesn't exist`, oldName);
+      }
+      const content = applyHunks(existing, hunks, {filename: oldName, fuzz});
+      if (content !== '') {
+        throw new PatchError(`Cannot delete ${oldName}: file isn't empty after removing the lines`, oldName);
+      }
+      patched.set(filename, null);
+    } else {
+      // prefer the new name as git does, but patch a file with the old name if
+      // there's no such file
+      let filename = resolveFileName(dir, newName, strip);
+      let name = newName;
+      let existing = await readContent(filename);
+      if (existing == null) {
+        filename = resolveFileName(dir, oldName, strip);
+        name = oldName;
+        existing = await readContent(filename);
+      }
+      if (existing == null) {
+        throw new PatchError(`Cannot find file to patch: ${newName}`, newName);
+      }
+      patched.set(filename, applyHunks(existing, hunks, {filename: name, fuzz}));
+    }
+  }
+
+  for (const [filename, content] of patched.entries()) {
+    if (content == null) {
+      await fs.unlink(filename);
+    } else {
+      await fs.mkdirp(path.dirname(filename));
+      await fs.writeFile(filename, content, {encoding: 'latin1'});
+    }
+  }
+}
+
+function fromBinary(text: string): string {
+  return Buffer.from(text, 'latin1').toString('utf8');
+}
+
+/**
+ * Parse unified diff, anything which isn't a part of file patches (commit
+ * messages, `diff --git` headers and so on) is ignored.
+ */
+export function parsePatch(patch: string): Array<FilePatch> {
+  const lines = patch.split('\n');
+  const files = [];
+
+  let idx = 0;
+  while (idx < lines.length) {
+    const line = lines[idx];
+    if (line.startsWith('--- ') && idx + 1 < lines.length && lines[idx + 1].startsWith('+++ ')) {
+      const file = {
+        oldName: parseFileName(line.slice('--- '.length)),
+        newName: parseFileName(lines[idx + 1].slice('+++ '.length)),
+        hunks: [],
+      };
+      idx += 2;
+      while (idx < lines.length && HUNK_HEADER.test(lines[idx])) {
+        const {hunk, next} = parseHunk(lines, idx);
+        file.hunks.push(hunk);
+        idx = next;
+      }
+      files.push(file);
+    } else if (line.startsWith('GIT binary patch') || line.startsWith('Binary files ')) {
+      throw new PatchError('Binary patches are not supported');
+    } else {
+      idx++;
+    }
+  }
+
+  if (files.length === 0) {
+    throw new PatchError('Only garbage was found in the patch input');
+  }
+
+  return files;
+}
+
+function parseFileName(value: string): ?string {
+  // strip timestamps
+  let name = value.split('\t')[0].trim();
+  if (name.startsWith('"')) {
+    try {
+      name = JSON.parse(name);
+    } catch (_err) {
+      throw new PatchError(`Invalid file name in the patch: ${value}`);
+    }
+  }
+  return name === '/dev/null' ? null : name;
+}
+
+function parseHunk(lines: Array<string>, start: number): {hunk: Hunk, next: number} {
+  const header = lines[start];
+  const match = HUNK_HEADER.exec(header);
+  invariant(match != null, 'expected hunk header');
+
+  const oldStart = parseInt(match[1], 10);
+  const oldCount = match[2] == null ? 1 : parseInt(match[2], 10);
+  const newStart = parseInt(match[3], 10);
+  const newCount = match[4] == null ? 1 : parseInt(match[4], 10);
+
+  const hunkLines = [];
+  let oldNoNewline = false;
+  let newNoNewline = false;
+  let oldLeft = oldCount;
+  let newLeft = newCount;
+
+  let idx = start + 1;
+  while (idx < lines.length && (oldLeft > 0 || newLeft > 0 || lines[idx].startsWith('\\'))) {
+    const line = lines[idx];
+    if (line.startsWith('\\')) {
+      const prev = hunkLines[hunkLines.length - 1];
+      if (prev != null && prev.type !== '+') {
+        oldNoNewline = true;
+      }
+      if (prev != null && prev.type !== '-') {
+        newNoNewline = true;
+      }
+    } else {
+      // some editors strip the trailing whitespace of empty context lines
+      const type = line === '' ? ' ' : line[0];
+      if (type !== ' ' && type !== '-' && type !== '+') {
+        break;
+      }
+      if (type !== '+') {
+        oldLeft--;
+      }
+      if (type !== '-') {
+        newLeft--;
+      }
+      hunkLines.push({type, text: line.slice(1)});
+    }
+    idx++;
+  }
+
+  const text = lines.slice(start, idx).join('\n');
+  if (oldLeft !== 0 || newLeft !== 0) {
+    throw new PatchError(`Malformed hunk:\n${text}`, null, text);
+  }
+
+  return {
+    hunk: {oldStart, oldCount, newStart, newCount, lines: hunkLines, oldNoNewline, newNoNewline, text},
+    next: idx,
+  };
+}
+
+function resolveFileName(dir: string, name: string, strip: number): string {
+  const parts = name.split('/');
+  if (parts.length <= strip) {
+    throw new PatchError(`Cannot strip ${strip} leading path components from ${name}`, name);
+  }
+  const filename = path.resolve(dir, parts.slice(strip).join('/'));
+  if (filename !== dir && !filename.startsWith(path.resolve(dir) + path.sep)) {
+    throw new PatchError(`Refusing to patch ${name} which is outside of the target directory`, name);
+  }
+  return filename;
+}
+
+/**
+ * Apply hunks to the file content.
+ *
+ * Each hunk is searched near its position (adjusted by how much the previous
+ * hunks moved), if it doesn't match anywhere then up to `fuzz` lines of
+ * leading and trailing context are ignored and the search is retried.
+ */
+export function applyHunks(content: string, hunks: Array<Hunk>, options: {filename: string, fuzz?: number}): string {
+  const {filename} = options;
+  const maxFuzz = options.fuzz == null ? DEFAULT_FUZZ : options.fuzz;
+
+  const lines = content === '' ? [] : content.split('\n');
+  let eofNewline = lines.length === 0 || lines[lines.length - 1] === '';
+  if (lines.length > 0 && eofNewline) {
+    lines.pop();
+  }
+
+  // how much lines moved compared to the line numbers in hunk headers
+  let offset = 0;
+  // hunks are applied in order so they can't overlap
+  let minPos = 0;
+
+  for (let hunkIdx = 0; hunkIdx < hunks.length; hunkIdx++) {
+    const hunk = hunks[hunkIdx];
+    const start = hunk.oldCount === 0 ? hunk.oldStart : hunk.oldStart - 1;
+    let applied = false;
+
+    for (let fuzz = 0; fuzz <= maxFuzz && !applied; fuzz++) {
+      const {oldLines, newLines, leading, trailing} = trimContext(hunk.lines, fuzz);
+      if (fuzz > 0 && ((leading === 0 && trailing === 0) || (oldLines.length === 0 && hunk.oldCount > 0))) {
+        // either nothing to ignore and it would be the same search again or
+        // nothing left to anchor the hunk with
+        break;
+      }
+      const pos = findLines(lines, oldLines, start + leading + offset, minPos);
+      if (pos === -1) {
+        continue;
+      }
+
+      const reachesEnd = trailing === 0 && pos + oldLines.length === lines.length;
+      lines.splice(pos, oldLines.length, ...newLines);
+      if (reachesEnd && (hunk.oldNoNewline || hunk.newNoNewline)) {
+        eofNewline = !hunk.newNoNewline;
+      }
+
+      offset = pos - (start + leading) + newLines.length - oldLines.length;
+      minPos = pos + newLines.length;
+      applied = true;
+    }
+
+    if (!applied) {
+      const reversed = hunk.lines.filter(line => line.type !== '-').map(line => line.text);
+      if (reversed.length > 0 && findLines(lines, reversed, start + offset, 0) !== -1) {
+        throw new PatchError(`Reversed (or previously applied) patch detected for ${filename}`, filename, hunk.text);
+      }
+      throw new PatchError(
+        `Hunk #${hunkIdx + 1} FAILED at ${hunk.oldStart} in ${filename}:\n${hunk.text}`,
+        filename,
+        hunk.text,
+      );
+    }
+  }
+
+  if (lines.length === 0) {
+    return '';
+  }
+  return lines.join('\n') + (eofNewline ? '\n' : '');
+}
+
+function trimContext(
+  hunkLines: Array<HunkLine>,
+  fuzz: number,
+): {oldLines: Array<string>, newLines: Array<string>, leading: number, trailing: number} {
+  let begin = 0;
+  while (begin < fuzz && begin < hunkLines.length && hunkLines[begin].type === ' ') {
+    begin++;
+  }
+  let end = hunkLines.length;
+  while (hunkLines.length - end < fuzz && end > begin && hunkLines[end - 1].type === ' ') {
+    end--;
+  }
+  const trimmed = hunkLines.slice(begin, end);
+  return {
+    oldLines: trimmed.filter(line => line.type !== '+').map(line => line.text),
+    newLines: trimmed.filter(line => line.type !== '-').map(line => line.text),
+    leading: begin,
+    trailing: hunkLines.length - end,
+  };
+}
+
+/**
+ * Find position of the lines, the closest one to the expected position wins.
+ */
+function findLines(lines: Array<string>, needle: Array<string>, expected: number, minPos: number): number {
+  const maxPos = lines.length - needle.length;
+  if (maxPos < minPos) {
+    return -1;
+  }
+  if (needle.length === 0) {
+    return Math.min(Math.max(expected, minPos), maxPos);
+  }
+  const distance = Math.max(Math.abs(expected - minPos), Math.abs(maxPos - expected));
+  for (let d = 0; d <= distance; d++) {
+    for (const pos of d === 0 ? [expected] : [expected - d, expected + d]) {
+      if (pos >= minPos && pos <= maxPos && matchesAt(lines, needle, pos)) {
+        return pos;
+      }
+    }
+  }
+  return -1;
+}
+
+function matchesAt(lines: Array<string>, needle: Array<string>, pos: number): boolean {
+  for (let i = 0; i < needle.length; i++) {
+    // patches lose carriage returns quite often
+    if (stripCR(lines[pos + i]) !== stripCR(needle[i])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function stripCR(line: string): string {
+  return line.endsWith('\r') ? line.slice(0, -1) : line;
+}